@@ -0,0 +1,217 @@
+import currencyjs from 'currency.js';
+
+import {
+  computeAvailability,
+  countGuests,
+} from './availability';
+
+// All selections of at most `maxSize` items keeping their order
+const selectSubsets = (items, maxSize) => {
+  const subsets = [[]];
+  items.forEach((item) => {
+    subsets
+      .filter((subset) => subset.length < maxSize)
+      .forEach((subset) => subsets.push(subset.concat([item])));
+  });
+  return subsets;
+};
+
+/**
+ * The largest group of guests that fits any of the room types,
+ * infants that do not count towards `occupancy.max` included.
+ *
+ * @param  {Array<Object>} roomTypes
+ * @param  {Array<Object>} guests List of information about guests
+ * @return {Number}
+ */
+export const computeMaxGroupSize = (roomTypes, guests) => roomTypes.reduce((agg, rt) => {
+  const occupancy = rt.occupancy;
+  if (!occupancy || occupancy.max === undefined || occupancy.max === null) {
+    return guests.length;
+  }
+  const infants = countGuests(occupancy, guests).infants;
+  const maxInfants = occupancy.maxInfants !== undefined && occupancy.maxInfants !== null
+    ? Math.min(occupancy.maxInfants, infants)
+    : infants;
+  return Math.max(agg, Math.min(guests.length, occupancy.max + maxInfants));
+}, 0);
+
+/**
+ * Finds all combinations of rooms that can accommodate the whole
+ * party, prices every room with `PriceComputer.getBestPrice`
+ * and checks that enough rooms of every room type are available
+ * for the whole stay. The occupancy of room types is checked for every
+ * group of guests including their ages, see `computeAvailability`.
+ *
+ * Combinations that would result in the same set of room types for
+ * the same total are reported only once.
+ *
+ * Rooms are searched group by group, so the party is never split into
+ * groups larger than any room type (see `computeMaxGroupSize`) and
+ * splits with a group that fits no available room are dropped as soon
+ * as that group is found. Combinations for the same remaining guests
+ * are computed only once. The search still grows with the party size,
+ * room types without `occupancy.max` and a low `maxRooms` keep it small.
+ *
+ * @param  {PriceComputer} priceComputer used for pricing every room,
+ * its room types are the ones being allocated
+ * @param  {Object} indexedAvailability result of `indexAvailability` method
+ * @param  {mixed} bookingDate anything parseable by dayjs
+ * @param  {mixed} arrivalDate anything parseable by dayjs
+ * @param  {mixed} departureDate anything parseable by dayjs
+ * @param  {Array<Object>} guests List of information about guests
+ * @param  {string} currency currency of the combined price, defaults
+ * to the `defaultCurrency` of `priceComputer`
+ * @param  {Number} maxRooms maximum number of rooms the party
+ * can be split into, defaults to the number of guests
+ * @param  {Object} access optional credentials of the guests unlocking
+ * private rate plans, see `PriceComputer.getBestPrice`
+ * @return {Array<Object>} List of combinations ordered from the cheapest
+ * one. Combinations with the same total are ordered by the number of rooms.
+ * ```
+ * [
+ *   {
+ *     "currency": "EUR",
+ *     "total": <currencyjs instance>,
+ *     "summary": { "double": 1, "family": 1 },
+ *     "rooms": [
+ *       {
+ *         "roomTypeId": "double",
+ *         "guests": [<guest>, <guest>],
+ *         "price": <one of prices as returned by getBestPrice>
+ *       },
+ *       {
+ *         "roomTypeId": "family",
+ *         "guests": [<guest>, <guest>, <guest>],
+ *         "price": <one of prices as returned by getBestPrice>
+ *       }
+ *     ]
+ *   }
+ * ]
+ * ```
+ */
+export const computeRoomAllocations = (priceComputer, indexedAvailability, bookingDate,
+  arrivalDate, departureDate, guests, currency, maxRooms, access) => {
+  const allocationCurrency = currency || priceComputer.defaultCurrency;
+  const roomTypes = priceComputer.roomTypes;
+  const availabilityCache = {};
+  const priceCache = {};
+
+  // Available quantity of every room type for a group of guests
+  const getAvailability = (group) => {
+    const key = group.join(',');
+    if (!availabilityCache[key]) {
+      availabilityCache[key] = computeAvailability(
+        arrivalDate, departureDate, group.map((g) => guests[g]), roomTypes, indexedAvailability, bookingDate,
+        priceComputer.ratePlans, priceComputer.timezone
+      ).reduce((agg, a) => Object.assign(agg, { [a.roomTypeId]: a.quantity }), {});
+    }
+    return availabilityCache[key];
+  };
+
+  // Rooms that can host the group, priced in the allocation currency
+  const getCandidates = (group) => {
+    const key = group.join(',');
+    if (!priceCache[key]) {
+      const availability = getAvailability(group);
+      const groupGuests = group.map((g) => guests[g]);
+      priceCache[key] = roomTypes
+        .filter((rt) => availability[rt.id] > 0)
+        .map((rt) => {
+          const roomPrices = priceComputer.getBestPrice(
+            bookingDate, arrivalDate, departureDate, groupGuests, allocationCurrency, rt.id, access
+          )[0];
+          return {
+            roomTypeId: rt.id,
+            guests: groupGuests,
+            price: roomPrices.prices.find((p) => p.currency === allocationCurrency),
+          };
+        })
+        .filter((candidate) => candidate.price);
+    }
+    return priceCache[key];
+  };
+
+  const roomsLimit = maxRooms || guests.length;
+  const maxGroupSize = computeMaxGroupSize(roomTypes, guests);
+  const roomTypeIds = roomTypes.map((rt) => rt.id);
+  const combinationsCache = {};
+
+  // Distinct combinations of rooms for the remaining guests, rooms are kept
+  // as a linked list, totals in the smallest currency unit
+  const allocate = (remaining) => {
+    const key = remaining.join(',');
+    if (combinationsCache[key]) {
+      return combinationsCache[key];
+    }
+    const combinations = {};
+    if (!remaining.length) {
+      combinations[''] = { value: 0, quantities: roomTypeIds.map(() => 0), count: 0, rooms: null };
+    } else {
+      // The first remaining guest is in the next room with some of the others
+      const [first, ...others] = remaining;
+      selectSubsets(others, maxGroupSize - 1).forEach((companions) => {
+        const group = [first].concat(companions);
+        const candidates = getCandidates(group);
+        if (!candidates.length) {
+          return;
+        }
+        const rest = Object.values(allocate(others.filter((g) => companions.indexOf(g) === -1)));
+        candidates.forEach((candidate) => {
+          const index = roomTypeIds.indexOf(candidate.roomTypeId);
+          const quantity = getAvailability(group)[candidate.roomTypeId];
+          rest.forEach((combination) => {
+            if (combination.quantities[index] >= quantity || combination.count >= roomsLimit) {
+              return;
+            }
+            const quantities = combination.quantities.slice();
+            quantities[index] += 1;
+            const value = combination.value + candidate.price.total.intValue;
+            const signature = `${quantities.join(',')}:${value}`;
+            if (!combinations[signature]) {
+              combinations[signature] = {
+                value,
+                quantities,
+                count: combination.count + 1,
+                rooms: { candidate, next: combination.rooms },
+              };
+            }
+          });
+        });
+      });
+    }
+    combinationsCache[key] = combinations;
+    return combinations;
+  };
+
+  if (!guests.length) {
+    return [];
+  }
+  const combinations = allocate(guests.map((g, i) => i));
+  return Object.values(combinations)
+    .map((combination) => {
+      const rooms = [];
+      for (let room = combination.rooms; room; room = room.next) {
+        rooms.push(room.candidate);
+      }
+      return {
+        currency: allocationCurrency,
+        total: rooms.reduce((agg, r) => agg.add(r.price.total), currencyjs(0, { symbol: allocationCurrency })),
+        summary: rooms.reduce((agg, r) => Object.assign(agg, {
+          [r.roomTypeId]: (agg[r.roomTypeId] || 0) + 1,
+        }), {}),
+        rooms,
+      };
+    })
+    .sort((a, b) => {
+      if (a.total.value !== b.total.value) {
+        return a.total.value - b.total.value;
+      }
+      return a.rooms.length - b.rooms.length;
+    });
+};
+
+export default {
+  computeMaxGroupSize,
+  computeRoomAllocations,
+};
@@ -1,4 +1,7 @@
 import dayjs from 'dayjs';
+import {
+  toHotelTime,
+} from './timezone';
 
 /**
  * Transforms raw array of availability records to an
@@ -33,110 +36,296 @@ export const indexAvailability = (availability) => {
   }), {});
 };
 
+/**
+ * Computes quantities available for sale on a single night.
+ *
+ * Besides the `quantity`, an availability record can contain
+ *
+ * - `allotments` - list of rooms held for specific rate plans,
+ * such as tour-operator contracts. Every allotment has a `quantity`,
+ * `ratePlanIds` that can use it and `releaseDays`. An allotment is held
+ * until `releaseDays` days before the night, after that its rooms
+ * are released back to general sale. Without a booking date, all
+ * allotments are considered held.
+ * - `ratePlanQuotas` - maximum number of rooms that can be sold
+ * under a rate plan on that night, such as `{ "early-bird": 2 }`
+ *
+ * Allotments are a part of the `quantity`.
+ *
+ * @param  {Object} record availability record
+ * @param  {mixed} bookingDate optional, anything parseable by dayjs
+ * @param  {Array<string>} ratePlanIds rate plans to compute quantities for
+ * @param  {string} timezone optional IANA timezone of the hotel, the booking
+ * date is evaluated in it
+ * @return {Object} such as
+ * ```
+ * {
+ *   "quantity": 2,
+ *   "ratePlans": { "tour-operator": 5, "early-bird": 2 }
+ * }
+ * ```
+ * where `quantity` is available for any rate plan and `ratePlans` include
+ * allotments and quotas of every rate plan.
+ */
+export const computeDailyAvailability = (record, bookingDate, ratePlanIds = [], timezone) => {
+  const dateDayjs = dayjs(record.date);
+  const bookingDayjs = bookingDate && toHotelTime(bookingDate, timezone).startOf('day');
+  const heldAllotments = (record.allotments || []).filter((a) => {
+    return !bookingDayjs || dateDayjs.diff(bookingDayjs, 'days') > (a.releaseDays || 0);
+  });
+  const held = heldAllotments.reduce((agg, a) => agg + a.quantity, 0);
+  const quantity = Math.max(0, record.quantity - held);
+  return {
+    quantity,
+    ratePlans: ratePlanIds.reduce((agg, id) => {
+      const allotted = heldAllotments
+        .filter((a) => (a.ratePlanIds || []).indexOf(id) !== -1)
+        .reduce((total, a) => total + a.quantity, 0);
+      let ratePlanQuantity = Math.min(record.quantity, quantity + allotted);
+      if (record.ratePlanQuotas && record.ratePlanQuotas[id] !== undefined) {
+        ratePlanQuantity = Math.min(ratePlanQuantity, record.ratePlanQuotas[id]);
+      }
+      return Object.assign(agg, { [id]: ratePlanQuantity });
+    }, {}),
+  };
+};
+
+/**
+ * Finds a daily restriction of an availability record that does not
+ * allow a stay. `noArrival`, `minLOS` and `maxLOS` restrictions are
+ * evaluated on the day of arrival only, `closed` and `minLOSThrough`
+ * on every night of the stay.
+ *
+ * @param  {Object} record availability record
+ * @param  {Number} nightIndex order of the night within the stay,
+ * starting from 0
+ * @param  {Number} lengthOfStay
+ * @return {Object|undefined} The violated restriction such as
+ * `{ "restriction": "minLOS", "date": "2018-01-01", "value": 3 }`
+ */
+export const findBlockingRestriction = (record, nightIndex, lengthOfStay) => {
+  const restrictions = record.restrictions;
+  if (!restrictions) {
+    return undefined;
+  }
+  const blockedBy = (restriction) => ({ restriction, date: record.date, value: restrictions[restriction] });
+  if (nightIndex === 0) {
+    if (restrictions.noArrival) {
+      return blockedBy('noArrival');
+    }
+    if (restrictions.minLOS && restrictions.minLOS > lengthOfStay) {
+      return blockedBy('minLOS');
+    }
+    if (restrictions.maxLOS && restrictions.maxLOS < lengthOfStay) {
+      return blockedBy('maxLOS');
+    }
+  }
+  if (restrictions.closed) {
+    return blockedBy('closed');
+  }
+  if (restrictions.minLOSThrough && restrictions.minLOSThrough > lengthOfStay) {
+    return blockedBy('minLOSThrough');
+  }
+  return undefined;
+};
+
+/**
+ * Sorts guests into adults, children and infants by the age
+ * thresholds of a room type occupancy. Guests without a known age
+ * are considered adults.
+ *
+ * - `childMaxAge` - guests of this age or younger are children,
+ * defaults to 17
+ * - `infantMaxAge` - guests of this age or younger are infants, without
+ * it, there are no infants
+ *
+ * @param  {Object} occupancy room type occupancy
+ * @param  {Array<Object>} guests List of information about guests
+ * @return {Object} such as `{ "adults": 2, "children": 1, "infants": 0 }`
+ */
+export const countGuests = (occupancy, guests) => {
+  const childMaxAge = occupancy && occupancy.childMaxAge !== undefined ? occupancy.childMaxAge : 17;
+  const infantMaxAge = occupancy && occupancy.infantMaxAge;
+  return guests.reduce((agg, g) => {
+    if (g.age === undefined || g.age === null || g.age > childMaxAge) {
+      agg.adults += 1;
+    } else if (infantMaxAge !== undefined && g.age <= infantMaxAge) {
+      agg.infants += 1;
+    } else {
+      agg.children += 1;
+    }
+    return agg;
+  }, { adults: 0, children: 0, infants: 0 });
+};
+
+/**
+ * Explains why guests do not fit a room type. Besides `min` and `max`,
+ * the room type `occupancy` can limit `maxAdults`, `maxChildren` and
+ * `maxInfants`, see `countGuests` for age thresholds. Infants do not
+ * count towards `min` and `max`.
+ *
+ * @param  {Object} roomType
+ * @param  {Array<Object>} guests List of information about guests
+ * @return {Object|undefined} The violated limit such as
+ * `{ "restriction": "occupancy.maxChildren", "value": 1, "guests": 2 }`
+ */
+export const explainOccupancyMismatch = (roomType, guests) => {
+  const occupancy = roomType.occupancy;
+  if (!occupancy) {
+    return undefined;
+  }
+  const counts = countGuests(occupancy, guests);
+  const occupants = counts.adults + counts.children;
+  const limits = [
+    ['min', occupants, (value) => value > occupants],
+    ['max', occupants, (value) => value < occupants],
+    ['maxAdults', counts.adults, (value) => value < counts.adults],
+    ['maxChildren', counts.children, (value) => value < counts.children],
+    ['maxInfants', counts.infants, (value) => value < counts.infants],
+  ];
+  for (let i = 0; i < limits.length; i += 1) {
+    const [limit, count, isViolated] = limits[i];
+    if (occupancy[limit] !== undefined && occupancy[limit] !== null && isViolated(occupancy[limit])) {
+      return { restriction: `occupancy.${limit}`, value: occupancy[limit], guests: count };
+    }
+  }
+  return undefined;
+};
+
 /**
  * Aggregates total quantity of available room types during given period.
  * If data for any day (including arrival and departure) is missing, `undefined`
  * is returned, otherwise a number is returned.
  *
+ * When guests do not fit the room type (see `explainOccupancyMismatch`)
+ * or a daily restriction does not allow the stay (see
+ * `findBlockingRestriction`, `noDeparture` is evaluated on the day of
+ * departure), the quantity is 0 and `blockedBy` tells which restriction
+ * it was.
+ *
+ * The same is computed for every rate plan of the room type, taking
+ * allotments and rate plan quotas into account, see `computeDailyAvailability`.
+ *
  * @param  {mixed} arrivalDate anything parseable by dayjs
  * @param  {mixed} departureDate anything parseable by dayjs
- * @param  {number} numberOfGuests
+ * @param  {Array<Object>|number} guests List of information about guests
+ * as used by `PriceComputer`, or just a number of adult guests
  * @param  {Array<Object>} roomTypes
  * @param  {Object} indexedAvailability result of `indexAvailability` method
+ * @param  {mixed} bookingDate optional, anything parseable by dayjs,
+ * used to release allotments
+ * @param  {Array<Object>} ratePlans optional list of rate plans, quantities
+ * are computed for those of them that are tied to the room type and for
+ * all rate plans mentioned in allotments or quotas
+ * @param  {string} timezone optional IANA timezone of the hotel, all dates
+ * are evaluated in it, see `toHotelTime`
  * @return {Array<Object>}
  * ```
  * [
- *   { "roomTypeId": "rta", "quantity": 1 },
- *   { "roomTypeId": "rtb", "quantity": 1 },
- *   { "roomTypeId": "rtc", "quantity": undefined }
+ *   { "roomTypeId": "rta", "quantity": 1, "ratePlans": { "rpa": 1 } },
+ *   { "roomTypeId": "rtb", "quantity": 1, "ratePlans": {} },
+ *   { "roomTypeId": "rtc", "quantity": undefined, "ratePlans": { "rpa": undefined } },
+ *   {
+ *     "roomTypeId": "rtd",
+ *     "quantity": 0,
+ *     "ratePlans": {},
+ *     "blockedBy": { "restriction": "minLOS", "date": "2018-01-01", "value": 3 }
+ *   }
  * ]
  * ```
  */
-export const computeAvailability = (arrivalDate, departureDate, numberOfGuests, roomTypes, indexedAvailability) => {
-  const arrivalDateDayjs = dayjs(arrivalDate);
-  const departureDateDayjs = dayjs(departureDate);
+export const computeAvailability = (arrivalDate, departureDate, guests, roomTypes, indexedAvailability,
+  bookingDate, ratePlans, timezone) => {
+  const guestList = Array.isArray(guests) ? guests : Array.from({ length: guests }, () => ({}));
+  const arrivalDateDayjs = toHotelTime(arrivalDate, timezone);
+  const departureDateDayjs = toHotelTime(departureDate, timezone);
   const lengthOfStay = Math.abs(arrivalDateDayjs.diff(departureDateDayjs, 'days'));
   return roomTypes.map((rt) => {
+    const records = [];
+    let currentDate = dayjs(arrivalDateDayjs);
+    for (let j = 0; j <= lengthOfStay; j += 1) {
+      records.push(indexedAvailability[rt.id] && indexedAvailability[rt.id][currentDate.format('YYYY-MM-DD')]);
+      currentDate = currentDate.add(1, 'day');
+    }
+    const nights = records.slice(0, lengthOfStay);
+    const ratePlanIds = (ratePlans || [])
+      .filter((rp) => rp.roomTypeIds && rp.roomTypeIds.indexOf(rt.id) !== -1)
+      .map((rp) => rp.id)
+      .concat(...nights.filter((r) => r).map((r) => Object.keys(r.ratePlanQuotas || {})
+        .concat(...(r.allotments || []).map((a) => a.ratePlanIds || []))))
+      .filter((id, i, all) => all.indexOf(id) === i);
+    const result = (quantity, ratePlanQuantity) => ({
+      roomTypeId: rt.id,
+      quantity,
+      ratePlans: ratePlanIds.reduce((agg, id) => Object.assign(agg, {
+        [id]: ratePlanQuantity ? ratePlanQuantity(id) : quantity,
+      }), {}),
+    });
+
     // Drop out if availability data is not available
     if (!indexedAvailability[rt.id]) {
-      return {
-        roomTypeId: rt.id,
-        quantity: undefined,
-      };
+      return result(undefined);
     }
     // Drop out if guest data does not fit the desired room occupancy
-    if (rt.occupancy &&
-      (
-        (rt.occupancy.min &&
-        rt.occupancy.min > numberOfGuests) ||
-        (rt.occupancy.max &&
-        rt.occupancy.max < numberOfGuests)
-      )
-    ) {
-      return {
-        roomTypeId: rt.id,
-        quantity: 0,
-      };
+    const occupancyMismatch = explainOccupancyMismatch(rt, guestList);
+    if (occupancyMismatch) {
+      return Object.assign(result(0), { blockedBy: occupancyMismatch });
     }
-    let currentDate = dayjs(arrivalDateDayjs);
     let currentAvailability;
     let dailyAvailability = [];
 
     for (let j = 0; j < lengthOfStay; j += 1) {
-      currentAvailability = indexedAvailability[rt.id][currentDate.format('YYYY-MM-DD')];
+      currentAvailability = records[j];
       if (currentAvailability) {
-        const isRestrictedForArrival = j === 0 &&
-        currentAvailability.restrictions &&
-        currentAvailability.restrictions.noArrival;
-        if (isRestrictedForArrival) {
-          return {
-            roomTypeId: rt.id,
-            quantity: 0,
-          };
+        const blockedBy = findBlockingRestriction(currentAvailability, j, lengthOfStay);
+        if (blockedBy) {
+          return Object.assign(result(0), { blockedBy });
         }
-        dailyAvailability.push(currentAvailability.quantity);
+        dailyAvailability.push(computeDailyAvailability(currentAvailability, bookingDate, ratePlanIds, timezone));
       }
-      currentDate = currentDate.add(1, 'day');
     }
     // Deal with the departure date:
     // - noDeparture restriction, it's a
     // special one - it is applied to the date *after* the last night
-    currentAvailability = indexedAvailability[rt.id][currentDate.format('YYYY-MM-DD')];
+    currentAvailability = records[lengthOfStay];
     if (
       currentAvailability &&
       currentAvailability.restrictions &&
       currentAvailability.restrictions.noDeparture
     ) {
-      return {
-        roomTypeId: rt.id,
-        quantity: 0,
-      };
+      return Object.assign(result(0), {
+        blockedBy: { restriction: 'noDeparture', date: currentAvailability.date, value: true },
+      });
     } else if (currentAvailability !== undefined) {
       // If quantity is 0 on the day of departure, it does not matter
-      dailyAvailability.push(currentAvailability.quantity || 1);
+      // and allotments are not used on that day
+      dailyAvailability.push({ quantity: currentAvailability.quantity || 1 });
     }
     // Filter out missing data and applied restrictions
     // +1 means the date of departure
     if (dailyAvailability.length === lengthOfStay + 1) {
-      return {
-        roomTypeId: rt.id,
-        quantity: dailyAvailability.reduce((agg, da) => {
-          if (agg === undefined) {
-            return da;
-          }
-          return Math.min(da, agg);
-        }, undefined),
-      };
+      const minimum = (values) => values.reduce((agg, da) => {
+        if (agg === undefined) {
+          return da;
+        }
+        return Math.min(da, agg);
+      }, undefined);
+      const departure = dailyAvailability[lengthOfStay].quantity;
+      return result(
+        minimum(dailyAvailability.map((da) => da.quantity)),
+        (id) => minimum(dailyAvailability.slice(0, lengthOfStay).map((da) => da.ratePlans[id]).concat([departure]))
+      );
     } else {
-      return {
-        roomTypeId: rt.id,
-        quantity: undefined,
-      };
+      return result(undefined);
     }
   });
 };
 
 export default {
   indexAvailability,
+  countGuests,
+  explainOccupancyMismatch,
+  computeDailyAvailability,
+  findBlockingRestriction,
   computeAvailability,
 };
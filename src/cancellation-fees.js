@@ -1,19 +1,41 @@
 import dayjs from 'dayjs';
+import currencyjs from 'currency.js';
+import {
+  toHotelTime,
+  toTimestamp,
+  formatTimestamp,
+  formatInstant,
+} from './timezone';
+
+const HOUR = 60 * 60 * 1000;
+
+// Check-in on the day of arrival, such as 14:00, defaults to midnight
+const getCheckIn = (arrivalDayjs, checkInTime) => {
+  const [hour, minute] = (checkInTime || '00:00').split(':').map((n) => parseInt(n, 10));
+  return dayjs(arrivalDayjs).set('hour', hour).set('minute', minute).set('second', 0).set('millisecond', 0);
+};
 
 /**
  * Sorts out real dates for cancellation policies by applying
  * deadline where possible.
  *
+ * A `deadline` is in days before arrival unless the policy
+ * has `deadlineUnit` set to `hours`, then it is in hours before
+ * check-in. Either way the policy applies for the whole day
+ * of its deadline.
+ *
  * @param  {dayjs} bookingDateDayjs is used to determine how far in the
  * future will the actual stay happen.
  * @param  {dayjs} arrivalDayjs is a date of arrival
  * @param  {Array<Object>} cancellationPolicies List of all declared
  * policies
+ * @param  {dayjs} checkInDayjs optional time of check-in, defaults
+ * to the start of the day of arrival
  * @return {Array<object>} Normalized list of policies where each
  * record contains from, to, and an appropriate amount.
  */
 export const normalizePolicyDates = (bookingDateDayjs, arrivalDayjs,
-  cancellationPolicies) => cancellationPolicies
+  cancellationPolicies, checkInDayjs) => cancellationPolicies
   .filter((cp) => {
     if (cp.from && dayjs(cp.from).isAfter(arrivalDayjs)) {
       return false;
@@ -25,7 +47,9 @@ export const normalizePolicyDates = (bookingDateDayjs, arrivalDayjs,
     return true;
   })
   .map((cp) => {
-    const deadlineStartDayjs = dayjs(arrivalDayjs).subtract(cp.deadline, 'days');
+    const deadlineStartDayjs = cp.deadlineUnit === 'hours'
+      ? dayjs(checkInDayjs || dayjs(arrivalDayjs).startOf('day')).subtract(cp.deadline, 'hours')
+      : dayjs(arrivalDayjs).subtract(cp.deadline, 'days');
     const fromOptions = [bookingDateDayjs, deadlineStartDayjs];
     if (cp.from) {
       fromOptions.push(dayjs(cp.from));
@@ -132,10 +156,81 @@ export const reduceFeeSchedule = (orderedSchedule) => {
   return periods;
 };
 
+/**
+ * Determines the most benefitial cancellation fee for a hotel
+ * for every instant between `bookingTimestamp` and the end of the day
+ * of arrival. Unlike `createFeeSchedule`, policies are not extended
+ * to whole days, a policy with `deadlineUnit` set to `hours` starts
+ * exactly `deadline` hours before check-in.
+ *
+ * @param  {Number} bookingTimestamp instant of booking
+ * @param  {dayjs} arrivalDayjs date of arrival in the hotel time
+ * @param  {dayjs} checkInDayjs check-in in the hotel time
+ * @param  {Array<Object>} cancellationPolicies List of all declared
+ * policies
+ * @param  {Number} defaultCancellationAmount a default that is used
+ * in case there is no special policy applicable to any given instant.
+ * @param  {string} timezone optional IANA timezone of the hotel
+ * @return {Array<Object>} List of periods ordered by time, each
+ * containing `from` and `to` timestamps (both inclusive) and `amount`.
+ */
+export const createTimeSchedule = (bookingTimestamp, arrivalDayjs, checkInDayjs,
+  cancellationPolicies, defaultCancellationAmount, timezone) => {
+  const endTimestamp = toTimestamp(dayjs(arrivalDayjs).endOf('day'), timezone);
+  if (bookingTimestamp > endTimestamp) {
+    return [];
+  }
+  const checkInTimestamp = toTimestamp(checkInDayjs, timezone);
+  const intervals = cancellationPolicies
+    .map((cp) => {
+      const starts = [bookingTimestamp];
+      if (cp.deadline !== undefined) {
+        starts.push(cp.deadlineUnit === 'hours'
+          ? checkInTimestamp - cp.deadline * HOUR
+          : toTimestamp(dayjs(arrivalDayjs).startOf('day').subtract(cp.deadline, 'days'), timezone));
+      }
+      if (cp.from) {
+        starts.push(toTimestamp(dayjs(cp.from).startOf('day'), timezone));
+      }
+      return {
+        from: Math.max(...starts),
+        to: cp.to ? Math.min(endTimestamp, toTimestamp(dayjs(cp.to).endOf('day'), timezone)) : endTimestamp,
+        amount: cp.amount,
+      };
+    })
+    .filter((interval) => interval.from <= interval.to);
+  // Fee can change only where a policy starts or ends
+  const boundaries = [bookingTimestamp, endTimestamp + 1]
+    .concat(...intervals.map((interval) => [interval.from, interval.to + 1]))
+    .filter((t, i, all) => all.indexOf(t) === i)
+    .sort((a, b) => a - b);
+  const periods = [];
+  for (let i = 0; i < boundaries.length - 1; i += 1) {
+    const amount = intervals
+      .filter((interval) => interval.from <= boundaries[i] && interval.to >= boundaries[i])
+      .reduce((agg, interval) => (agg === undefined ? interval.amount : Math.max(agg, interval.amount)), undefined);
+    const current = {
+      from: boundaries[i],
+      to: boundaries[i + 1] - 1,
+      amount: amount === undefined ? defaultCancellationAmount : amount,
+    };
+    if (periods.length && periods[periods.length - 1].amount === current.amount) {
+      periods[periods.length - 1].to = current.to;
+    } else {
+      periods.push(current);
+    }
+  }
+  return periods;
+};
+
 /**
  * Determines the cancellation fees for any given arrival date
  * in the future.
  *
+ * A policy `deadline` is in days before arrival, or in hours before
+ * check-in when the policy has `deadlineUnit` set to `hours`, such as
+ * `{ "deadline": 48, "deadlineUnit": "hours", "amount": 100 }`.
+ *
  * @param  {mixed} bookingDate anything parseable by dayjs marking
  * a date on which the booking is happening
  * @param  {mixed} arrivalDate anything parseable by dayjs marking
@@ -144,39 +239,352 @@ export const reduceFeeSchedule = (orderedSchedule) => {
  * in https://github.com/windingtree/wiki/blob/868b5d2685b1cd70647020978141be820ddccd30/hotel-data-swagger.yaml
  * @param  {Number} defaultCancellationAmount fallback amount as defined in
  * https://github.com/windingtree/wiki/blob/868b5d2685b1cd70647020978141be820ddccd30/hotel-data-swagger.yaml
- * @return {Array<Object>} Result of `reduceFeeSchedule`
+ * @param  {Object} options optional settings
+ * @param  {string} options.timezone IANA timezone of the hotel, see
+ * `toHotelTime`. Defaults to the timezone of the running process.
+ * @param  {string} options.checkInTime check-in time of the hotel
+ * such as `14:00`, defaults to `00:00`
+ * @param  {string} options.format `timestamp` (default) or `date`
+ * @return {Array<Object>} By default, a list of periods such as
+ * ```
+ * [
+ *   {
+ *     "from": "2018-01-01T15:34:00.000+01:00",
+ *     "to": "2018-01-08T13:59:59.999+01:00",
+ *     "amount": 10
+ *   }
+ * ]
+ * ```
+ * where `from` is the booking instant or the start of a policy and `to`
+ * is inclusive. The last period ends with the day of arrival.
+ *
+ * With the `date` format, periods cover whole days. The result is
+ * the one of `reduceFeeSchedule` where every period also contains
+ * `fromInstant` and `toInstant`, the start and the end of the period
+ * with an offset, such as `2018-01-01T00:00:00.000+09:00`.
  */
 export const computeCancellationFees = (bookingDate, arrivalDate,
-  cancellationPolicies, defaultCancellationAmount) => {
+  cancellationPolicies, defaultCancellationAmount, options = {}) => {
+  const timezone = options.timezone;
+  const bookingDayjs = toHotelTime(bookingDate, timezone);
+  const arrivalDayjs = toHotelTime(arrivalDate, timezone).startOf('day');
+  const checkInDayjs = getCheckIn(arrivalDayjs, options.checkInTime);
+  if (options.format !== 'date') {
+    return createTimeSchedule(
+      toTimestamp(bookingDayjs, timezone), arrivalDayjs, checkInDayjs,
+      cancellationPolicies || [], defaultCancellationAmount, timezone
+    ).map((period) => Object.assign(period, {
+      from: formatTimestamp(period.from, timezone),
+      to: formatTimestamp(period.to, timezone),
+    }));
+  }
   // We need to cover the whole days
-  const bookingDateDayjsSOD = dayjs(bookingDate).set('hour', 0).set('minute', 0).set('second', 0).set('millisecond', 0); ;
-  const arrivalDayjsEOD = dayjs(arrivalDate).set('hour', 23).set('minute', 59).set('second', 59).set('millisecond', 999); ;
+  const bookingDateDayjsSOD = bookingDayjs.set('hour', 0).set('minute', 0).set('second', 0).set('millisecond', 0); ;
+  const arrivalDayjsEOD = arrivalDayjs.set('hour', 23).set('minute', 59).set('second', 59).set('millisecond', 999); ;
+  let periods;
   // Fallback to defaultCancellationAmount
   if (!cancellationPolicies || !cancellationPolicies.length) {
-    return [
+    periods = [
       {
         from: bookingDateDayjsSOD.format('YYYY-MM-DD'),
         to: arrivalDayjsEOD.format('YYYY-MM-DD'),
         amount: defaultCancellationAmount,
       },
     ];
+  } else {
+    const normalizedPolicies = normalizePolicyDates(
+      bookingDateDayjsSOD,
+      arrivalDayjsEOD,
+      cancellationPolicies,
+      checkInDayjs,
+    );
+    periods = reduceFeeSchedule(createFeeSchedule(
+      bookingDateDayjsSOD,
+      arrivalDayjsEOD,
+      normalizedPolicies,
+      defaultCancellationAmount,
+    ));
+  }
+  return periods.map((period) => Object.assign(period, {
+    fromInstant: formatInstant(dayjs(period.from).startOf('day'), timezone),
+    toInstant: formatInstant(dayjs(period.to).endOf('day'), timezone),
+  }));
+};
+
+// Fee as a part of the price
+const describeFee = (fee, price) => ({
+  percentage: price.total.value ? Math.round(fee.value / price.total.value * 10000) / 100 : 0,
+  fee,
+  refund: price.total.subtract(fee),
+});
+
+/**
+ * Computes a cancellation fee of a single policy for a priced stay.
+ * The fee never exceeds the total price.
+ *
+ * Policies can declare their `amount` in different `unit`s:
+ *
+ * - `percentage` (default) - percentage of the total price
+ * - `nights` - price of the first N nights of the stay
+ * - `absolute` - fixed amount in the currency of the price
+ *
+ * @param  {Object} policy cancellation policy
+ * @param  {Object} price one of prices as returned by `PriceComputer`
+ * @return {currencyjs} fee in the currency of the price
+ */
+export const computePolicyFee = (policy, price) => {
+  const zero = currencyjs(0, { symbol: price.currency });
+  let fee;
+  if (policy.unit === 'nights') {
+    fee = price.components.stay
+      .slice(0, policy.amount)
+      .reduce((total, day) => total.add(day.subtotal), zero);
+  } else if (policy.unit === 'absolute') {
+    fee = zero.add(policy.amount);
+  } else {
+    fee = price.total.multiply(policy.amount / 100);
   }
-  const normalizedPolicies = normalizePolicyDates(
-    bookingDateDayjsSOD,
-    arrivalDayjsEOD,
-    cancellationPolicies,
+  return fee.value > price.total.value ? zero.add(price.total) : fee;
+};
+
+/**
+ * Determines the cancellation fees for any given arrival date
+ * in the future in the currency of a computed price.
+ *
+ * The schedule is built the same way as in `computeCancellationFees`,
+ * only policies are compared by the resulting fee, so they can
+ * be declared in any unit supported by `computePolicyFee`.
+ *
+ * @param  {mixed} bookingDate anything parseable by dayjs marking
+ * a date on which the booking is happening
+ * @param  {mixed} arrivalDate anything parseable by dayjs marking
+ * a date on which the consumer will arrive
+ * @param  {Array<Object>} cancellationPolicies list of policies as defined
+ * in https://github.com/windingtree/wiki/blob/868b5d2685b1cd70647020978141be820ddccd30/hotel-data-swagger.yaml
+ * optionally with a `unit`, see `computePolicyFee`
+ * @param  {Number} defaultCancellationAmount fallback amount as defined in
+ * https://github.com/windingtree/wiki/blob/868b5d2685b1cd70647020978141be820ddccd30/hotel-data-swagger.yaml
+ * @param  {Object} price one of prices as returned by `PriceComputer`,
+ * `currency`, `total` and `components.stay` are used
+ * @param  {Object} options passed to `computeCancellationFees`
+ * @return {Array<Object>} List of periods such as
+ * ```
+ * [
+ *   {
+ *     "from": "2018-01-01T00:00:00.000+01:00",
+ *     "to": "2018-01-10T23:59:59.999+01:00",
+ *     "percentage": 25,
+ *     "fee": <currencyjs instance>,
+ *     "refund": <currencyjs instance>
+ *   }
+ * ]
+ * ```
+ */
+export const computeCancellationFeeAmounts = (bookingDate, arrivalDate,
+  cancellationPolicies, defaultCancellationAmount, price, options) => {
+  const policies = (cancellationPolicies || []).map((cp) => Object.assign({}, cp, {
+    amount: computePolicyFee(cp, price).value,
+  }));
+  const defaultFee = computePolicyFee({ amount: defaultCancellationAmount }, price);
+  return computeCancellationFees(bookingDate, arrivalDate, policies, defaultFee.value, options)
+    .map(({ amount, ...period }) => ({
+      ...period,
+      ...describeFee(currencyjs(amount, { symbol: price.currency }), price),
+    }));
+};
+
+/**
+ * Picks cancellation terms of a rate plan. A rate plan can have
+ * its own `cancellationPolicies`, reference some of the hotel ones
+ * by their `id` in `cancellationPolicyIds` or use all of the hotel
+ * ones. The same goes for `defaultCancellationAmount`.
+ *
+ * @param  {Object} ratePlan
+ * @param  {Array<Object>} cancellationPolicies hotel cancellation policies
+ * @param  {Number} defaultCancellationAmount hotel fallback amount
+ * @return {Object|undefined} such as
+ * ```
+ * {
+ *   "cancellationPolicies": [{ "id": "flexible", "amount": 50, "deadline": 3 }],
+ *   "defaultCancellationAmount": 0
+ * }
+ * ```
+ * or undefined when neither the rate plan nor the hotel have any terms.
+ */
+export const selectCancellationTerms = (ratePlan, cancellationPolicies, defaultCancellationAmount) => {
+  let policies = cancellationPolicies;
+  if (ratePlan.cancellationPolicies) {
+    policies = ratePlan.cancellationPolicies;
+  } else if (ratePlan.cancellationPolicyIds) {
+    policies = (cancellationPolicies || []).filter((cp) => ratePlan.cancellationPolicyIds.indexOf(cp.id) !== -1);
+  }
+  const defaultAmount = ratePlan.defaultCancellationAmount !== undefined
+    ? ratePlan.defaultCancellationAmount
+    : defaultCancellationAmount;
+  if (policies === undefined && defaultAmount === undefined) {
+    return undefined;
+  }
+  return {
+    cancellationPolicies: policies || [],
+    defaultCancellationAmount: defaultAmount || 0,
+  };
+};
+
+/**
+ * Combines fee schedules of a single price into the strictest one,
+ * i. e. the highest fee of all schedules applies at every instant.
+ * This is used when a price mixes rate plans with different terms.
+ *
+ * @param  {Array<Array<Object>>} schedules results of `computeCancellationFeeAmounts`
+ * in the timestamp format, all for the same booking and price
+ * @param  {Object} price one of prices as returned by `PriceComputer`
+ * @return {Array<Object>} List of periods in the same format
+ */
+export const combineCancellationFees = (schedules, price) => {
+  const periods = [].concat(...schedules).map((p) => ({
+    period: p,
+    from: dayjs(p.from).valueOf(),
+    to: dayjs(p.to).valueOf(),
+  }));
+  const starts = periods
+    .filter((p, i, all) => all.findIndex((other) => other.from === p.from) === i)
+    .sort((a, b) => a.from - b.from);
+  const combined = [];
+  starts.forEach((start) => {
+    const fee = periods
+      .filter((p) => p.from <= start.from && p.to >= start.from)
+      .reduce((agg, p) => (agg.value < p.period.fee.value ? p.period.fee : agg), currencyjs(0, { symbol: price.currency }));
+    const last = combined[combined.length - 1];
+    if (last && last.fee.value === fee.value) {
+      return;
+    }
+    if (last) {
+      last.to = periods.find((p) => p.to === start.from - 1).period.to;
+    }
+    combined.push({ from: start.period.from, fee });
+  });
+  if (combined.length) {
+    const end = periods.reduce((agg, p) => (agg.to < p.to ? p : agg));
+    combined[combined.length - 1].to = end.period.to;
+  }
+  return combined.map((p) => ({
+    from: p.from,
+    to: p.to,
+    ...describeFee(p.fee, price),
+  }));
+};
+
+/**
+ * Computes how much a guest pays when leaving before the end
+ * of the stay. Nights before `departureDate` are paid in full
+ * together with all taxes and fees, the remaining nights are
+ * charged according to the policy. Without a policy, the remaining
+ * nights are not charged at all.
+ *
+ * An early departure policy has an `amount` in one of the units
+ * supported by `computePolicyFee`, computed from the remaining
+ * nights only, such as `{ "amount": 50, "unit": "percentage" }`
+ * for the remaining nights at 50 %.
+ *
+ * @param  {Object} policy optional early departure policy
+ * @param  {Object} price one of prices as returned by `PriceComputer`
+ * @param  {mixed} departureDate the real date of departure, anything
+ * parseable by dayjs
+ * @return {currencyjs} amount kept by the hotel in the currency of the price
+ */
+export const computeEarlyDepartureFee = (policy, price, departureDate) => {
+  const zero = currencyjs(0, { symbol: price.currency });
+  const departureDayjs = dayjs(departureDate).startOf('day');
+  const remainingNights = price.components.stay.filter((day) => !dayjs(day.date).isBefore(departureDayjs));
+  const remainingTotal = remainingNights.reduce((total, day) => total.add(day.subtotal), zero);
+  const usedTotal = price.total.subtract(remainingTotal);
+  if (!policy || !remainingNights.length) {
+    return usedTotal;
+  }
+  return usedTotal.add(computePolicyFee(policy, {
+    currency: price.currency,
+    total: remainingTotal,
+    components: { stay: remainingNights },
+  }));
+};
+
+/**
+ * Answers what would it cost to cancel a booking at a given instant.
+ *
+ * - Until the end of the day of arrival, the fee follows the cancellation
+ * schedule, either the `cancellationFees` of the price (see `PriceComputer`)
+ * or the one of the hotel, see `computeCancellationFeeAmounts`.
+ * - Afterwards, a guest who has not arrived is a no-show. The hotel
+ * `noShowPolicy` (an `amount` in one of the units supported by
+ * `computePolicyFee`) is used, or the last fee of the schedule without it.
+ * - A guest who has already arrived departs early, see
+ * `computeEarlyDepartureFee` and the hotel `earlyDeparturePolicy`.
+ *
+ * @param  {mixed} cancellationDate anything parseable by dayjs marking
+ * the instant of cancellation, see `toHotelTime`
+ * @param  {Object} booking
+ * @param  {mixed} booking.bookingDate anything parseable by dayjs
+ * @param  {mixed} booking.arrivalDate anything parseable by dayjs
+ * @param  {Object} booking.price one of prices as returned by `PriceComputer`
+ * @param  {Boolean} booking.arrived true when the guest has already checked in
+ * @param  {Object} hotel hotel data, `cancellationPolicies`,
+ * `defaultCancellationAmount`, `noShowPolicy`, `earlyDeparturePolicy`,
+ * `timezone` and `checkInTime` fields are used
+ * @return {Object} such as
+ * ```
+ * {
+ *   "type": "cancellation", // or "noShow" or "earlyDeparture"
+ *   "percentage": 25,
+ *   "fee": <currencyjs instance>,
+ *   "refund": <currencyjs instance>
+ * }
+ * ```
+ */
+export const computeCancellationCost = (cancellationDate, booking, hotel) => {
+  const price = booking.price;
+  const timezone = hotel.timezone;
+  const cancellationDayjs = toHotelTime(cancellationDate, timezone);
+  if (booking.arrived) {
+    return {
+      type: 'earlyDeparture',
+      ...describeFee(computeEarlyDepartureFee(hotel.earlyDeparturePolicy, price, cancellationDayjs.format('YYYY-MM-DD')), price),
+    };
+  }
+  const cancellationTimestamp = toTimestamp(cancellationDayjs, timezone);
+  const arrivalDayjs = toHotelTime(booking.arrivalDate, timezone).startOf('day');
+  const schedule = price.cancellationFees || computeCancellationFeeAmounts(
+    booking.bookingDate, booking.arrivalDate, hotel.cancellationPolicies, hotel.defaultCancellationAmount, price,
+    { timezone, checkInTime: hotel.checkInTime }
   );
-  return reduceFeeSchedule(createFeeSchedule(
-    bookingDateDayjsSOD,
-    arrivalDayjsEOD,
-    normalizedPolicies,
-    defaultCancellationAmount,
-  ));
+  const defaultFee = computePolicyFee({ amount: hotel.defaultCancellationAmount }, price);
+  if (cancellationTimestamp <= toTimestamp(arrivalDayjs.endOf('day'), timezone)) {
+    // Cancellation before the booking itself falls into the first period
+    const period = schedule.find((p) => dayjs(p.to).valueOf() >= cancellationTimestamp);
+    return {
+      type: 'cancellation',
+      ...describeFee(period ? period.fee : defaultFee, price),
+    };
+  }
+  let fee = schedule.length ? schedule[schedule.length - 1].fee : defaultFee;
+  if (hotel.noShowPolicy) {
+    fee = computePolicyFee(hotel.noShowPolicy, price);
+  }
+  return {
+    type: 'noShow',
+    ...describeFee(fee, price),
+  };
 };
 
 export default {
   normalizePolicyDates,
   createFeeSchedule,
   reduceFeeSchedule,
+  createTimeSchedule,
   computeCancellationFees,
+  computePolicyFee,
+  computeCancellationFeeAmounts,
+  selectCancellationTerms,
+  combineCancellationFees,
+  computeEarlyDepartureFee,
+  computeCancellationCost,
 };
@@ -1,9 +1,23 @@
+import allocation from './allocation';
 import availability from './availability';
 import cancellationFees from './cancellation-fees';
+import inventory from './inventory';
+import modifications from './modifications';
+import paymentSchedule from './payment-schedule';
 import prices from './prices';
+import quote from './quote';
+import timezone from './timezone';
+import validation from './validation';
 
 export default {
+  allocation,
   availability,
   cancellationFees,
+  inventory,
+  modifications,
+  paymentSchedule,
   prices,
+  quote,
+  timezone,
+  validation,
 };
@@ -0,0 +1,193 @@
+import {
+  indexAvailability,
+} from './availability';
+import {
+  toHotelTime,
+} from './timezone';
+
+/**
+ * Error scoped to Inventory
+ */
+export class InventoryError extends Error {};
+
+/**
+ * A mutable inventory built from availability records. It allows
+ * to simulate reservations and cancellations and to get an updated
+ * view usable everywhere an `indexAvailability` result is expected.
+ *
+ * The original records are never modified.
+ */
+export class Inventory {
+  /**
+   * @param  {Array<Object>} availability List of availability records,
+   * the same as accepted by `indexAvailability`
+   * @param  {Object} options optional settings
+   * @param  {Number|Object} options.overbookingLimit number of rooms
+   * that can be reserved over the available quantity on every night,
+   * either the same for all room types or an object such as `{ "rta": 2 }`.
+   * Defaults to 0.
+   * @param  {Object} options.capacity total number of rooms per room
+   * type such as `{ "rta": 10 }`. When set, releasing rooms cannot raise
+   * the available quantity above it.
+   * @param  {string} options.timezone IANA timezone of the hotel, arrival
+   * and departure dates are evaluated in it, see `toHotelTime`
+   */
+  constructor (availability, options = {}) {
+    if (!availability) {
+      throw new InventoryError('Missing availability');
+    }
+    this.indexedAvailability = indexAvailability(availability);
+    this.overbookingLimit = options.overbookingLimit || 0;
+    this.capacity = options.capacity || {};
+    this.timezone = options.timezone;
+    this.changes = {};
+    this.changeLog = [];
+  }
+
+  /**
+   * Current quantity of a room type on a date, negative when
+   * the room type is overbooked.
+   *
+   * @param  {string} roomTypeId
+   * @param  {string} date YYYY-MM-DD
+   * @return {Number|undefined} undefined when there is no record
+   */
+  getQuantity (roomTypeId, date) {
+    const record = this.indexedAvailability[roomTypeId] && this.indexedAvailability[roomTypeId][date];
+    if (!record) {
+      return undefined;
+    }
+    return record.quantity + ((this.changes[roomTypeId] && this.changes[roomTypeId][date]) || 0);
+  }
+
+  /**
+   * Lists the nights of a stay and checks that all of them
+   * have an availability record.
+   */
+  _getNights (roomTypeId, arrivalDate, departureDate, quantity) {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new InventoryError(`Quantity has to be a positive integer, got ${quantity}`);
+    }
+    const arrivalDateDayjs = toHotelTime(arrivalDate, this.timezone);
+    const lengthOfStay = toHotelTime(departureDate, this.timezone).diff(arrivalDateDayjs, 'days');
+    if (lengthOfStay <= 0) {
+      throw new InventoryError('Departure has to be after arrival');
+    }
+    const nights = [];
+    for (let i = 0; i < lengthOfStay; i += 1) {
+      const date = arrivalDateDayjs.add(i, 'day').format('YYYY-MM-DD');
+      if (this.getQuantity(roomTypeId, date) === undefined) {
+        const error = new InventoryError(`No availability of ${roomTypeId} on ${date}`);
+        error.date = date;
+        throw error;
+      }
+      nights.push(date);
+    }
+    return nights;
+  }
+
+  /**
+   * Applies a change of quantity on every night and records it.
+   */
+  _apply (type, roomTypeId, arrivalDate, departureDate, quantity, nights, delta) {
+    this.changes[roomTypeId] = this.changes[roomTypeId] || {};
+    nights.forEach((date) => {
+      this.changes[roomTypeId][date] = (this.changes[roomTypeId][date] || 0) + delta;
+    });
+    const change = {
+      type,
+      roomTypeId,
+      arrivalDate: toHotelTime(arrivalDate, this.timezone).format('YYYY-MM-DD'),
+      departureDate: toHotelTime(departureDate, this.timezone).format('YYYY-MM-DD'),
+      quantity,
+      dates: nights,
+    };
+    this.changeLog.push(change);
+    return change;
+  }
+
+  /**
+   * Takes rooms of a room type for every night of the stay.
+   * Nothing is changed when any of the nights cannot
+   * accommodate the reservation.
+   *
+   * @param  {string} roomTypeId
+   * @param  {mixed} arrivalDate anything parseable by dayjs
+   * @param  {mixed} departureDate anything parseable by dayjs
+   * @param  {Number} quantity number of rooms, defaults to 1
+   * @throws {InventoryError} when a night has no availability record
+   * or the reservation would exceed the overbooking limit. The error
+   * contains the `date` of the failing night.
+   * @return {Object} the change log entry
+   */
+  reserve (roomTypeId, arrivalDate, departureDate, quantity = 1) {
+    const nights = this._getNights(roomTypeId, arrivalDate, departureDate, quantity);
+    const limit = typeof this.overbookingLimit === 'object'
+      ? (this.overbookingLimit[roomTypeId] || 0)
+      : this.overbookingLimit;
+    nights.forEach((date) => {
+      const available = this.getQuantity(roomTypeId, date);
+      if (available - quantity < -limit) {
+        const error = new InventoryError(`Cannot reserve ${quantity} of ${roomTypeId} on ${date}, only ${Math.max(0, available + limit)} left`);
+        error.date = date;
+        throw error;
+      }
+    });
+    return this._apply('reserve', roomTypeId, arrivalDate, departureDate, quantity, nights, -quantity);
+  }
+
+  /**
+   * Returns rooms of a room type for every night of the stay,
+   * such as when a booking is cancelled. Nothing is changed when
+   * any of the nights would exceed the room type capacity.
+   *
+   * @param  {string} roomTypeId
+   * @param  {mixed} arrivalDate anything parseable by dayjs
+   * @param  {mixed} departureDate anything parseable by dayjs
+   * @param  {Number} quantity number of rooms, defaults to 1
+   * @throws {InventoryError} when a night has no availability record
+   * or the release would exceed the capacity. The error contains
+   * the `date` of the failing night.
+   * @return {Object} the change log entry
+   */
+  release (roomTypeId, arrivalDate, departureDate, quantity = 1) {
+    const nights = this._getNights(roomTypeId, arrivalDate, departureDate, quantity);
+    const capacity = this.capacity[roomTypeId];
+    if (capacity !== undefined) {
+      nights.forEach((date) => {
+        if (this.getQuantity(roomTypeId, date) + quantity > capacity) {
+          const error = new InventoryError(`Cannot release ${quantity} of ${roomTypeId} on ${date}, capacity is ${capacity}`);
+          error.date = date;
+          throw error;
+        }
+      });
+    }
+    return this._apply('release', roomTypeId, arrivalDate, departureDate, quantity, nights, quantity);
+  }
+
+  /**
+   * Current state of the inventory in the format produced by
+   * `indexAvailability`. Records of changed nights are copies
+   * with an updated `quantity`, overbooked nights have 0.
+   *
+   * @return {Object}
+   */
+  getIndexedAvailability () {
+    return Object.keys(this.indexedAvailability).reduce((agg, roomTypeId) => {
+      const changes = this.changes[roomTypeId] || {};
+      const records = this.indexedAvailability[roomTypeId];
+      return Object.assign(agg, {
+        [roomTypeId]: Object.keys(records).reduce((roomTypeAgg, date) => Object.assign(roomTypeAgg, {
+          [date]: changes[date]
+            ? Object.assign({}, records[date], { quantity: Math.max(0, this.getQuantity(roomTypeId, date)) })
+            : records[date],
+        }), {}),
+      });
+    }, {});
+  }
+}
+
+export default {
+  Inventory,
+  InventoryError,
+};
@@ -0,0 +1,214 @@
+import dayjs from 'dayjs';
+import currencyjs from 'currency.js';
+
+import {
+  combineCancellationFees,
+  computeCancellationFeeAmounts,
+  selectCancellationTerms,
+} from './cancellation-fees';
+import {
+  toHotelTime,
+  toTimestamp,
+} from './timezone';
+
+/**
+ * Error scoped to booking modifications
+ */
+export class ModificationError extends Error {};
+
+/**
+ * Prices a booking with a `PriceComputer`. With a `ratePlanId`,
+ * the stay is priced by that single rate plan, otherwise
+ * by `getBestPrice`.
+ *
+ * @param  {PriceComputer} priceComputer
+ * @param  {Object} booking see `computeModification`
+ * @throws {ModificationError} when the booking cannot be priced
+ * @return {Object} one of prices as returned by `PriceComputer`
+ */
+export const priceBooking = (priceComputer, booking) => {
+  const currency = booking.currency || priceComputer.defaultCurrency;
+  const args = [
+    booking.bookingDate, booking.arrivalDate, booking.departureDate,
+    booking.guests, currency, booking.roomTypeId,
+  ];
+  const results = booking.ratePlanId
+    ? priceComputer.getPossiblePricesWithSingleRatePlan(...args, undefined, booking.access)
+    : priceComputer.getBestPrice(...args, booking.access);
+  const roomTypePrices = results.find((r) => r.id === booking.roomTypeId);
+  let price = roomTypePrices && roomTypePrices.prices.find((p) => p.currency === currency);
+  if (price && booking.ratePlanId) {
+    const ratePlanPrice = price.ratePlans.find((p) => p.ratePlan.id === booking.ratePlanId);
+    price = ratePlanPrice && { currency, ...ratePlanPrice };
+  }
+  if (!price || !price.total) {
+    throw new ModificationError(`Cannot price ${booking.roomTypeId}${booking.ratePlanId ? ` with ${booking.ratePlanId}` : ''} in ${currency}`);
+  }
+  return price;
+};
+
+// Sum of taxes or fees of a price
+const sumSurcharges = (surcharges, zero) => (surcharges || []).reduce((total, s) => total.add(s.total), zero);
+
+/**
+ * Compares two prices of the same booking night by night.
+ *
+ * @param  {Object} original one of prices as returned by `PriceComputer`
+ * @param  {Object} modified one of prices as returned by `PriceComputer`
+ * in the same currency
+ * @return {Object} such as
+ * ```
+ * {
+ *   "stay": [
+ *     {
+ *       "date": "2018-01-01",
+ *       "original": <currencyjs instance>,
+ *       "modified": <currencyjs instance>,
+ *       "delta": <currencyjs instance>
+ *     }
+ *   ],
+ *   "taxes": { "original": <currencyjs instance>, "modified": <currencyjs instance>, "delta": <currencyjs instance> },
+ *   "fees": { "original": <currencyjs instance>, "modified": <currencyjs instance>, "delta": <currencyjs instance> }
+ * }
+ * ```
+ * Nights that are not part of one of the stays have a zero subtotal there.
+ */
+export const diffPrices = (original, modified) => {
+  const zero = currencyjs(0, { symbol: original.currency });
+  const describe = (originalAmount, modifiedAmount) => ({
+    original: originalAmount,
+    modified: modifiedAmount,
+    delta: modifiedAmount.subtract(originalAmount),
+  });
+  const dates = original.components.stay.map((day) => day.date)
+    .concat(modified.components.stay.map((day) => day.date))
+    .filter((date, i, all) => all.indexOf(date) === i)
+    .sort();
+  const getSubtotal = (price, date) => {
+    const day = price.components.stay.find((d) => d.date === date);
+    return day ? zero.add(day.subtotal) : zero;
+  };
+  return {
+    stay: dates.map((date) => ({
+      date,
+      ...describe(getSubtotal(original, date), getSubtotal(modified, date)),
+    })),
+    taxes: describe(sumSurcharges(original.components.taxes, zero), sumSurcharges(modified.components.taxes, zero)),
+    fees: describe(sumSurcharges(original.components.fees, zero), sumSurcharges(modified.components.fees, zero)),
+  };
+};
+
+/**
+ * Computes what changes when a booking is modified, such as
+ * when the stay is shortened, a guest is removed or the room type
+ * is switched.
+ *
+ * Both bookings are priced by `priceBooking`. When the modified booking
+ * is cheaper, the difference is the removed portion. The cancellation
+ * fee in force at the moment of modification, as computed by
+ * `computeCancellationFeeAmounts` with the terms of every rate plan sold
+ * on the removed nights (see `selectCancellationTerms`) and the hotel terms
+ * of `priceComputer`, applies to it. Mixed rate plans follow the strictest
+ * terms, see `combineCancellationFees`. Nights removed from the stay form
+ * the `components.stay` of the removed portion, so fees in `nights` count
+ * only those.
+ *
+ * @param  {PriceComputer} priceComputer used for pricing both bookings
+ * and providing cancellation terms, `timezone` and `checkInTime`
+ * @param  {Object} original booking
+ * @param  {mixed} original.bookingDate anything parseable by dayjs
+ * @param  {mixed} original.arrivalDate anything parseable by dayjs
+ * @param  {mixed} original.departureDate anything parseable by dayjs
+ * @param  {Array<Object>} original.guests List of information about guests
+ * @param  {string} original.roomTypeId
+ * @param  {string} original.ratePlanId optional, see `priceBooking`
+ * @param  {Object} original.access optional credentials of the guest
+ * unlocking private rate plans, see `prices/access`
+ * @param  {string} original.currency optional, defaults to the `defaultCurrency`
+ * of `priceComputer`
+ * @param  {Object} modified booking, missing fields are taken from `original`,
+ * so it is priced with the original `bookingDate` unless specified
+ * @param  {mixed} modificationDate anything parseable by dayjs marking
+ * the instant of modification, see `toHotelTime`
+ * @throws {ModificationError} when any of the bookings cannot be priced
+ * or they are in different currencies
+ * @return {Object} such as
+ * ```
+ * {
+ *   "currency": "EUR",
+ *   "original": <price of the original booking>,
+ *   "modified": <price of the modified booking>,
+ *   "delta": <currencyjs instance>, // negative when the modified booking is cheaper
+ *   "penalty": <currencyjs instance>,
+ *   "refund": <currencyjs instance>,
+ *   "components": <result of diffPrices>
+ * }
+ * ```
+ */
+export const computeModification = (priceComputer, original, modified, modificationDate) => {
+  const modifiedBooking = Object.assign({}, original, modified);
+  const originalPrice = priceBooking(priceComputer, original);
+  const modifiedPrice = priceBooking(priceComputer, modifiedBooking);
+  if (originalPrice.currency !== modifiedPrice.currency) {
+    throw new ModificationError(`Cannot compare ${originalPrice.currency} with ${modifiedPrice.currency}`);
+  }
+  const zero = currencyjs(0, { symbol: originalPrice.currency });
+  const delta = modifiedPrice.total.subtract(originalPrice.total);
+  const components = diffPrices(originalPrice, modifiedPrice);
+  const removed = delta.value < 0 ? zero.subtract(delta) : zero;
+
+  let penalty = zero;
+  if (removed.value > 0) {
+    const timezone = priceComputer.timezone;
+    const removedDates = components.stay.filter((day) => day.delta.value < 0).map((day) => day.date);
+    const removedPortion = {
+      currency: originalPrice.currency,
+      total: removed,
+      components: {
+        stay: components.stay
+          .filter((day) => removedDates.indexOf(day.date) !== -1)
+          .map((day) => ({ date: day.date, subtotal: zero.subtract(day.delta) })),
+      },
+    };
+    // Every rate plan sold on the removed nights, all of them when only taxes or fees went down
+    const removedNights = originalPrice.components.stay
+      .filter((day) => !removedDates.length || removedDates.indexOf(day.date) !== -1);
+    const ratePlanIds = removedNights
+      .reduce((ids, day) => ids.concat(day.guests.map((g) => g.ratePlanId)), originalPrice.ratePlan ? [originalPrice.ratePlan.id] : [])
+      .filter((id, i, all) => id !== undefined && all.indexOf(id) === i);
+    const schedules = ratePlanIds
+      .map((id) => selectCancellationTerms(
+        priceComputer.ratePlans.find((rp) => rp.id === id) || {},
+        priceComputer.cancellationPolicies, priceComputer.defaultCancellationAmount
+      ))
+      .filter((terms) => terms)
+      .map((terms) => computeCancellationFeeAmounts(
+        original.bookingDate, original.arrivalDate, terms.cancellationPolicies, terms.defaultCancellationAmount,
+        removedPortion, { timezone, checkInTime: priceComputer.checkInTime }
+      ));
+    const schedule = schedules.length > 1 ? combineCancellationFees(schedules, removedPortion) : (schedules[0] || []);
+    const modificationTimestamp = toTimestamp(toHotelTime(modificationDate, timezone), timezone);
+    // Modifications after the day of arrival follow the last period
+    const period = schedule.find((p) => dayjs(p.to).valueOf() >= modificationTimestamp) || schedule[schedule.length - 1];
+    if (period) {
+      penalty = period.fee;
+    }
+  }
+
+  return {
+    currency: originalPrice.currency,
+    original: originalPrice,
+    modified: modifiedPrice,
+    delta,
+    penalty,
+    refund: removed.subtract(penalty),
+    components,
+  };
+};
+
+export default {
+  ModificationError,
+  priceBooking,
+  diffPrices,
+  computeModification,
+};
@@ -0,0 +1,198 @@
+import dayjs from 'dayjs';
+import currencyjs from 'currency.js';
+import {
+  computePolicyFee,
+} from './cancellation-fees';
+import {
+  toHotelTime,
+  toTimestamp,
+} from './timezone';
+
+/**
+ * Error scoped to payment schedules
+ */
+export class PaymentScheduleError extends Error {};
+
+// The smallest amount currencies are rounded to
+const ROUNDING_UNIT = 0.01;
+
+/**
+ * Sorts out due dates of payment policies. A policy is due
+ * `deadline` days before arrival or on the booking date when
+ * the deadline is missing or already passed.
+ *
+ * @param  {dayjs} bookingDateDayjs start of the booking day
+ * @param  {dayjs} arrivalDateDayjs start of the arrival day
+ * @param  {Array<Object>} paymentPolicies
+ * @return {Array<Object>} policies with a `dueDate` dayjs
+ * sorted by it, policies without an `amount` last
+ */
+export const normalizePaymentPolicies = (bookingDateDayjs, arrivalDateDayjs, paymentPolicies) => paymentPolicies
+  .map((pp, i) => {
+    let dueDate = pp.deadline === undefined
+      ? bookingDateDayjs
+      : arrivalDateDayjs.subtract(pp.deadline, 'days');
+    if (dueDate.isBefore(bookingDateDayjs)) {
+      dueDate = bookingDateDayjs;
+    }
+    return Object.assign({}, pp, { dueDate, order: i });
+  })
+  .sort((a, b) => {
+    if (a.dueDate.isSame(b.dueDate)) {
+      return (a.amount === undefined) - (b.amount === undefined) || a.order - b.order;
+    }
+    return a.dueDate.isBefore(b.dueDate) ? -1 : 1;
+  })
+  .map(({ order, ...pp }) => pp);
+
+/**
+ * Checks that deposits paid so far are never larger than what a guest
+ * would get back when cancelling at the moment each of them is due.
+ * Deposits are all instalments but the last one, the final balance
+ * is due regardless of the refund in force.
+ *
+ * @param  {Array<Object>} instalments result of `computePaymentSchedule`
+ * @param  {Array<Object>} cancellationFees result of `computeCancellationFeeAmounts`
+ * for the same booking and price
+ * @param  {Object} options
+ * @param  {string} options.timezone optional IANA timezone of the hotel
+ * @param  {mixed} options.bookingDate optional instant of booking, instalments
+ * due on the booking date are checked against it instead of the start of the day
+ * @throws {PaymentScheduleError} with the failing `instalment` and the
+ * amount `paid` until it is due
+ */
+export const checkPaymentSchedule = (instalments, cancellationFees, options = {}) => {
+  const bookingTimestamp = options.bookingDate !== undefined
+    ? toTimestamp(toHotelTime(options.bookingDate, options.timezone), options.timezone)
+    : undefined;
+  const periods = cancellationFees.map((p) => ({
+    from: dayjs(p.from).valueOf(),
+    to: dayjs(p.to).valueOf(),
+    refund: p.refund,
+  }));
+  const deposits = instalments
+    .slice()
+    .sort((a, b) => (a.dueDate < b.dueDate ? -1 : (a.dueDate > b.dueDate ? 1 : 0)))
+    .slice(0, -1);
+  let paid;
+  deposits.forEach((instalment) => {
+    paid = paid ? paid.add(instalment.amount) : instalment.amount;
+    let dueTimestamp = toTimestamp(dayjs(instalment.dueDate), options.timezone);
+    if (bookingTimestamp !== undefined && bookingTimestamp > dueTimestamp) {
+      dueTimestamp = bookingTimestamp;
+    }
+    const period = periods.find((p) => p.from <= dueTimestamp && p.to >= dueTimestamp);
+    if (period && paid.value > period.refund.value) {
+      const error = new PaymentScheduleError(
+        `Instalments of ${paid.format()} paid by ${instalment.dueDate} are larger than the refund of ${period.refund.format()}`
+      );
+      error.instalment = instalment;
+      error.paid = paid;
+      throw error;
+    }
+  });
+};
+
+/**
+ * Splits a price into dated instalments.
+ *
+ * Payment policies declare their `amount` in any unit supported
+ * by `computePolicyFee` and a `deadline` in days before arrival,
+ * such as `{ "amount": 30 }` (30 % at booking) and
+ * `{ "deadline": 14 }` (the rest 14 days before arrival).
+ * At most one policy can omit the `amount` and take the rest.
+ * Instalments due on the same date are merged.
+ *
+ * Amounts are rounded in the currency of the price and the rounding
+ * remainder is added to the last instalment, even when the policy taking
+ * the rest of the price comes earlier, so they always add up to the total.
+ *
+ * @param  {mixed} bookingDate anything parseable by dayjs marking
+ * a date on which the booking is happening
+ * @param  {mixed} arrivalDate anything parseable by dayjs marking
+ * a date on which the consumer will arrive
+ * @param  {Array<Object>} paymentPolicies list of payment policies
+ * @param  {Object} price one of prices as returned by `PriceComputer`,
+ * `currency`, `total` and `components.stay` are used
+ * @param  {Object} options optional settings
+ * @param  {string} options.timezone IANA timezone of the hotel, dates
+ * are evaluated in it, see `toHotelTime`
+ * @param  {Array<Object>} options.cancellationFees result of
+ * `computeCancellationFeeAmounts`, when present, the schedule
+ * is checked against it, see `checkPaymentSchedule`
+ * @throws {PaymentScheduleError} when the policies do not add up
+ * to the total or the schedule is inconsistent with cancellation fees
+ * @return {Array<Object>} List of instalments such as
+ * ```
+ * [
+ *   {
+ *     "dueDate": "2018-01-01",
+ *     "percentage": 30,
+ *     "amount": <currencyjs instance>
+ *   }
+ * ]
+ * ```
+ */
+export const computePaymentSchedule = (bookingDate, arrivalDate, paymentPolicies, price, options = {}) => {
+  if (!paymentPolicies || !paymentPolicies.length) {
+    throw new PaymentScheduleError('Missing payment policies');
+  }
+  if (paymentPolicies.filter((pp) => pp.amount === undefined).length > 1) {
+    throw new PaymentScheduleError('Only one payment policy can take the rest of the price');
+  }
+  const timezone = options.timezone;
+  const zero = currencyjs(0, { symbol: price.currency });
+  const policies = normalizePaymentPolicies(
+    toHotelTime(bookingDate, timezone).startOf('day'),
+    toHotelTime(arrivalDate, timezone).startOf('day'),
+    paymentPolicies
+  );
+  const amounts = policies.map((pp) => (pp.amount === undefined ? undefined : computePolicyFee(pp, price)));
+  const declared = amounts.reduce((total, amount) => (amount ? total.add(amount) : total), zero);
+  const restIndex = amounts.indexOf(undefined);
+  if (declared.value > price.total.value) {
+    throw new PaymentScheduleError(`Payment policies add up to ${declared.format()}, more than ${price.total.format()}`);
+  }
+  if (restIndex === -1 && price.total.subtract(declared).value > ROUNDING_UNIT * policies.length) {
+    throw new PaymentScheduleError(`Payment policies add up to ${declared.format()}, less than ${price.total.format()}`);
+  }
+  // The rest is taken before rounding, so that rounding differences end up on the last instalment
+  const unrounded = policies.reduce((total, pp, i) => {
+    if (i === restIndex) {
+      return total;
+    }
+    return total + (pp.unit === undefined || pp.unit === 'percentage'
+      ? Math.min(price.total.value, price.total.value * pp.amount / 100)
+      : amounts[i].value);
+  }, 0);
+  const restAmounts = amounts.map((amount, i) => (i === restIndex ? zero.add(Math.max(0, price.total.value - unrounded)) : amount));
+  const remainder = price.total.subtract(restAmounts.reduce((total, amount) => total.add(amount), zero));
+  restAmounts[restAmounts.length - 1] = restAmounts[restAmounts.length - 1].add(remainder);
+  const instalments = policies.reduce((agg, pp, i) => {
+    const dueDate = pp.dueDate.format('YYYY-MM-DD');
+    const last = agg[agg.length - 1];
+    if (last && last.dueDate === dueDate) {
+      last.amount = last.amount.add(restAmounts[i]);
+    } else {
+      agg.push({ dueDate, amount: restAmounts[i] });
+    }
+    return agg;
+  }, [])
+    .filter((instalment) => instalment.amount.value > 0)
+    .map((instalment) => ({
+      dueDate: instalment.dueDate,
+      percentage: price.total.value ? Math.round(instalment.amount.value / price.total.value * 10000) / 100 : 0,
+      amount: instalment.amount,
+    }));
+  if (options.cancellationFees) {
+    checkPaymentSchedule(instalments, options.cancellationFees, { timezone, bookingDate });
+  }
+  return instalments;
+};
+
+export default {
+  PaymentScheduleError,
+  normalizePaymentPolicies,
+  checkPaymentSchedule,
+  computePaymentSchedule,
+};
@@ -0,0 +1,181 @@
+import dayjs from 'dayjs';
+
+/**
+ * Rate plans with an `access` field are private, they are applicable
+ * only to requests carrying one of the listed credentials:
+ *
+ * - `promoCodes` - list of promo codes
+ * - `corporateAccountIds` - list of negotiated corporate accounts
+ * - `membershipTiers` - list of loyalty program tiers
+ *
+ * Rate plan modifiers can be limited to a promo code by
+ * the `promoCode` condition.
+ *
+ * Credentials of a request are described by an access object such as
+ * `{ "promoCodes": ["SUMMER"], "corporateAccountId": "acme", "membershipTier": "gold" }`.
+ */
+
+// Rate plan access fields and the requested credentials they match
+const CREDENTIALS = [
+  { field: 'promoCodes', credential: 'promoCode', requested: (access) => access.promoCodes || [] },
+  { field: 'corporateAccountIds', credential: 'corporateAccountId', requested: (access) => [access.corporateAccountId] },
+  { field: 'membershipTiers', credential: 'membershipTier', requested: (access) => [access.membershipTier] },
+];
+
+/**
+ * Finds the credential of a request that unlocks a private rate plan.
+ *
+ * @param  {Object} ratePlanAccess `access` of a rate plan
+ * @param  {Object} access credentials of a request
+ * @return {Object|undefined} such as `{ "promoCode": "SUMMER" }`
+ * or undefined when nothing matches
+ */
+export const selectAccessCredential = (ratePlanAccess, access = {}) => {
+  for (let i = 0; i < CREDENTIALS.length; i += 1) {
+    const { field, credential, requested } = CREDENTIALS[i];
+    const value = requested(access).find((v) => v !== undefined && (ratePlanAccess[field] || []).indexOf(v) !== -1);
+    if (value !== undefined) {
+      return { [credential]: value };
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Explains why a private rate plan is not available to a request.
+ *
+ * @param  {Object} ratePlan
+ * @param  {Object} access credentials of a request
+ * @return {string|undefined} The rule that excludes the rate plan
+ * or undefined if the rate plan is public or unlocked.
+ */
+export const explainAccessRejection = (ratePlan, access) => {
+  if (!ratePlan.access || selectAccessCredential(ratePlan.access, access)) {
+    return undefined;
+  }
+  const required = CREDENTIALS
+    .filter(({ field }) => (ratePlan.access[field] || []).length)
+    .map(({ credential }) => credential);
+  return `access requires a matching ${required.length ? required.join(' or ') : 'credential'}`;
+};
+
+/**
+ * Explains why a promo code cannot be used. A code is known when
+ * it is defined in hotel `promoCodes` or used by any rate plan or
+ * modifier. Definitions can limit the code validity by
+ * `availableForReservation`, such as
+ * `{ "code": "SUMMER", "availableForReservation": { "from": "2018-01-01", "to": "2018-05-31" } }`.
+ *
+ * @param  {string} code
+ * @param  {Array<Object>} promoCodes optional hotel promo code definitions
+ * @param  {Array<Object>} ratePlans
+ * @param  {dayjs} bookingDateDayjs
+ * @return {string|undefined} The reason or undefined for valid codes
+ */
+export const explainPromoCodeRejection = (code, promoCodes, ratePlans, bookingDateDayjs) => {
+  const definition = (promoCodes || []).find((pc) => pc.code === code);
+  const used = ratePlans.some((rp) => (rp.access && (rp.access.promoCodes || []).indexOf(code) !== -1) ||
+    (rp.modifiers || []).some((mod) => mod && mod.conditions && mod.conditions.promoCode === code));
+  if (!definition && !used) {
+    return `promo code ${code} does not exist`;
+  }
+  const validity = definition && definition.availableForReservation;
+  if (validity && dayjs(validity.to).isBefore(bookingDateDayjs, 'day')) {
+    return `promo code ${code} expired on ${validity.to}`;
+  }
+  if (validity && dayjs(validity.from).isAfter(bookingDateDayjs, 'day')) {
+    return `promo code ${code} is valid from ${validity.from}`;
+  }
+  return undefined;
+};
+
+/**
+ * Drops invalid promo codes from the credentials of a request.
+ *
+ * @param  {Object} access credentials of a request
+ * @param  {Array<Object>} promoCodes optional hotel promo code definitions,
+ * see `explainPromoCodeRejection`
+ * @param  {Array<Object>} ratePlans
+ * @param  {dayjs} bookingDateDayjs
+ * @return {Object} credentials with valid `promoCodes` only and a list
+ * of `rejectedPromoCodes` such as
+ * ```
+ * {
+ *   "promoCodes": ["SUMMER"],
+ *   "corporateAccountId": "acme",
+ *   "rejectedPromoCodes": [
+ *     {
+ *       "code": "WINTER",
+ *       "reason": "promo code WINTER expired on 2018-02-28"
+ *     }
+ *   ]
+ * }
+ * ```
+ */
+export const resolveAccess = (access, promoCodes, ratePlans, bookingDateDayjs) => {
+  const rejectedPromoCodes = [];
+  const validPromoCodes = ((access && access.promoCodes) || []).filter((code) => {
+    const reason = explainPromoCodeRejection(code, promoCodes, ratePlans, bookingDateDayjs);
+    if (reason) {
+      rejectedPromoCodes.push({ code, reason });
+    }
+    return !reason;
+  });
+  return Object.assign({}, access, {
+    promoCodes: validPromoCodes,
+    rejectedPromoCodes,
+  });
+};
+
+/**
+ * Lists credentials that unlocked private rate plans
+ * and promo code modifiers used in a price.
+ *
+ * @param  {Object} price one of prices as returned by `PriceComputer`
+ * @param  {Array<Object>} ratePlans
+ * @param  {Object} access credentials of a request
+ * @return {Array<Object>} such as
+ * ```
+ * [
+ *   {
+ *     "ratePlanId": "rp-corporate",
+ *     "unlockedBy": { "corporateAccountId": "acme" }
+ *   },
+ *   {
+ *     "ratePlanId": "rpa",
+ *     "unlockedBy": { "promoCode": "SUMMER" },
+ *     "modifier": <Modifier object>
+ *   }
+ * ]
+ * ```
+ */
+export const describePromotions = (price, ratePlans, access) => {
+  const promotions = [];
+  const guestPrices = price.components.stay.reduce((agg, day) => agg.concat(day.guests), []);
+  guestPrices
+    .map((gp) => gp.ratePlanId)
+    .filter((id, i, all) => all.indexOf(id) === i)
+    .forEach((ratePlanId) => {
+      const ratePlan = ratePlans.find((rp) => rp.id === ratePlanId);
+      const unlockedBy = ratePlan && ratePlan.access && selectAccessCredential(ratePlan.access, access);
+      if (unlockedBy) {
+        promotions.push({ ratePlanId, unlockedBy });
+      }
+    });
+  guestPrices.forEach((gp) => gp.modifiers.forEach((mod) => {
+    const promoCode = mod.conditions && mod.conditions.promoCode;
+    if (promoCode && !promotions.find((p) => p.modifier && p.ratePlanId === gp.ratePlanId &&
+      p.unlockedBy.promoCode === promoCode && p.modifier.adjustment === mod.adjustment && p.modifier.unit === mod.unit)) {
+      promotions.push({ ratePlanId: gp.ratePlanId, unlockedBy: { promoCode }, modifier: mod });
+    }
+  }));
+  return promotions;
+};
+
+export default {
+  selectAccessCredential,
+  explainAccessRejection,
+  explainPromoCodeRejection,
+  resolveAccess,
+  describePromotions,
+};
@@ -0,0 +1,74 @@
+import currencyjs from 'currency.js';
+
+/**
+ * Unifies a single exchange rate coming from a table
+ * or a provider function.
+ *
+ * @param  {string} from currency code
+ * @param  {string} to currency code
+ * @param  {Number|Object} value either a plain rate (1 `from` = rate `to`)
+ * or an object with `rate` and an optional `source`
+ * @param  {string} defaultSource used when the value does not specify
+ * its source
+ * @return {Object|undefined} Exchange rate such as
+ * ```
+ * {
+ *   "from": "EUR",
+ *   "to": "CZK",
+ *   "rate": 25.5,
+ *   "source": "ECB"
+ * }
+ * ```
+ */
+export const normalizeExchangeRate = (from, to, value, defaultSource) => {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (typeof value === 'number') {
+    return { from, to, rate: value, source: defaultSource };
+  }
+  if (!value.rate) {
+    return undefined;
+  }
+  return { from, to, rate: value.rate, source: value.source || defaultSource };
+};
+
+/**
+ * Finds an exchange rate in a table of rates. If only
+ * the opposite direction is present, its inverse value is used.
+ *
+ * @param  {Object} table Rates indexed by source and target currency
+ * such as `{ "EUR": { "CZK": 25.5 } }`, the values are accepted
+ * in any form supported by `normalizeExchangeRate`
+ * @param  {string} from currency code
+ * @param  {string} to currency code
+ * @return {Object|undefined} result of `normalizeExchangeRate`
+ */
+export const lookupExchangeRate = (table, from, to) => {
+  if (table[from] && table[from][to] !== undefined) {
+    return normalizeExchangeRate(from, to, table[from][to], 'table');
+  }
+  if (table[to] && table[to][from] !== undefined) {
+    const inverse = normalizeExchangeRate(to, from, table[to][from], 'table');
+    if (inverse) {
+      return { from, to, rate: 1 / inverse.rate, source: inverse.source };
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Expresses a price in a different currency.
+ *
+ * @param  {currencyjs|Number} price in the `from` currency of the exchange rate
+ * @param  {Object} exchangeRate result of `normalizeExchangeRate`
+ * @return {currencyjs} price in the `to` currency of the exchange rate
+ */
+export const convertPrice = (price, exchangeRate) => currencyjs(price, { symbol: exchangeRate.to })
+  .multiply(exchangeRate.rate);
+
+export default {
+  normalizeExchangeRate,
+  lookupExchangeRate,
+  convertPrice,
+};
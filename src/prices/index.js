@@ -2,12 +2,54 @@ import dayjs from 'dayjs';
 import currencyjs from 'currency.js';
 import {
   computeDailyRatePlans,
+  explainStayCoverage,
 } from './utils';
 
 import {
   selectApplicableRatePlans,
+  explainRatePlanRejection,
+  explainRejectedModifiers,
 } from './rate-plans';
 
+import {
+  computeSurcharges,
+} from './surcharges';
+
+import access, {
+  resolveAccess,
+  describePromotions,
+} from './access';
+
+import ranking, {
+  DEFAULT_RANKING,
+  rankBy,
+} from './ranking';
+
+import {
+  normalizeExchangeRate,
+  lookupExchangeRate,
+} from './exchange-rates';
+
+import {
+  computeAvailability,
+} from '../availability';
+
+import {
+  toHotelTime,
+} from '../timezone';
+
+import {
+  computeCancellationFeeAmounts,
+  selectCancellationTerms,
+  combineCancellationFees,
+} from '../cancellation-fees';
+
+import {
+  validateRoomTypes,
+  validateRatePlans,
+  summarizeIssues,
+} from '../validation';
+
 /**
  * Error scoped to PriceComputer
  */
@@ -17,6 +59,10 @@ export class PriceComputerError extends Error {};
  * A class for computing prices. It contains
  * multiple price resolution strategies for
  * hotels.
+ *
+ * Every price computed by any strategy contains
+ * `components.taxes` and `components.fees` next to
+ * `components.stay` and its total includes them.
  */
 export class PriceComputer {
   /**
@@ -26,8 +72,52 @@ export class PriceComputer {
    * https://github.com/windingtree/wiki/blob/868b5d2685b1cd70647020978141be820ddccd30/hotel-data-swagger.yaml
    * @param  {string} defaultCurrency currency used when a rate plan has
    * no currency specified
+   * @param  {Object} options optional settings
+   * @param  {Array<Object>} options.taxes list of taxes added on top of
+   * every price, see `computeSurcharges` for their format
+   * @param  {Array<Object>} options.fees list of fees added on top of
+   * every price, see `computeSurcharges` for their format
+   * @param  {Object|Function} options.exchangeRates either a table of
+   * rates such as `{ "EUR": { "CZK": 25.5 } }` or a function accepting
+   * source and target currency and returning a rate (or a Promise of it).
+   * A rate is either a number or an object with `rate` and `source`.
+   * When set, requesting a currency in any strategy converts rate plans
+   * in other currencies instead of dropping them.
+   * @param  {Boolean} options.strict when true, roomTypes and ratePlans
+   * are validated and any error results in a PriceComputerError with
+   * a list of `errors`. Warnings are available in `warnings`.
+   * @param  {Boolean} options.explain when true, every room type in
+   * the results of all strategies contains an `explanation` of rejected
+   * rate plans, modifiers and currencies, see `_explain`.
+   * @param  {Array<Function>} options.ranking comparators used to rank
+   * rate plans in single rate plan strategies, see `prices/ranking`.
+   * Defaults to `DEFAULT_RANKING` - by total, rate plan priority and id.
+   * @param  {string} options.timezone IANA timezone of the hotel such as
+   * `Europe/Prague`. Booking, arrival and departure dates of all strategies
+   * are evaluated in it, see `toHotelTime`. Defaults to the timezone
+   * of the running process.
+   * @param  {Array<Object>} options.cancellationPolicies hotel cancellation
+   * policies
+   * @param  {Number} options.defaultCancellationAmount hotel fallback
+   * cancellation amount
+   * @param  {string} options.checkInTime hotel check-in time such as `14:00`
+   * @param  {Array<Object>} options.promoCodes hotel promo code definitions,
+   * see `explainPromoCodeRejection`
+   * @param  {Object} options.access default credentials of the guest unlocking
+   * private rate plans and promo code modifiers, such as `{ "promoCodes": ["SUMMER"] }`,
+   * see `prices/access`. Every pricing strategy accepts its own `access`
+   * that takes precedence.
+   *
+   * When the hotel or rate plans have cancellation terms, every price
+   * of `getBestPrice`, `getBestPricePerGuest` and single rate plan
+   * strategies contains `cancellationFees`, see `_attachCancellationFees`.
+   *
+   * Prices using private rate plans or promo code modifiers contain
+   * `promotions` (see `describePromotions`) and room types contain
+   * `rejectedPromoCodes` when some of the requested codes are invalid
+   * or expired, see `resolveAccess`.
    */
-  constructor (roomTypes, ratePlans, defaultCurrency) {
+  constructor (roomTypes, ratePlans, defaultCurrency, options = {}) {
     if (!roomTypes) {
       throw new PriceComputerError('Missing roomTypes');
     }
@@ -37,36 +127,297 @@ export class PriceComputer {
     if (!defaultCurrency) {
       throw new PriceComputerError('Missing defaultCurrency');
     }
+    this.warnings = [];
+    if (options.strict) {
+      const validation = summarizeIssues(
+        validateRoomTypes(roomTypes).concat(validateRatePlans(ratePlans, roomTypes))
+      );
+      if (!validation.valid) {
+        const error = new PriceComputerError(`Invalid hotel data: ${validation.errors.map((e) => `${e.path} ${e.message}`).join('; ')}`);
+        error.errors = validation.errors;
+        throw error;
+      }
+      this.warnings = validation.warnings;
+    }
     this.roomTypes = roomTypes;
     this.ratePlans = ratePlans;
     this.defaultCurrency = defaultCurrency;
+    this.taxes = options.taxes || [];
+    this.fees = options.fees || [];
+    this.exchangeRates = options.exchangeRates;
+    this.exchangeRatesCache = {};
+    this.explain = !!options.explain;
+    this.ranking = options.ranking || DEFAULT_RANKING;
+    this.timezone = options.timezone;
+    this.cancellationPolicies = options.cancellationPolicies;
+    this.defaultCancellationAmount = options.defaultCancellationAmount;
+    this.checkInTime = options.checkInTime;
+    this.promoCodes = options.promoCodes;
+    this.access = options.access;
+  }
+
+  /**
+   * Fetches all exchange rates needed to express prices in
+   * `targetCurrency`. This has to be called before any strategy
+   * if the `exchangeRates` provider is asynchronous.
+   *
+   * @param  {string} targetCurrency
+   * @return {Promise<Array<Object>>} List of loaded exchange rates,
+   * see `normalizeExchangeRate`
+   */
+  loadExchangeRates (targetCurrency) {
+    const currencies = this.ratePlans
+      .map((rp) => rp.currency || this.defaultCurrency)
+      .concat(this.taxes.concat(this.fees).map((s) => s.currency || this.defaultCurrency))
+      .filter((c, i, all) => c !== targetCurrency && all.indexOf(c) === i);
+    if (typeof this.exchangeRates !== 'function') {
+      return Promise.resolve(currencies.map((c) => this._getExchangeRate(c, targetCurrency)));
+    }
+    return Promise.all(currencies.map((c) => {
+      return Promise.resolve(this.exchangeRates(c, targetCurrency))
+        .then((value) => {
+          this.exchangeRatesCache[`${c}:${targetCurrency}`] = normalizeExchangeRate(c, targetCurrency, value, 'provider');
+          return this.exchangeRatesCache[`${c}:${targetCurrency}`];
+        });
+    }));
+  }
+
+  _getExchangeRate (from, to) {
+    if (!this.exchangeRates) {
+      return undefined;
+    }
+    if (typeof this.exchangeRates !== 'function') {
+      return lookupExchangeRate(this.exchangeRates, from, to);
+    }
+    const key = `${from}:${to}`;
+    if (!(key in this.exchangeRatesCache)) {
+      const value = this.exchangeRates(from, to);
+      if (value && typeof value.then === 'function') {
+        throw new PriceComputerError(`Exchange rate ${from}-${to} is not loaded, call loadExchangeRates first`);
+      }
+      this.exchangeRatesCache[key] = normalizeExchangeRate(from, to, value, 'provider');
+    }
+    return this.exchangeRatesCache[key];
   }
 
-  _determinePrices (bookingDate, arrivalDate, departureDate, guests, currency, roomTypeId, ratePlansStrategy) {
-    const bookingDateDayjs = dayjs(bookingDate);
-    const arrivalDateDayjs = dayjs(arrivalDate);
-    const departureDateDayjs = dayjs(departureDate);
+  /**
+   * Adds `taxes` and `fees` to price components and
+   * includes them in the total.
+   *
+   * @throws {PriceComputerError} when an absolute surcharge cannot
+   * be converted to the currency of the price
+   */
+  _applySurcharges (price, guests, currency) {
+    // no rate plan covers the whole stay
+    if (!price.components) {
+      return price;
+    }
+    // Surcharges are mandatory, a price without them would be too low
+    const getExchangeRate = (from, to) => {
+      const exchangeRate = this._getExchangeRate(from, to);
+      if (!exchangeRate) {
+        throw new PriceComputerError(`Missing exchange rate ${from}-${to} for a surcharge, cannot price in ${to}`);
+      }
+      return exchangeRate;
+    };
+    const taxes = computeSurcharges(this.taxes, price.components.stay, guests, currency, this.defaultCurrency, getExchangeRate);
+    const fees = computeSurcharges(this.fees, price.components.stay, guests, currency, this.defaultCurrency, getExchangeRate);
+    price.components.taxes = taxes;
+    price.components.fees = fees;
+    price.total = taxes.concat(fees).reduce((total, s) => total.add(s.total), price.total);
+    return price;
+  }
+
+  _determinePrices (bookingDate, arrivalDate, departureDate, guests, currency, roomTypeId, ratePlansStrategy, dailyPricesCache, requestAccess) {
+    const bookingDateDayjs = toHotelTime(bookingDate, this.timezone);
+    const arrivalDateDayjs = toHotelTime(arrivalDate, this.timezone);
+    const departureDateDayjs = toHotelTime(departureDate, this.timezone);
     const lengthOfStay = Math.abs(arrivalDateDayjs.diff(departureDateDayjs, 'days'));
     const roomTypes = roomTypeId ? this.roomTypes.filter((rt) => rt.id === roomTypeId) : this.roomTypes;
+    // With exchange rates, rate plans in other currencies get converted instead of dropped
+    const targetCurrency = this.exchangeRates && currency ? currency : undefined;
+    const { rejectedPromoCodes, ...access } = resolveAccess(requestAccess, this.promoCodes, this.ratePlans, bookingDateDayjs);
+    const promoCodesReport = rejectedPromoCodes.length ? { rejectedPromoCodes } : {};
 
     return roomTypes.map((roomType) => {
       const applicableRatePlans = selectApplicableRatePlans(
-        roomType.id, this.ratePlans, bookingDateDayjs, arrivalDateDayjs, departureDateDayjs, this.defaultCurrency, currency
+        roomType.id, this.ratePlans, bookingDateDayjs, arrivalDateDayjs, departureDateDayjs, this.defaultCurrency,
+        targetCurrency ? null : currency, access
       );
+      const explanation = this.explain
+        ? {
+          explanation: this._explain(
+            roomType.id, bookingDateDayjs, arrivalDateDayjs, departureDateDayjs, guests,
+            targetCurrency ? null : currency, targetCurrency, access
+          ),
+        }
+        : {};
       // no rate plans available at all, bail
       if (!applicableRatePlans.length) {
         return {
           id: roomType.id,
           prices: [],
+          ...promoCodesReport,
+          ...explanation,
         };
       }
 
-      const dailyPrices = computeDailyRatePlans(arrivalDateDayjs, departureDateDayjs, guests, this.defaultCurrency, applicableRatePlans);
-      return {
+      const dailyPrices = computeDailyRatePlans(
+        arrivalDateDayjs, departureDateDayjs, guests, this.defaultCurrency, applicableRatePlans,
+        targetCurrency, (from, to) => this._getExchangeRate(from, to), dailyPricesCache, access
+      );
+      return this._attachPromotions({
         id: roomType.id,
         ...ratePlansStrategy(dailyPrices, lengthOfStay),
+        ...promoCodesReport,
+        ...explanation,
+      }, access);
+    });
+  }
+
+  /**
+   * Adds `promotions` to every price using private rate plans
+   * or promo code modifiers, see `describePromotions`.
+   */
+  _attachPromotions (roomTypeResult, access) {
+    const attach = (price) => {
+      const promotions = describePromotions(price, this.ratePlans, access);
+      if (promotions.length) {
+        price.promotions = promotions;
+      }
+    };
+    roomTypeResult.prices.forEach((price) => {
+      if (price.ratePlans) {
+        price.ratePlans.forEach(attach);
+      } else if (price.total) {
+        attach(price);
+      }
+    });
+    return roomTypeResult;
+  }
+
+  /**
+   * Adds a schedule of cancellation fees to every price as computed by
+   * `computeCancellationFeeAmounts` with terms of its rate plan, see
+   * `selectCancellationTerms`. When a price mixes rate plans, the strictest
+   * terms apply, see `combineCancellationFees`. Prices of rate plans without
+   * any terms are left untouched.
+   */
+  _attachCancellationFees (results, bookingDate, arrivalDate) {
+    const attach = (price) => {
+      const ratePlanIds = price.components.stay
+        .reduce((ids, day) => ids.concat(day.guests.map((g) => g.ratePlanId)), price.ratePlan ? [price.ratePlan.id] : [])
+        .filter((id, i, all) => id !== undefined && all.indexOf(id) === i);
+      const schedules = ratePlanIds.map((id) => {
+        const terms = selectCancellationTerms(
+          this.ratePlans.find((rp) => rp.id === id), this.cancellationPolicies, this.defaultCancellationAmount
+        );
+        return terms && computeCancellationFeeAmounts(
+          bookingDate, arrivalDate, terms.cancellationPolicies, terms.defaultCancellationAmount, price,
+          { timezone: this.timezone, checkInTime: this.checkInTime }
+        );
+      });
+      if (schedules.length && schedules.every((schedule) => schedule)) {
+        price.cancellationFees = schedules.length === 1 ? schedules[0] : combineCancellationFees(schedules, price);
+      }
+    };
+    results.forEach((roomType) => roomType.prices.forEach((price) => {
+      if (price.ratePlans) {
+        price.ratePlans.forEach(attach);
+      } else if (price.total) {
+        attach(price);
+      }
+    }));
+    return results;
+  }
+
+  /**
+   * Explains why rate plans, their modifiers or whole currencies
+   * were not used for a room type.
+   *
+   * ```
+   * {
+   *   "ratePlans": [
+   *     {
+   *       "ratePlanId": "rpa",
+   *       "applicable": false,
+   *       "reasons": ["bookingCutOff.min 7 > 3 days before arrival"],
+   *       "modifiers": []
+   *     },
+   *     {
+   *       "ratePlanId": "rpb",
+   *       "applicable": true,
+   *       "reasons": ["availableForTravel ends 2019-03-04, stay needs 2019-03-05"],
+   *       "modifiers": [
+   *         {
+   *           "modifier": <Modifier object>,
+   *           "reason": "conditions.minLengthOfStay 7 > 3 nights"
+   *         }
+   *       ]
+   *     }
+   *   ],
+   *   "currencies": [
+   *     {
+   *       "currency": "CZK",
+   *       "reasons": ["currency CZK does not cover night 3 (2019-03-05)"]
+   *     }
+   *   ]
+   * }
+   * ```
+   *
+   * Applicable rate plans with reasons do not cover the whole stay,
+   * so they can be used only in strategies mixing rate plans.
+   */
+  _explain (roomTypeId, bookingDateDayjs, arrivalDateDayjs, departureDateDayjs, guests, preferredCurrency, targetCurrency, access) {
+    const lengthOfStay = Math.abs(arrivalDateDayjs.diff(departureDateDayjs, 'days'));
+    const applicableRatePlans = [];
+    const ratePlans = this.ratePlans.map((rp) => {
+      const rejection = explainRatePlanRejection(
+        roomTypeId, rp, bookingDateDayjs, arrivalDateDayjs, departureDateDayjs, this.defaultCurrency, preferredCurrency, access
+      );
+      if (rejection) {
+        return {
+          ratePlanId: rp.id,
+          applicable: false,
+          reasons: [rejection],
+          modifiers: [],
+        };
+      }
+      applicableRatePlans.push(rp);
+      const modifiers = [];
+      let currentDate = dayjs(arrivalDateDayjs);
+      for (let i = 0; i < lengthOfStay; i += 1) {
+        explainRejectedModifiers(rp.modifiers, currentDate, lengthOfStay, guests.length, access)
+          .forEach((rejected) => {
+            if (!modifiers.find((m) => m.modifier === rejected.modifier && m.reason === rejected.reason)) {
+              modifiers.push(rejected);
+            }
+          });
+        currentDate = currentDate.add(1, 'day');
+      }
+      return {
+        ratePlanId: rp.id,
+        applicable: true,
+        reasons: [],
+        modifiers,
       };
     });
+    const coverage = explainStayCoverage(
+      arrivalDateDayjs, departureDateDayjs, this.defaultCurrency, applicableRatePlans,
+      targetCurrency, (from, to) => this._getExchangeRate(from, to)
+    );
+    ratePlans.forEach((rp) => {
+      if (coverage.ratePlans[rp.ratePlanId]) {
+        rp.reasons = coverage.ratePlans[rp.ratePlanId];
+      }
+    });
+    return {
+      ratePlans,
+      currencies: Object.keys(coverage.currencies).map((c) => ({
+        currency: c,
+        reasons: coverage.currencies[c],
+      })),
+    };
   }
 
   /**
@@ -75,6 +426,10 @@ export class PriceComputer {
    * is available that you can use to inspect all of
    * the components adding up to the final price.
    *
+   * The best rate plan is the first one by the ranking, by default
+   * the cheapest one, then the one with the highest `priority`
+   * and then by rate plan id.
+   *
    * @param  {mixed} bookingDate
    * @param  {mixed} arrivalDate
    * @param  {mixed} departureDate
@@ -82,6 +437,10 @@ export class PriceComputer {
    * right now only the `age` and `id` fields are expected
    * @param  {string} currency optional filter by currency
    * @param  {string} roomTypeId optional filter by roomTypeId
+   * @param  {Array<Function>} ranking optional comparators overriding
+   * the `ranking` option, see `prices/ranking`
+   * @param  {Object} access optional credentials of the guest, defaults
+   * to the `access` option, see `prices/access`
    * @return {Array<Object>} List of roomTypes and their prices
    *
    * ```
@@ -105,13 +464,15 @@ export class PriceComputer {
    *                   "currency": "EUR",
    *                   "basePrice": 100,
    *                   "resultingPrice": 50,
-   *                   "modifier": {
-   *                     "conditions": {
-   *                       "minOccupants": 2
-   *                     },
-   *                     "unit": "percentage"
-   *                     "adjustment": -50
-   *                   }
+   *                   "modifiers": [
+   *                     {
+   *                       "conditions": {
+   *                         "minOccupants": 2
+   *                       },
+   *                       "unit": "percentage"
+   *                       "adjustment": -50
+   *                     }
+   *                   ]
    *                 },
    *                 {
    *                   "guestId": "guest id 2",
@@ -119,13 +480,15 @@ export class PriceComputer {
    *                   "currency": "EUR",
    *                   "basePrice": 100,
    *                   "resultingPrice": 50,
-   *                   "modifier": {
-   *                     "conditions": {
-   *                       "minOccupants": 2
-   *                     },
-   *                     "unit": "percentage"
-   *                     "adjustment": -50
-   *                   }
+   *                   "modifiers": [
+   *                     {
+   *                       "conditions": {
+   *                         "minOccupants": 2
+   *                       },
+   *                       "unit": "percentage"
+   *                       "adjustment": -50
+   *                     }
+   *                   ]
    *                 }
    *               ]
    *             }
@@ -137,59 +500,65 @@ export class PriceComputer {
    * ]
    * ```
    */
-  getBestPriceWithSingleRatePlan (bookingDate, arrivalDate, departureDate, guests, currency, roomTypeId) {
-    return this._determinePrices(bookingDate, arrivalDate, departureDate, guests, currency, roomTypeId, (dailyPrices, lengthOfStay) => {
-      const prices = [];
-      const currencies = Object.keys(dailyPrices);
-      // Currencies
-      for (let i = 0; i < currencies.length; i += 1) {
-        const currentCurrency = dailyPrices[currencies[i]];
-        const ratePlanOccurrences = {};
-        // Days
-        for (let j = 0; j < currentCurrency.length; j += 1) {
-          currentCurrency[j].map((rp) => {
-            if (!ratePlanOccurrences[rp.ratePlan.id]) {
-              ratePlanOccurrences[rp.ratePlan.id] = {
-                ratePlan: rp.ratePlan,
-                dailyPrices: [],
-              };
-            }
-            ratePlanOccurrences[rp.ratePlan.id].dailyPrices.push(rp);
-          });
-        }
-
-        const bestRatePlan = Object.values(ratePlanOccurrences)
-          .filter((rp) => rp.dailyPrices.length === lengthOfStay)
-          .map((rp) => ({
-            ratePlan: rp.ratePlan,
-            total: rp.dailyPrices.reduce((total, dp) => total.add(dp.total), currencyjs(0, { symbol: currencies[i] })),
-            components: {
-              stay: rp.dailyPrices.reduce((a, b) => {
-                return a.concat([{
-                  date: b.date.format('YYYY-MM-DD'),
-                  subtotal: b.total,
-                  guests: b.guestPrices,
-                }]);
-              }, []),
-            },
-          }))
-          .sort((a, b) => a.total >= b.total ? -1 : 1)
-          .pop();
-
-        prices.push({
-          currency: currencies[i],
-          ...bestRatePlan,
-        });
-      }
+  getBestPriceWithSingleRatePlan (bookingDate, arrivalDate, departureDate, guests, currency, roomTypeId, ranking, access = this.access) {
+    return this._attachCancellationFees(this._determinePrices(bookingDate, arrivalDate, departureDate, guests, currency, roomTypeId, (dailyPrices, lengthOfStay) => {
       return {
-        prices,
+        prices: Object.keys(dailyPrices).map((c) => {
+          const bestRatePlan = this._rankSingleRatePlans(dailyPrices[c], c, lengthOfStay, guests, ranking)[0];
+          return bestRatePlan ? { currency: c, ...bestRatePlan } : { currency: c };
+        }),
       };
-    });
+    }, undefined, access), bookingDate, arrivalDate);
   }
 
   /**
+   * Prices every rate plan that covers the whole stay on its own,
+   * including taxes and fees, and ranks them.
    *
-   * Returns all of the rate plans that cover the whole stay.
+   * @param  {Array<Array<Object>>} currencyDailyPrices daily prices of a single
+   * currency as returned by `computeDailyRatePlans`
+   * @param  {string} currency
+   * @param  {Number} lengthOfStay
+   * @param  {Array<Object>} guests
+   * @param  {Array<Function>} ranking optional comparators, defaults to `this.ranking`
+   * @return {Array<Object>} Ranked list of prices with `ratePlan`, `total` and `components`
+   */
+  _rankSingleRatePlans (currencyDailyPrices, currency, lengthOfStay, guests, ranking) {
+    const ratePlanOccurrences = {};
+    // Days
+    for (let j = 0; j < currencyDailyPrices.length; j += 1) {
+      currencyDailyPrices[j].forEach((rp) => {
+        if (!ratePlanOccurrences[rp.ratePlan.id]) {
+          ratePlanOccurrences[rp.ratePlan.id] = {
+            ratePlan: rp.ratePlan,
+            dailyPrices: [],
+          };
+        }
+        ratePlanOccurrences[rp.ratePlan.id].dailyPrices.push(rp);
+      });
+    }
+    return Object.values(ratePlanOccurrences)
+      .filter((rp) => rp.dailyPrices.length === lengthOfStay)
+      .map((rp) => this._applySurcharges({
+        ratePlan: rp.ratePlan,
+        total: rp.dailyPrices.reduce((total, dp) => total.add(dp.total), currencyjs(0, { symbol: currency })),
+        components: {
+          stay: rp.dailyPrices.reduce((a, b) => {
+            return a.concat([{
+              date: b.date.format('YYYY-MM-DD'),
+              subtotal: b.total,
+              guests: b.guestPrices,
+            }]);
+          }, []),
+        },
+      }, guests, currency))
+      .sort(rankBy(ranking || this.ranking));
+  }
+
+  /**
+   *
+   * Returns all of the rate plans that cover the whole stay
+   * ordered by the ranking, as in `getBestPriceWithSingleRatePlan`.
    * A client can choose the most fitting one for their purpose.
    * If needed, a components data is available that you can use
    * to inspect all of  the components adding up to the final price.
@@ -201,6 +570,10 @@ export class PriceComputer {
    * right now only the `age` and `id` fields are expected
    * @param  {string} currency optional filter by currency
    * @param  {string} roomTypeId optional filter by roomTypeId
+   * @param  {Array<Function>} ranking optional comparators overriding
+   * the `ranking` option, see `prices/ranking`
+   * @param  {Object} access optional credentials of the guest, defaults
+   * to the `access` option, see `prices/access`
    * @return {Array<Object>} List of roomTypes and their prices
    *
    * ```
@@ -226,13 +599,15 @@ export class PriceComputer {
    *                       "currency": "EUR",
    *                       "basePrice": 100,
    *                       "resultingPrice": 50,
-   *                       "modifier": {
-   *                         "conditions": {
-   *                           "minOccupants": 2
-   *                         },
-   *                         "unit": "percentage"
-   *                         "adjustment": -50
-   *                       }
+   *                       "modifiers": [
+   *                         {
+   *                           "conditions": {
+   *                             "minOccupants": 2
+   *                           },
+   *                           "unit": "percentage"
+   *                           "adjustment": -50
+   *                         }
+   *                       ]
    *                     },
    *                     {
    *                       "guestId": "guest id 2",
@@ -240,13 +615,15 @@ export class PriceComputer {
    *                       "currency": "EUR",
    *                       "basePrice": 100,
    *                       "resultingPrice": 50,
-   *                       "modifier": {
-   *                         "conditions": {
-   *                           "minOccupants": 2
-   *                         },
-   *                         "unit": "percentage"
-   *                         "adjustment": -50
-   *                       }
+   *                       "modifiers": [
+   *                         {
+   *                           "conditions": {
+   *                             "minOccupants": 2
+   *                           },
+   *                           "unit": "percentage"
+   *                           "adjustment": -50
+   *                         }
+   *                       ]
    *                     }
    *                   ]
    *                 }
@@ -260,49 +637,15 @@ export class PriceComputer {
    * ]
    * ```
    */
-  getPossiblePricesWithSingleRatePlan (bookingDate, arrivalDate, departureDate, guests, currency, roomTypeId) {
-    return this._determinePrices(bookingDate, arrivalDate, departureDate, guests, currency, roomTypeId, (dailyPrices, lengthOfStay) => {
-      const prices = [];
-      const currencies = Object.keys(dailyPrices);
-      // Currencies
-      for (let i = 0; i < currencies.length; i += 1) {
-        const currentCurrency = dailyPrices[currencies[i]];
-        const ratePlanOccurrences = {};
-        // Days
-        for (let j = 0; j < currentCurrency.length; j += 1) {
-          currentCurrency[j].map((rp) => {
-            if (!ratePlanOccurrences[rp.ratePlan.id]) {
-              ratePlanOccurrences[rp.ratePlan.id] = {
-                ratePlan: rp.ratePlan,
-                dailyPrices: [],
-              };
-            }
-            ratePlanOccurrences[rp.ratePlan.id].dailyPrices.push(rp);
-          });
-        }
-        prices.push({
-          currency: currencies[i],
-          ratePlans: Object.values(ratePlanOccurrences)
-            .filter((rp) => rp.dailyPrices.length === lengthOfStay)
-            .map((rp) => ({
-              ratePlan: rp.ratePlan,
-              total: rp.dailyPrices.reduce((total, dp) => total.add(dp.total), currencyjs(0, { symbol: currencies[i] })),
-              components: {
-                stay: rp.dailyPrices.reduce((a, b) => {
-                  return a.concat([{
-                    date: b.date.format('YYYY-MM-DD'),
-                    subtotal: b.total,
-                    guests: b.guestPrices,
-                  }]);
-                }, []),
-              },
-            })),
-        });
-      }
+  getPossiblePricesWithSingleRatePlan (bookingDate, arrivalDate, departureDate, guests, currency, roomTypeId, ranking, access = this.access) {
+    return this._attachCancellationFees(this._determinePrices(bookingDate, arrivalDate, departureDate, guests, currency, roomTypeId, (dailyPrices, lengthOfStay) => {
       return {
-        prices,
+        prices: Object.keys(dailyPrices).map((c) => ({
+          currency: c,
+          ratePlans: this._rankSingleRatePlans(dailyPrices[c], c, lengthOfStay, guests, ranking),
+        })),
       };
-    });
+    }, undefined, access), bookingDate, arrivalDate);
   }
 
   /**
@@ -326,6 +669,8 @@ export class PriceComputer {
    * to this currency
    * @param  {string} roomTypeId you can limit the results only to
    * this roomTypeId
+   * @param  {Object} access optional credentials of the guest, defaults
+   * to the `access` option, see `prices/access`
    * @return {Array} List of prices for every room type. Every item in
    * the array contains an id (roomTypeId) and a list of `prices` for all
    * applicable currencies such as this. The total sum is an instance
@@ -351,13 +696,15 @@ export class PriceComputer {
    *                 "currency": "EUR",
    *                 "basePrice": 100,
    *                 "resultingPrice": 50,
-   *                 "modifier": {
-   *                   "conditions": {
-   *                     "minOccupants": 2
-   *                   },
-   *                   "unit": "percentage"
-   *                   "adjustment": -50
-   *                 }
+   *                 "modifiers": [
+   *                   {
+   *                     "conditions": {
+   *                       "minOccupants": 2
+   *                     },
+   *                     "unit": "percentage"
+   *                     "adjustment": -50
+   *                   }
+   *                 ]
    *               },
    *               {
    *                 "guestId": "guest id 2",
@@ -365,13 +712,15 @@ export class PriceComputer {
    *                 "currency": "EUR",
    *                 "basePrice": 100,
    *                 "resultingPrice": 50,
-   *                 "modifier": {
-   *                   "conditions": {
-   *                     "minOccupants": 2
-   *                   },
-   *                   "unit": "percentage"
-   *                   "adjustment": -50
-   *                 }
+   *                 "modifiers": [
+   *                   {
+   *                     "conditions": {
+   *                       "minOccupants": 2
+   *                     },
+   *                     "unit": "percentage"
+   *                     "adjustment": -50
+   *                   }
+   *                 ]
    *               }
    *             ]
    *           }
@@ -392,13 +741,15 @@ export class PriceComputer {
    *                   "currency": "EUR",
    *                   "basePrice": 100,
    *                   "resultingPrice": 50,
-   *                   "modifier": {
-   *                     "conditions": {
-   *                       "minOccupants": 2
-   *                     },
-   *                     "unit": "percentage"
-   *                     "adjustment": -50
-   *                   }
+   *                   "modifiers": [
+   *                     {
+   *                       "conditions": {
+   *                         "minOccupants": 2
+   *                       },
+   *                       "unit": "percentage"
+   *                       "adjustment": -50
+   *                     }
+   *                   ]
    *                 },
    *                 {
    *                   "guestId": "guest id 2",
@@ -406,13 +757,15 @@ export class PriceComputer {
    *                   "currency": "EUR",
    *                   "basePrice": 100,
    *                   "resultingPrice": 50,
-   *                   "modifier": {
-   *                     "conditions": {
-   *                       "minOccupants": 2
-   *                     },
-   *                     "unit": "percentage"
-   *                     "adjustment": -50
-   *                   }
+   *                   "modifiers": [
+   *                     {
+   *                       "conditions": {
+   *                         "minOccupants": 2
+   *                       },
+   *                       "unit": "percentage"
+   *                       "adjustment": -50
+   *                     }
+   *                   ]
    *                 }
    *               ]
    *             }
@@ -424,52 +777,282 @@ export class PriceComputer {
    * ]
    * ```
    */
-  getBestPrice (bookingDate, arrivalDate, departureDate, guests, currency, roomTypeId) {
-    return this._determinePrices(bookingDate, arrivalDate, departureDate, guests, currency, roomTypeId, (dailyPrices) => {
+  getBestPrice (bookingDate, arrivalDate, departureDate, guests, currency, roomTypeId, access = this.access) {
+    return this._attachCancellationFees(this._determinePrices(bookingDate, arrivalDate, departureDate, guests, currency, roomTypeId,
+      (dailyPrices) => this._bestPriceStrategy(dailyPrices, guests), undefined, access), bookingDate, arrivalDate);
+  }
+
+  _bestPriceStrategy (dailyPrices, guests) {
+    const prices = [];
+    const currencies = Object.keys(dailyPrices);
+    // Currencies
+    for (let i = 0; i < currencies.length; i += 1) {
+      const currentCurrency = dailyPrices[currencies[i]];
+      const dailyBests = {};
+      // Days
+      for (let j = 0; j < currentCurrency.length; j += 1) {
+        const dailyBest = currentCurrency[j]
+          .reduce((agg, curr) => {
+            if (!agg || !agg.total || agg.total.subtract(curr.total) >= 0) {
+              return curr;
+            }
+            return agg;
+          }, undefined);
+        dailyBests[currentCurrency[j][0].date.format('YYYY-MM-DD')] = dailyBest;
+      }
+      prices.push(this._applySurcharges({
+        currency: currencies[i],
+        total: Object.values(dailyBests)
+          .reduce((a, b) => {
+            return a.add(currencyjs(b.total, { symbol: currencies[i] }));
+          }, currencyjs(0, { symbol: currencies[i] })),
+        components: {
+          stay: Object.keys(dailyBests).reduce((a, b) => {
+            return a.concat([{
+              date: b,
+              subtotal: dailyBests[b].guestPrices.reduce((a, b) => {
+                return a.add(b.resultingPrice);
+              }, currencyjs(0, { symbol: currencies[i] })),
+              guests: dailyBests[b].guestPrices,
+            }]);
+          }, []),
+        },
+      }, guests, currencies[i]));
+    }
+    return {
+      prices,
+    };
+  }
+
+  /**
+   * Computes the best prices for given period of time and
+   * a party of guests. Unlike `getBestPrice`, this picks the best
+   * rate plan for every guest separately for every single day, so
+   * a child can get a cheaper rate plan than the adults in the
+   * same room on the same day. Rate plans that are not priced
+   * per guest are always used for the whole party.
+   *
+   * If no currency or roomTypeId is specified, all variants
+   * are computed.
+   *
+   * @param  {mixed} bookingDate anything parseable by dayjs
+   * @param  {mixed} arrivalDate anything parseable by dayjs
+   * @param  {mixed} departureDate anything parseable by dayjs
+   * @param  {Array<Object>} guests List of information about guests
+   * @param  {string} currency you can limit the results only
+   * to this currency
+   * @param  {string} roomTypeId you can limit the results only to
+   * this roomTypeId
+   * @param  {Object} access optional credentials of the guest, defaults
+   * to the `access` option, see `prices/access`
+   * @return {Array} List of prices for every room type in the same
+   * format as `getBestPrice`. The `ratePlanId` of every record in
+   * `components.stay[].guests` tells which rate plan was used
+   * for that guest on that day.
+   * ```
+   * [
+   *   {
+   *     "id": "single-bed",
+   *     "prices": [
+   *       {
+   *         "currency": "EUR",
+   *         "total": <currencyjs instance>,
+   *         "components": {
+   *           "stay": [
+   *             {
+   *               "date": "2018-01-01",
+   *               "subtotal": <currencyjs instance>,
+   *               "guests": [
+   *                 {
+   *                   "guestId": "adult",
+   *                   "ratePlanId": "rate plan id",
+   *                   "basePrice": <currencyjs instance>,
+   *                   "resultingPrice": <currencyjs instance>
+   *                 },
+   *                 {
+   *                   "guestId": "child",
+   *                   "ratePlanId": "kids rate plan id",
+   *                   "basePrice": <currencyjs instance>,
+   *                   "resultingPrice": <currencyjs instance>,
+   *                   "modifiers": [
+   *                     {
+   *                       "conditions": {
+   *                         "maxAge": 12
+   *                       },
+   *                       "unit": "percentage"
+   *                       "adjustment": -50
+   *                     }
+   *                   ]
+   *                 }
+   *               ]
+   *             }
+   *           ]
+   *         }
+   *       }
+   *     ]
+   *   }
+   * ]
+   * ```
+   */
+  getBestPricePerGuest (bookingDate, arrivalDate, departureDate, guests, currency, roomTypeId, access = this.access) {
+    return this._attachCancellationFees(this._determinePrices(bookingDate, arrivalDate, departureDate, guests, currency, roomTypeId, (dailyPrices) => {
       const prices = [];
       const currencies = Object.keys(dailyPrices);
       // Currencies
       for (let i = 0; i < currencies.length; i += 1) {
         const currentCurrency = dailyPrices[currencies[i]];
-        const dailyBests = {};
+        const stay = [];
         // Days
         for (let j = 0; j < currentCurrency.length; j += 1) {
-          const dailyBest = currentCurrency[j]
-            .reduce((agg, curr) => {
-              if (!agg || !agg.total || agg.total.subtract(curr.total) >= 0) {
-                return curr;
+          const perGuestRatePlans = currentCurrency[j]
+            .filter((rp) => !rp.ratePlan.pricingMode || rp.ratePlan.pricingMode === 'perGuest');
+          let dailyGuestBests;
+          let subtotal;
+          if (perGuestRatePlans.length) {
+            dailyGuestBests = [];
+            // Guests - guestPrices keep the order of guests for every rate plan
+            for (let k = 0; k < guests.length; k += 1) {
+              dailyGuestBests.push(perGuestRatePlans
+                .map((rp) => rp.guestPrices[k])
+                .reduce((agg, curr) => {
+                  if (!agg || agg.resultingPrice.subtract(curr.resultingPrice) > 0) {
+                    return curr;
+                  }
+                  return agg;
+                }, undefined));
+            }
+            subtotal = dailyGuestBests.reduce((a, b) => {
+              return a.add(b.resultingPrice);
+            }, currencyjs(0, { symbol: currencies[i] }));
+          }
+          // Rate plans priced per room cannot be split among guests
+          currentCurrency[j]
+            .filter((rp) => perGuestRatePlans.indexOf(rp) === -1)
+            .forEach((rp) => {
+              if (!subtotal || subtotal.subtract(rp.total) > 0) {
+                dailyGuestBests = rp.guestPrices;
+                subtotal = rp.total;
               }
-              return agg;
-            }, undefined);
-          dailyBests[currentCurrency[j][0].date.format('YYYY-MM-DD')] = dailyBest;
+            });
+          stay.push({
+            date: currentCurrency[j][0].date.format('YYYY-MM-DD'),
+            subtotal,
+            guests: dailyGuestBests,
+          });
         }
-        prices.push({
+        prices.push(this._applySurcharges({
           currency: currencies[i],
-          total: Object.values(dailyBests)
-            .reduce((a, b) => {
-              return a.add(currencyjs(b.total, { symbol: currencies[i] }));
-            }, currencyjs(0, { symbol: currencies[i] })),
+          total: stay.reduce((a, b) => a.add(b.subtotal), currencyjs(0, { symbol: currencies[i] })),
           components: {
-            stay: Object.keys(dailyBests).reduce((a, b) => {
-              return a.concat([{
-                date: b,
-                subtotal: dailyBests[b].guestPrices.reduce((a, b) => {
-                  return a.add(b.resultingPrice);
-                }, currencyjs(0, { symbol: currencies[i] })),
-                guests: dailyBests[b].guestPrices,
-              }]);
-            }, []),
+            stay,
           },
-        });
+        }, guests, currencies[i]));
       }
       return {
         prices,
       };
-    });
+    }, undefined, access), bookingDate, arrivalDate);
+  }
+
+  /**
+   * Computes the best prices (as in `getBestPrice`) for many arrival
+   * dates and lengths of stay at once. Daily prices are computed only
+   * once for every rate plan and night and shared among all
+   * overlapping stays.
+   *
+   * If `indexedAvailability` is given, every stay is also checked with
+   * `computeAvailability` and stays that cannot be booked are not priced.
+   *
+   * @param  {mixed} bookingDate anything parseable by dayjs
+   * @param  {mixed} firstArrivalDate anything parseable by dayjs
+   * @param  {mixed} lastArrivalDate anything parseable by dayjs, inclusive
+   * @param  {Number|Array<Number>} lengthsOfStay one or more lengths of stay
+   * in nights
+   * @param  {Array<Object>} guests List of information about guests
+   * @param  {string} currency you can limit the results only
+   * to this currency
+   * @param  {string} roomTypeId you can limit the results only to
+   * this roomTypeId
+   * @param  {Object} indexedAvailability optional result of `indexAvailability`
+   * @param  {Object} access optional credentials of the guest, defaults
+   * to the `access` option, see `prices/access`
+   * @return {Array<Object>} Calendar for every room type such as
+   * ```
+   * [
+   *   {
+   *     "id": "single-bed",
+   *     "calendar": [
+   *       {
+   *         "arrivalDate": "2018-01-01",
+   *         "departureDate": "2018-01-03",
+   *         "lengthOfStay": 2,
+   *         "quantity": 3,
+   *         "available": true,
+   *         "prices": <prices as returned by getBestPrice>
+   *       }
+   *     ]
+   *   }
+   * ]
+   * ```
+   * `quantity` and `available` are present only when `indexedAvailability`
+   * is given, together with `blockedBy` when a daily restriction does
+   * not allow the stay, see `computeAvailability`.
+   */
+  getCalendarPrices (bookingDate, firstArrivalDate, lastArrivalDate, lengthsOfStay, guests, currency, roomTypeId, indexedAvailability, access = this.access) {
+    const roomTypes = roomTypeId ? this.roomTypes.filter((rt) => rt.id === roomTypeId) : this.roomTypes;
+    const lengths = Array.isArray(lengthsOfStay) ? lengthsOfStay : [lengthsOfStay];
+    const lastArrivalDateDayjs = toHotelTime(lastArrivalDate, this.timezone);
+    const dailyPricesCache = {};
+    const calendars = roomTypes.reduce((agg, rt) => Object.assign(agg, { [rt.id]: [] }), {});
+
+    let arrivalDateDayjs = toHotelTime(firstArrivalDate, this.timezone);
+    while (!arrivalDateDayjs.isAfter(lastArrivalDateDayjs)) {
+      for (let i = 0; i < lengths.length; i += 1) {
+        const departureDateDayjs = arrivalDateDayjs.add(lengths[i], 'day');
+        const availability = indexedAvailability
+          ? computeAvailability(
+            arrivalDateDayjs, departureDateDayjs, guests, roomTypes, indexedAvailability, bookingDate, this.ratePlans, this.timezone
+          )
+          : [];
+        const bookableRoomTypes = roomTypes.filter((rt) => {
+          const roomTypeAvailability = availability.find((a) => a.roomTypeId === rt.id);
+          return !indexedAvailability || roomTypeAvailability.quantity > 0;
+        });
+        const prices = bookableRoomTypes.map((rt) => this._determinePrices(
+          bookingDate, arrivalDateDayjs, departureDateDayjs, guests, currency, rt.id,
+          (dailyPrices) => this._bestPriceStrategy(dailyPrices, guests), dailyPricesCache, access
+        )[0]);
+        for (let j = 0; j < roomTypes.length; j += 1) {
+          const roomTypePrices = prices.find((p) => p.id === roomTypes[j].id);
+          const day = {
+            arrivalDate: arrivalDateDayjs.format('YYYY-MM-DD'),
+            departureDate: departureDateDayjs.format('YYYY-MM-DD'),
+            lengthOfStay: lengths[i],
+            prices: roomTypePrices ? roomTypePrices.prices : [],
+          };
+          if (indexedAvailability) {
+            const roomTypeAvailability = availability.find((a) => a.roomTypeId === roomTypes[j].id);
+            day.quantity = roomTypeAvailability.quantity;
+            day.available = day.quantity > 0;
+            if (roomTypeAvailability.blockedBy) {
+              day.blockedBy = roomTypeAvailability.blockedBy;
+            }
+          }
+          calendars[roomTypes[j].id].push(day);
+        }
+      }
+      arrivalDateDayjs = arrivalDateDayjs.add(1, 'day');
+    }
+    return roomTypes.map((rt) => ({
+      id: rt.id,
+      calendar: calendars[rt.id],
+    }));
   }
 }
 
 export default {
   PriceComputer,
   PriceComputerError,
+  access,
+  ranking,
 };
@@ -0,0 +1,119 @@
+import {
+  computeCancellationFees,
+  selectCancellationTerms,
+} from '../cancellation-fees';
+
+/**
+ * Comparators in this module rank candidate prices of single
+ * rate plans, i. e. objects with `ratePlan` and `total` fields
+ * as produced by `getPossiblePricesWithSingleRatePlan`. A negative
+ * result means that the first candidate is ranked higher.
+ */
+
+/**
+ * Cheaper candidates first.
+ *
+ * @param  {Object} a candidate price
+ * @param  {Object} b candidate price
+ * @return {Number}
+ */
+export const byTotal = (a, b) => a.total.value - b.total.value;
+
+/**
+ * Candidates with a higher rate plan `priority` first.
+ * Rate plans without `priority` have 0.
+ *
+ * @param  {Object} a candidate price
+ * @param  {Object} b candidate price
+ * @return {Number}
+ */
+export const byPriority = (a, b) => (b.ratePlan.priority || 0) - (a.ratePlan.priority || 0);
+
+/**
+ * Candidates with more rate plan `inclusions` (such as breakfast)
+ * first.
+ *
+ * @param  {Object} a candidate price
+ * @param  {Object} b candidate price
+ * @return {Number}
+ */
+export const byInclusions = (a, b) => (b.ratePlan.inclusions || []).length - (a.ratePlan.inclusions || []).length;
+
+/**
+ * Candidates ordered by the rate plan id, useful as
+ * the last comparator to make the ranking deterministic.
+ *
+ * @param  {Object} a candidate price
+ * @param  {Object} b candidate price
+ * @return {Number}
+ */
+export const byRatePlanId = (a, b) => {
+  if (a.ratePlan.id === b.ratePlan.id) {
+    return 0;
+  }
+  return a.ratePlan.id < b.ratePlan.id ? -1 : 1;
+};
+
+/**
+ * Creates a comparator that ranks more refundable candidates first,
+ * i. e. the ones with a lower cancellation fee right after booking.
+ * Cancellation terms of every rate plan are chosen by
+ * `selectCancellationTerms`.
+ *
+ * @param  {mixed} bookingDate anything parseable by dayjs
+ * @param  {mixed} arrivalDate anything parseable by dayjs
+ * @param  {Array<Object>} cancellationPolicies hotel cancellation policies
+ * @param  {Number} defaultCancellationAmount hotel fallback amount
+ * @param  {Object} options optional, passed to `computeCancellationFees`
+ * @return {Function} comparator
+ */
+export const byRefundability = (bookingDate, arrivalDate, cancellationPolicies, defaultCancellationAmount, options) => {
+  const fees = {};
+  const getFee = (ratePlan) => {
+    if (fees[ratePlan.id] === undefined) {
+      const terms = selectCancellationTerms(ratePlan, cancellationPolicies, defaultCancellationAmount) || {
+        cancellationPolicies: [],
+        defaultCancellationAmount: 0,
+      };
+      const schedule = computeCancellationFees(
+        bookingDate, arrivalDate, terms.cancellationPolicies, terms.defaultCancellationAmount, options
+      );
+      fees[ratePlan.id] = schedule.length ? schedule[0].amount : terms.defaultCancellationAmount;
+    }
+    return fees[ratePlan.id];
+  };
+  return (a, b) => getFee(a.ratePlan) - getFee(b.ratePlan);
+};
+
+/**
+ * The ranking used when none is specified.
+ */
+export const DEFAULT_RANKING = [byTotal, byPriority, byRatePlanId];
+
+/**
+ * Combines comparators into a single one. Every next
+ * comparator is used only when all of the previous ones
+ * consider the candidates equal.
+ *
+ * @param  {Array<Function>} comparators
+ * @return {Function} comparator usable in `Array.prototype.sort`
+ */
+export const rankBy = (comparators) => (a, b) => {
+  for (let i = 0; i < comparators.length; i += 1) {
+    const result = comparators[i](a, b);
+    if (result) {
+      return result;
+    }
+  }
+  return 0;
+};
+
+export default {
+  byTotal,
+  byPriority,
+  byInclusions,
+  byRatePlanId,
+  byRefundability,
+  DEFAULT_RANKING,
+  rankBy,
+};
@@ -1,4 +1,96 @@
 import dayjs from 'dayjs';
+import {
+  explainAccessRejection,
+} from './access';
+
+// Indexed the same way as dayjs().day()
+const DAYS_OF_WEEK = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Decides whether a date falls into a yearly recurring range
+ * of `MM-DD` dates. Ranges can go over the end of the year,
+ * such as `{ "from": "12-20", "to": "01-05" }`.
+ *
+ * @param  {Object} range with `from` and `to` in `MM-DD` format
+ * @param  {dayjs} dateDayjs
+ * @return {Boolean}
+ */
+const isInYearlyRange = (range, dateDayjs) => {
+  const date = dateDayjs.format('MM-DD');
+  if (range.from <= range.to) {
+    return date >= range.from && date <= range.to;
+  }
+  return date >= range.from || date <= range.to;
+};
+
+/**
+ * Explains why a single rate plan modifier cannot be applied
+ * under given conditions. Modifiers superseded by other modifiers
+ * are not detected here, see `explainRejectedModifiers`.
+ *
+ * Apart from the standard conditions, a modifier can be limited
+ * to certain nights by
+ *
+ * - `daysOfWeek` - list of days such as `["fri", "sat"]`
+ * - `dates` - list of `YYYY-MM-DD` dates
+ * - `yearly` - range of `MM-DD` dates repeating every year, such
+ * as `{ "from": "12-24", "to": "12-26" }`
+ *
+ * and to requests with a valid promo code by `promoCode`, see `prices/access`.
+ *
+ * @param  {Object} modifier Rate plan modifier as
+ * defined in https://github.com/windingtree/wiki/blob/868b5d2685b1cd70647020978141be820ddccd30/hotel-data-swagger.yaml
+ * @param  {dayjs} dateDayjs A date for which we want to apply modifiers
+ * @param  {Number} lengthOfStay
+ * @param  {Number} numberOfGuests
+ * @param  {Object} access optional credentials of the request, see `resolveAccess`
+ * @return {string|undefined} The rule that excludes the modifier
+ * or undefined if the modifier is applicable.
+ */
+export const explainModifierRejection = (mod, dateDayjs, lengthOfStay, numberOfGuests, access = {}) => {
+  // no or invalid unit - no modifier
+  if (!mod.unit || ['percentage', 'absolute'].indexOf(mod.unit) === -1) {
+    return `unit ${JSON.stringify(mod.unit)} is not percentage or absolute`;
+  }
+  // no conditions - no modifier
+  if (!mod.conditions) {
+    return 'no conditions';
+  }
+  if (mod.conditions.promoCode !== undefined && (access.promoCodes || []).indexOf(mod.conditions.promoCode) === -1) {
+    return `conditions.promoCode ${mod.conditions.promoCode} was not provided`;
+  }
+  // date limits
+  if (mod.conditions.from && dayjs(mod.conditions.from).diff(dateDayjs, 'days') > 0) {
+    return `conditions.from ${mod.conditions.from} is after ${dateDayjs.format('YYYY-MM-DD')}`;
+  }
+  if (mod.conditions.to && dayjs(mod.conditions.to).diff(dateDayjs, 'days') < 0) {
+    return `conditions.to ${mod.conditions.to} is before ${dateDayjs.format('YYYY-MM-DD')}`;
+  }
+  // night specific limits
+  const nightDayjs = dayjs(dateDayjs);
+  const night = nightDayjs.format('YYYY-MM-DD');
+  if (mod.conditions.daysOfWeek && mod.conditions.daysOfWeek.indexOf(DAYS_OF_WEEK[nightDayjs.day()]) === -1) {
+    return `conditions.daysOfWeek ${mod.conditions.daysOfWeek.join(', ')} do not contain ${DAYS_OF_WEEK[nightDayjs.day()]} (${night})`;
+  }
+  if (mod.conditions.dates && mod.conditions.dates.indexOf(night) === -1) {
+    return `conditions.dates do not contain ${night}`;
+  }
+  if (mod.conditions.yearly && !isInYearlyRange(mod.conditions.yearly, nightDayjs)) {
+    return `conditions.yearly ${mod.conditions.yearly.from} - ${mod.conditions.yearly.to} does not contain ${night}`;
+  }
+  // LOS condition
+  if (mod.conditions.minLengthOfStay) {
+    if (mod.conditions.minLengthOfStay > lengthOfStay) {
+      return `conditions.minLengthOfStay ${mod.conditions.minLengthOfStay} > ${lengthOfStay} nights`;
+    }
+    return undefined;
+  }
+  // Occupants condition
+  if (mod.conditions.minOccupants && mod.conditions.minOccupants > numberOfGuests) {
+    return `conditions.minOccupants ${mod.conditions.minOccupants} > ${numberOfGuests} guests`;
+  }
+  return undefined;
+};
 
 /**
  * Picks rate plans modifiers applicable under given conditions.
@@ -8,9 +100,10 @@ import dayjs from 'dayjs';
  * @param  {dayjs} dateDayjs A date for which we want to apply modifiers
  * @param  {Number} lengthOfStay
  * @param  {Number} numberOfGuests
+ * @param  {Object} access optional credentials of the request, see `resolveAccess`
  * @return {Array<Object>} List of modifiers that can be applied
  */
-export const selectApplicableModifiers = (modifiers, dateDayjs, lengthOfStay, numberOfGuests) => {
+export const selectApplicableModifiers = (modifiers, dateDayjs, lengthOfStay, numberOfGuests, access) => {
   if (!modifiers || !modifiers.length) {
     return [];
   }
@@ -22,26 +115,11 @@ export const selectApplicableModifiers = (modifiers, dateDayjs, lengthOfStay, nu
   // get deleted later.
   const elementsToDrop = [];
   const applicableModifiers = modifiers.filter((mod) => {
-    // no or invalid unit - no modifier
-    if (!mod.unit || ['percentage', 'absolute'].indexOf(mod.unit) === -1) {
-      return false;
-    }
-    // no conditions - no modifier
-    if (!mod.conditions) {
-      return false;
-    }
-    // date limits
-    if (mod.conditions.from && dayjs(mod.conditions.from).diff(dateDayjs, 'days') > 0) {
-      return false;
-    }
-    if (mod.conditions.to && dayjs(mod.conditions.to).diff(dateDayjs, 'days') < 0) {
+    if (explainModifierRejection(mod, dateDayjs, lengthOfStay, numberOfGuests, access)) {
       return false;
     }
     // LOS condition
     if (mod.conditions.minLengthOfStay) {
-      if (mod.conditions.minLengthOfStay > lengthOfStay) {
-        return false;
-      }
       if (maxMinLOS &&
         mod.conditions.minLengthOfStay < maxMinLOS.conditions.minLengthOfStay
       ) {
@@ -55,9 +133,6 @@ export const selectApplicableModifiers = (modifiers, dateDayjs, lengthOfStay, nu
     }
     // Occupants condition
     if (mod.conditions.minOccupants) {
-      if (mod.conditions.minOccupants > numberOfGuests) {
-        return false;
-      }
       if (maxMinOccupants &&
         mod.conditions.minOccupants < maxMinOccupants.conditions.minOccupants
       ) {
@@ -74,6 +149,37 @@ export const selectApplicableModifiers = (modifiers, dateDayjs, lengthOfStay, nu
   return applicableModifiers.filter(mod => elementsToDrop.indexOf(mod) === -1);
 };
 
+/**
+ * Lists all modifiers that are not picked by `selectApplicableModifiers`
+ * together with the reason.
+ *
+ * @param  {Array<Object>} modifiers List of rate plan modifiers as
+ * defined in https://github.com/windingtree/wiki/blob/868b5d2685b1cd70647020978141be820ddccd30/hotel-data-swagger.yaml
+ * @param  {dayjs} dateDayjs A date for which we want to apply modifiers
+ * @param  {Number} lengthOfStay
+ * @param  {Number} numberOfGuests
+ * @param  {Object} access optional credentials of the request, see `resolveAccess`
+ * @return {Array<Object>} List of rejected modifiers such as
+ * ```
+ * [
+ *   {
+ *     "modifier": <Modifier object>,
+ *     "reason": "conditions.minLengthOfStay 7 > 3 nights"
+ *   }
+ * ]
+ * ```
+ */
+export const explainRejectedModifiers = (modifiers, dateDayjs, lengthOfStay, numberOfGuests, access) => {
+  const applicableModifiers = selectApplicableModifiers(modifiers, dateDayjs, lengthOfStay, numberOfGuests, access);
+  return (modifiers || [])
+    .filter((mod) => applicableModifiers.indexOf(mod) === -1)
+    .map((mod) => ({
+      modifier: mod,
+      reason: explainModifierRejection(mod, dateDayjs, lengthOfStay, numberOfGuests, access) ||
+        `superseded by a modifier with a higher ${mod.conditions.minLengthOfStay ? 'conditions.minLengthOfStay' : 'conditions.minOccupants'}`,
+    }));
+};
+
 /**
  * Selects a modifier that is most in favour of a guest
  * with given age. If no age based modifier is applicable,
@@ -118,11 +224,93 @@ export const selectBestGuestModifier = (basePrice, modifiers, guestAge) => {
 };
 
 /**
- * Filters out rate plans that cannot be used under
- * given conditions.
+ * Selects all modifiers that should be applied to a price of a guest
+ * with given age, in the order in which they should be applied.
+ *
+ * Without stacking, at most one modifier is selected by
+ * `selectBestGuestModifier`. With stacking, modifiers are combined
+ * according to these fields:
+ *
+ * - `group` - optional name, modifiers in the same group exclude each
+ * other and only the one best for the guest is used. All modifiers
+ * without a group belong to a single default group.
+ * - `priority` - optional number, defaults to 0. Groups are applied
+ * from the highest priority of their selected modifier.
+ * - `exclusive` - optional flag, when such modifier is selected,
+ * no modifiers with a lower priority are applied.
+ *
+ * Modifiers that would not change the price are never selected.
+ *
+ * @param  {Number} basePrice
+ * @param  {Array<Object>} modifiers List of applicable rate plan modifiers,
+ * see `selectApplicableModifiers`
+ * @param  {Number} guestAge
+ * @param  {string} stacking `modifierStacking` of a rate plan, `none`
+ * (default), `additive` or `multiplicative`
+ * @return {Array<Object>} Modifiers to apply
+ */
+export const selectGuestModifiers = (basePrice, modifiers, guestAge, stacking) => {
+  const groups = [];
+  if (!stacking || stacking === 'none') {
+    groups.push(modifiers);
+  } else {
+    const groupIndex = {};
+    modifiers.forEach((mod) => {
+      const group = mod.group === undefined ? '' : `:${mod.group}`;
+      if (groupIndex[group] === undefined) {
+        groupIndex[group] = groups.length;
+        groups.push([]);
+      }
+      groups[groupIndex[group]].push(mod);
+    });
+  }
+  const selectedModifiers = groups
+    .map((group) => selectBestGuestModifier(basePrice, group, guestAge))
+    .filter((mod) => mod && mod.change)
+    // the change is specific to this guest, so it is not kept on the modifier
+    .map(({ change, ...mod }) => mod)
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  modifiers.forEach((mod) => { delete mod.change; });
+  const exclusiveIndex = selectedModifiers.findIndex((mod) => mod.exclusive);
+  return exclusiveIndex === -1 ? selectedModifiers : selectedModifiers.slice(0, exclusiveIndex + 1);
+};
+
+/**
+ * Selects a length of stay price that applies to a stay of
+ * a given length. When more of them fit, the one with the highest
+ * `min` wins, just as with the `minLengthOfStay` modifiers.
+ *
+ * Every length of stay price is defined by
+ *
+ * - `min` - minimal length of stay in nights
+ * - `max` - optional maximal length of stay in nights
+ * - `price` - price per guest per night, or
+ * - `total` - price per guest for the whole stay
+ *
+ * @param  {Array<Object>} lengthOfStayPrices `lengthOfStayPrices` of a rate plan
+ * @param  {Number} lengthOfStay
+ * @return {Object|undefined} The applicable length of stay price
+ */
+export const selectLengthOfStayPrice = (lengthOfStayPrices, lengthOfStay) => {
+  if (!lengthOfStayPrices || !lengthOfStayPrices.length) {
+    return undefined;
+  }
+  return lengthOfStayPrices
+    .filter((p) => (p.min || 0) <= lengthOfStay && (p.max === undefined || p.max >= lengthOfStay))
+    .filter((p) => p.price !== undefined || p.total !== undefined)
+    .reduce((best, current) => {
+      if (!best || (current.min || 0) > (best.min || 0)) {
+        return current;
+      }
+      return best;
+    }, undefined);
+};
+
+/**
+ * Explains why a rate plan cannot be used under given conditions.
  *
  * @param  {string} roomTypeId
- * @param  {Array<Object>} ratePlans list of rate plans as defined in
+ * @param  {Object} ratePlan rate plan as defined in
  * https://github.com/windingtree/wiki/blob/868b5d2685b1cd70647020978141be820ddccd30/hotel-data-swagger.yaml
  * @param  {dayjs} bookingDateDayjs
  * @param  {dayjs} arrivalDateDayjs
@@ -131,88 +319,143 @@ export const selectBestGuestModifier = (basePrice, modifiers, guestAge) => {
  * a currency defined
  * @param  {string|null|undefined} preferredCurrency You can limit the results to
  * this single currency for faster processing
- * @return {Array<Object>} List of usable rate plans.
+ * @param  {Object} access optional credentials of the request, private
+ * rate plans are usable only with a matching one, see `prices/access`
+ * @return {string|undefined} The rule that excludes the rate plan
+ * or undefined if the rate plan is usable.
  */
-export const selectApplicableRatePlans = (
+export const explainRatePlanRejection = (
   roomTypeId,
-  ratePlans,
+  rp,
   bookingDateDayjs,
   arrivalDateDayjs,
   departureDateDayjs,
   fallbackCurrency,
-  preferredCurrency = null
+  preferredCurrency = null,
+  access
 ) => {
   const lengthOfStay = Math.abs(arrivalDateDayjs.diff(departureDateDayjs, 'days'));
-  return ratePlans.filter((rp) => {
-    // Rate plan is not tied to this room type
-    if (rp.roomTypeIds.indexOf(roomTypeId) === -1) {
-      return false;
-    }
+  // Rate plan is not tied to this room type
+  if (!rp.roomTypeIds || rp.roomTypeIds.indexOf(roomTypeId) === -1) {
+    return `roomTypeIds do not contain ${roomTypeId}`;
+  }
 
-    // Rate plan has a different currency than requested.
-    if (preferredCurrency && (rp.currency || fallbackCurrency) !== preferredCurrency) {
-      return false;
-    }
+  // Private rate plan without a matching credential
+  const accessRejection = explainAccessRejection(rp, access);
+  if (accessRejection) {
+    return accessRejection;
+  }
 
-    // Filter out rate plans by dates
-    if (rp.availableForReservation) {
-    // Rate plan cannot be used for this date
-      const availableForReservationFrom = dayjs(rp.availableForReservation.from);
-      const availableForReservationTo = dayjs(rp.availableForReservation.to);
-      if (availableForReservationTo.isBefore(bookingDateDayjs) ||
-          availableForReservationFrom.isAfter(bookingDateDayjs)) {
-        return false;
-      }
+  // Rate plan has a different currency than requested.
+  if (preferredCurrency && (rp.currency || fallbackCurrency) !== preferredCurrency) {
+    return `currency ${rp.currency || fallbackCurrency} is not the requested ${preferredCurrency}`;
+  }
+
+  // Filter out rate plans by dates
+  if (rp.availableForReservation) {
+  // Rate plan cannot be used for this date
+    const availableForReservationFrom = dayjs(rp.availableForReservation.from);
+    const availableForReservationTo = dayjs(rp.availableForReservation.to);
+    if (availableForReservationTo.isBefore(bookingDateDayjs)) {
+      return `availableForReservation ends ${rp.availableForReservation.to}, booking is made ${bookingDateDayjs.format('YYYY-MM-DD')}`;
     }
-    if (rp.availableForTravel) {
-      // Rate plan is totally out of bounds of travel dates
-      const availableForTravelFrom = dayjs(rp.availableForTravel.from);
-      const availableForTravelTo = dayjs(rp.availableForTravel.to);
-      if (availableForTravelTo.isBefore(arrivalDateDayjs) ||
-          availableForTravelFrom.isAfter(departureDateDayjs)) {
-        return false;
-      }
+    if (availableForReservationFrom.isAfter(bookingDateDayjs)) {
+      return `availableForReservation starts ${rp.availableForReservation.from}, booking is made ${bookingDateDayjs.format('YYYY-MM-DD')}`;
+    }
+  }
+  if (rp.availableForTravel) {
+    // Rate plan is totally out of bounds of travel dates
+    const availableForTravelFrom = dayjs(rp.availableForTravel.from);
+    const availableForTravelTo = dayjs(rp.availableForTravel.to);
+    if (availableForTravelTo.isBefore(arrivalDateDayjs)) {
+      return `availableForTravel ends ${rp.availableForTravel.to}, stay starts ${arrivalDateDayjs.format('YYYY-MM-DD')}`;
     }
+    if (availableForTravelFrom.isAfter(departureDateDayjs)) {
+      return `availableForTravel starts ${rp.availableForTravel.from}, stay ends ${departureDateDayjs.format('YYYY-MM-DD')}`;
+    }
+  }
 
-    // apply general restrictions if any
-    if (rp.restrictions) {
-      if (rp.restrictions.bookingCutOff) {
-        if (rp.restrictions.bookingCutOff.min &&
-          dayjs(arrivalDateDayjs)
-            .subtract(rp.restrictions.bookingCutOff.min, 'days')
-            .isBefore(bookingDateDayjs)
-        ) {
-          return false;
-        }
+  // apply general restrictions if any
+  if (rp.restrictions) {
+    const daysBeforeArrival = arrivalDateDayjs.diff(bookingDateDayjs, 'days');
+    if (rp.restrictions.bookingCutOff) {
+      if (rp.restrictions.bookingCutOff.min &&
+        dayjs(arrivalDateDayjs)
+          .subtract(rp.restrictions.bookingCutOff.min, 'days')
+          .isBefore(bookingDateDayjs)
+      ) {
+        return `bookingCutOff.min ${rp.restrictions.bookingCutOff.min} > ${daysBeforeArrival} days before arrival`;
+      }
 
-        if (rp.restrictions.bookingCutOff.max &&
-          dayjs(arrivalDateDayjs)
-            .subtract(rp.restrictions.bookingCutOff.max, 'days')
-            .isAfter(bookingDateDayjs)
-        ) {
-          return false;
-        }
+      if (rp.restrictions.bookingCutOff.max &&
+        dayjs(arrivalDateDayjs)
+          .subtract(rp.restrictions.bookingCutOff.max, 'days')
+          .isAfter(bookingDateDayjs)
+      ) {
+        return `bookingCutOff.max ${rp.restrictions.bookingCutOff.max} < ${daysBeforeArrival} days before arrival`;
+      }
+    }
+    if (rp.restrictions.lengthOfStay) {
+      if (rp.restrictions.lengthOfStay.min &&
+        rp.restrictions.lengthOfStay.min > lengthOfStay
+      ) {
+        return `lengthOfStay.min ${rp.restrictions.lengthOfStay.min} > ${lengthOfStay} nights`;
       }
-      if (rp.restrictions.lengthOfStay) {
-        if (rp.restrictions.lengthOfStay.min &&
-          rp.restrictions.lengthOfStay.min > lengthOfStay
-        ) {
-          return false;
-        }
 
-        if (rp.restrictions.lengthOfStay.max &&
-          rp.restrictions.lengthOfStay.max < lengthOfStay
-        ) {
-          return false;
-        }
+      if (rp.restrictions.lengthOfStay.max &&
+        rp.restrictions.lengthOfStay.max < lengthOfStay
+      ) {
+        return `lengthOfStay.max ${rp.restrictions.lengthOfStay.max} < ${lengthOfStay} nights`;
       }
     }
-    return true;
-  });
+  }
+
+  // Rate plan priced only by length of stay has to cover the stay
+  if (rp.price === undefined && rp.lengthOfStayPrices &&
+    !selectLengthOfStayPrice(rp.lengthOfStayPrices, lengthOfStay)
+  ) {
+    return `lengthOfStayPrices do not cover ${lengthOfStay} nights`;
+  }
+  return undefined;
 };
 
+/**
+ * Filters out rate plans that cannot be used under
+ * given conditions.
+ *
+ * @param  {string} roomTypeId
+ * @param  {Array<Object>} ratePlans list of rate plans as defined in
+ * https://github.com/windingtree/wiki/blob/868b5d2685b1cd70647020978141be820ddccd30/hotel-data-swagger.yaml
+ * @param  {dayjs} bookingDateDayjs
+ * @param  {dayjs} arrivalDateDayjs
+ * @param  {dayjs} departureDateDayjs
+ * @param  {string} fallbackCurrency used when rate plans does not have
+ * a currency defined
+ * @param  {string|null|undefined} preferredCurrency You can limit the results to
+ * this single currency for faster processing
+ * @param  {Object} access optional credentials of the request, see `explainRatePlanRejection`
+ * @return {Array<Object>} List of usable rate plans.
+ */
+export const selectApplicableRatePlans = (
+  roomTypeId,
+  ratePlans,
+  bookingDateDayjs,
+  arrivalDateDayjs,
+  departureDateDayjs,
+  fallbackCurrency,
+  preferredCurrency = null,
+  access
+) => ratePlans.filter((rp) => !explainRatePlanRejection(
+  roomTypeId, rp, bookingDateDayjs, arrivalDateDayjs, departureDateDayjs, fallbackCurrency, preferredCurrency, access
+));
+
 export default {
+  explainModifierRejection,
   selectApplicableModifiers,
+  explainRejectedModifiers,
   selectBestGuestModifier,
+  selectGuestModifiers,
+  selectLengthOfStayPrice,
+  explainRatePlanRejection,
   selectApplicableRatePlans,
 };
@@ -0,0 +1,117 @@
+import currencyjs from 'currency.js';
+
+import {
+  convertPrice,
+} from './exchange-rates';
+
+/**
+ * Decides whether a guest is exempt from a surcharge based on age.
+ * Guests without a known age are never exempt.
+ *
+ * @param  {Object} surcharge Surcharge definition
+ * @param  {Object} guest
+ * @return {Boolean}
+ */
+export const isGuestExempt = (surcharge, guest) => {
+  if (!surcharge.exemptions || guest.age === undefined || guest.age === null) {
+    return false;
+  }
+  if (surcharge.exemptions.maxAge !== undefined && guest.age <= surcharge.exemptions.maxAge) {
+    return true;
+  }
+  if (surcharge.exemptions.minAge !== undefined && guest.age >= surcharge.exemptions.minAge) {
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Computes taxes or fees for a single priced stay.
+ *
+ * Every surcharge is defined by
+ *
+ * - `unit` - `percentage` of the stay price or an `absolute` amount
+ * - `amount` - percentage or absolute amount
+ * - `per` - `stay`, `night`, `guest` or `guestNight`
+ * - `currency` - optional, used only for absolute amounts, defaults to
+ * the default hotel currency. Absolute surcharges in a different currency
+ * than the price are converted by `getExchangeRate`, which can throw when
+ * the rate is not known. Without `getExchangeRate` they are skipped.
+ * `PriceComputer` never skips them, see `_applySurcharges`.
+ * - `exemptions` - optional `maxAge` and/or `minAge`, guests under or over
+ * such age do not pay the surcharge. Only applicable for `guest` and
+ * `guestNight` surcharges.
+ *
+ * Percentage surcharges are always computed from the stay price only,
+ * not from other taxes or fees.
+ *
+ * @param  {Array<Object>} surcharges List of surcharge definitions
+ * @param  {Array<Object>} stay `components.stay` of a price
+ * @param  {Array<Object>} guests list of information about guests in the
+ * same order as in `stay[].guests`
+ * @param  {string} currency currency of the price
+ * @param  {string} defaultCurrency default hotel currency
+ * @param  {Function} getExchangeRate optional function accepting source
+ * and target currency and returning a result of `normalizeExchangeRate`
+ * @return {Array<Object>} List of applied surcharges, each of them is
+ * the surcharge definition extended with a `total` currencyjs instance
+ * and an `exchangeRate` if the amount had to be converted.
+ */
+export const computeSurcharges = (surcharges, stay, guests, currency, defaultCurrency, getExchangeRate) => {
+  if (!surcharges || !surcharges.length) {
+    return [];
+  }
+  const nights = stay.length;
+  const exchangeRates = {};
+  return surcharges
+    .filter((s) => {
+      if (['percentage', 'absolute'].indexOf(s.unit) === -1) {
+        return false;
+      }
+      if (['stay', 'night', 'guest', 'guestNight'].indexOf(s.per) === -1) {
+        return false;
+      }
+      const surchargeCurrency = s.currency || defaultCurrency;
+      if (s.unit === 'absolute' && surchargeCurrency !== currency) {
+        exchangeRates[surchargeCurrency] = getExchangeRate && getExchangeRate(surchargeCurrency, currency);
+        return !!exchangeRates[surchargeCurrency];
+      }
+      return true;
+    })
+    .map((s) => {
+      const perGuest = s.per === 'guest' || s.per === 'guestNight';
+      const chargedGuests = [];
+      for (let i = 0; i < guests.length; i += 1) {
+        if (!perGuest || !isGuestExempt(s, guests[i])) {
+          chargedGuests.push(i);
+        }
+      }
+      let total;
+      if (s.unit === 'percentage') {
+        const base = stay.reduce((dayAgg, day) => chargedGuests.reduce(
+          (guestAgg, g) => guestAgg.add(day.guests[g].resultingPrice),
+          dayAgg
+        ), currencyjs(0, { symbol: currency }));
+        total = base.multiply(s.amount / 100);
+      } else {
+        const multipliers = {
+          stay: 1,
+          night: nights,
+          guest: chargedGuests.length,
+          guestNight: chargedGuests.length * nights,
+        };
+        const exchangeRate = exchangeRates[s.currency || defaultCurrency];
+        if (exchangeRate) {
+          total = convertPrice(s.amount, exchangeRate).multiply(multipliers[s.per]);
+          return Object.assign({}, s, { total, exchangeRate });
+        }
+        total = currencyjs(s.amount, { symbol: currency }).multiply(multipliers[s.per]);
+      }
+      return Object.assign({}, s, { total });
+    });
+};
+
+export default {
+  isGuestExempt,
+  computeSurcharges,
+};
@@ -3,13 +3,60 @@ import currencyjs from 'currency.js';
 
 import {
   selectApplicableModifiers,
-  selectBestGuestModifier,
+  selectGuestModifiers,
+  selectLengthOfStayPrice,
 } from './rate-plans';
 
+import {
+  convertPrice,
+} from './exchange-rates';
+
+/**
+ * Adjusts a price by a list of modifiers in the given order.
+ *
+ * With `additive` stacking (or without stacking) every percentage
+ * is computed from the base price, with `multiplicative` stacking
+ * from the price adjusted by the previous modifiers. A price adjusted
+ * by more modifiers never drops below zero.
+ *
+ * @param  {currencyjs} basePrice
+ * @param  {Array<Object>} modifiers result of `selectGuestModifiers`
+ * @param  {string} stacking `modifierStacking` of a rate plan
+ * @return {currencyjs} Resulting price
+ */
+export const applyModifiers = (basePrice, modifiers, stacking) => {
+  const resultingPrice = modifiers.reduce((price, mod) => {
+    if (mod.unit === 'absolute') {
+      return price.add(mod.adjustment);
+    }
+    const base = stacking === 'multiplicative' ? price : basePrice;
+    return price.add(base.multiply(mod.adjustment / 100));
+  }, basePrice);
+  if (modifiers.length > 1 && resultingPrice.value < 0) {
+    return resultingPrice.multiply(0);
+  }
+  return resultingPrice;
+};
+
 /**
  * Determines a price for all of the guests for a single day
  * by using the selected rate plan and applying appropriate
- * modifier for every guest.
+ * modifiers for every guest. Rate plans can combine more modifiers
+ * for a single guest with `modifierStacking`, see `selectGuestModifiers`.
+ *
+ * The `pricingMode` of a rate plan decides what the price is for:
+ *
+ * - `perGuest` (default) - every guest pays the price
+ * - `perRoom` - the price is charged once for the whole room
+ * - `perRoomWithExtraGuests` - the price is charged once for up to
+ * `baseOccupancy` (defaults to 1) guests and every other guest pays
+ * `extraGuestPrice`
+ *
+ * In the per room modes, the room charge is attributed to the first
+ * guest and every guest record has a `charge` field with one of
+ * `room`, `included` or `extraGuest` values. The room charge is adjusted
+ * only by modifiers that are not age specific, included guests are
+ * never adjusted.
  *
  * @param  {Array<Object>} guests list of information about guests,
  * right now only the `age` and `id` fields are expected
@@ -17,9 +64,14 @@ import {
  * @param  {dayjs} dateDayjs
  * @param  {Object} ratePlan
  * @param  {string} currentCurrency
+ * @param  {Number} nightIndex optional order of the night within the stay,
+ * starting from 0. It is used to spread a length of stay `total` over
+ * the nights so that the nightly prices add up to it exactly.
+ * @param  {Object} access optional credentials of the request unlocking
+ * promo code modifiers, see `selectApplicableModifiers`
  * @return {Array<object>} Information about possible daily prices
- * for each guest like this (modifier being optional depending on
- * meeting the declare conditions):
+ * for each guest like this (modifiers list all applied modifiers,
+ * lengthOfStayPrice is optional depending on meeting the declared conditions):
  *
  * ```
  * [
@@ -28,46 +80,101 @@ import {
  *     "ratePlanId": "rate plan id",
  *     "basePrice": <currencyjs object>,
  *     "resultingPrice": <currencyjs object>,
- *     "modifier": {
- *       "conditions": {
- *         "minOccupants": 2
- *       },
- *       "unit": "percentage"
- *       "adjustment": -50
- *     }
+ *     "modifiers": [
+ *       {
+ *         "conditions": {
+ *           "minOccupants": 2
+ *         },
+ *         "unit": "percentage"
+ *         "adjustment": -50
+ *       }
+ *     ],
+ *     "lengthOfStayPrice": {
+ *       "min": 2,
+ *       "max": 3,
+ *       "price": 110
+ *     },
+ *     "charge": "room"
  *   }
  * ]
  * ```
  *
  */
-export const computeDailyPrice = (guests, lengthOfStay, dateDayjs, ratePlan, currentCurrency) => {
+export const computeDailyPrice = (guests, lengthOfStay, dateDayjs, ratePlan, currentCurrency, nightIndex = 0, access) => {
   const applicableModifiers = selectApplicableModifiers(
-    ratePlan.modifiers, dateDayjs, lengthOfStay, guests.length
+    ratePlan.modifiers, dateDayjs, lengthOfStay, guests.length, access
   );
+  const lengthOfStayPrice = selectLengthOfStayPrice(ratePlan.lengthOfStayPrices, lengthOfStay);
+  let basePrice = currencyjs(ratePlan.price, { symbol: currentCurrency });
+  if (lengthOfStayPrice && lengthOfStayPrice.price !== undefined) {
+    basePrice = currencyjs(lengthOfStayPrice.price, { symbol: currentCurrency });
+  } else if (lengthOfStayPrice) {
+    basePrice = currencyjs(lengthOfStayPrice.total, { symbol: currentCurrency })
+      .distribute(lengthOfStay)[nightIndex];
+  }
+  const pricingMode = ratePlan.pricingMode || 'perGuest';
+  const baseOccupancy = pricingMode === 'perRoom' ? guests.length : (ratePlan.baseOccupancy || 1);
   const guestPrices = [];
-  let selectedModifier;
-  let delta;
   for (let i = 0; i < guests.length; i += 1) {
+    let charge;
+    let guestBasePrice = basePrice;
+    let guestAge = guests[i].age;
+    if (pricingMode !== 'perGuest') {
+      if (i === 0) {
+        charge = 'room';
+        guestAge = undefined;
+      } else if (i < baseOccupancy) {
+        charge = 'included';
+        guestBasePrice = currencyjs(0, { symbol: currentCurrency });
+      } else {
+        charge = 'extraGuest';
+        guestBasePrice = currencyjs(ratePlan.extraGuestPrice, { symbol: currentCurrency });
+      }
+    }
+    // Pick the best modifiers for each guest and adjust the price
+    const modifiers = charge === 'included' ? [] : selectGuestModifiers(
+      guestBasePrice.value, applicableModifiers, guestAge, ratePlan.modifierStacking
+    );
     const guestResult = {
       guestId: guests[i].id,
       ratePlanId: ratePlan.id,
-      basePrice: currencyjs(ratePlan.price, { symbol: currentCurrency }),
+      basePrice: guestBasePrice,
+      resultingPrice: applyModifiers(guestBasePrice, modifiers, ratePlan.modifierStacking),
+      modifiers,
     };
-    delta = 0;
-
-    // Pick the best modifier for each guest and adjust the price
-    selectedModifier = selectBestGuestModifier(ratePlan.price, applicableModifiers, guests[i].age);
-    if (selectedModifier && selectedModifier.change) {
-      delta = selectedModifier.change;
-      delete selectedModifier.change;
-      guestResult.modifier = selectedModifier;
+    if (lengthOfStayPrice && charge !== 'included' && charge !== 'extraGuest') {
+      guestResult.lengthOfStayPrice = lengthOfStayPrice;
+    }
+    if (charge) {
+      guestResult.charge = charge;
     }
-    guestResult.resultingPrice = guestResult.basePrice.add(currencyjs(delta, { symbol: currentCurrency }));
     guestPrices.push(guestResult);
   }
   return guestPrices;
 };
 
+/**
+ * Explains why a rate plan cannot be used for a single night.
+ * Rate plan without date restriction can be applied at any time.
+ *
+ * @param  {Object} ratePlan
+ * @param  {dayjs} dateDayjs date of the night
+ * @return {string|undefined} The rule that excludes the rate plan
+ * or undefined if the rate plan is usable for that night.
+ */
+export const explainTravelDateRejection = (ratePlan, dateDayjs) => {
+  if (!ratePlan.availableForTravel) {
+    return undefined;
+  }
+  if (dateDayjs < dayjs(ratePlan.availableForTravel.from)) {
+    return `availableForTravel starts ${ratePlan.availableForTravel.from}, stay needs ${dateDayjs.format('YYYY-MM-DD')}`;
+  }
+  if (dateDayjs > dayjs(ratePlan.availableForTravel.to)) {
+    return `availableForTravel ends ${ratePlan.availableForTravel.to}, stay needs ${dateDayjs.format('YYYY-MM-DD')}`;
+  }
+  return undefined;
+};
+
 /**
  * Computes all daily prices for all rate plans that
  * can be applied for every day of the stay and groups
@@ -77,8 +184,14 @@ export const computeDailyPrice = (guests, lengthOfStay, dateDayjs, ratePlan, cur
  * This allows for flexible rate plan combination strategies
  * and various end-user price combinations.
  *
- * This does not allow a combination on a day-guest level, i. e.
- * a different rate plan can not be picked for different people on the
+ * When a `targetCurrency` is given, prices of rate plans in other
+ * currencies are converted, so rate plans in different currencies
+ * can be mixed during a single stay. Every converted guest price
+ * then carries the `exchangeRate` that was used.
+ *
+ * Every guest price of every rate plan is kept, so a strategy
+ * can also combine rate plans on a day-guest level, i. e.
+ * pick a different rate plan for different people on the
  * same day.
  *
  * @param  {dayjs} arrivalDateDayjs
@@ -87,6 +200,16 @@ export const computeDailyPrice = (guests, lengthOfStay, dateDayjs, ratePlan, cur
  * right now only the `age` field is expected
  * @param  {string} hotelCurrency default hotel currency
  * @param  {Array<object>} applicableRatePlans list of possible rate plans
+ * @param  {string} targetCurrency optional currency to which all prices
+ * are converted. Rate plans that cannot be converted are skipped.
+ * @param  {Function} getExchangeRate optional function accepting source
+ * and target currency and returning a result of `normalizeExchangeRate`,
+ * required when `targetCurrency` is used
+ * @param  {Object} cache optional object in which computed daily prices
+ * are kept, so they can be reused by subsequent calls with the same guests
+ * and access. Daily prices are cached by rate plan, date, length of stay and currency,
+ * nights priced from a length of stay `total` also by their order in the stay.
+ * @param  {Object} access optional credentials of the request, see `computeDailyPrice`
  * @return {Object} For every currency a record exists in this map. The value
  * is an array of currencyjs instances that denote the best price
  * for all guests for a single day.
@@ -105,7 +228,8 @@ export const computeDailyPrice = (guests, lengthOfStay, dateDayjs, ratePlan, cur
  * ]
  * ```
  */
-export const computeDailyRatePlans = (arrivalDateDayjs, departureDateDayjs, guests, hotelCurrency, applicableRatePlans) => {
+export const computeDailyRatePlans = (arrivalDateDayjs, departureDateDayjs, guests, hotelCurrency, applicableRatePlans,
+  targetCurrency, getExchangeRate, cache, access) => {
   const dailyPrices = {};
   const lengthOfStay = Math.abs(arrivalDateDayjs.diff(departureDateDayjs, 'days'));
   let currentDate = dayjs(arrivalDateDayjs);
@@ -113,11 +237,23 @@ export const computeDailyRatePlans = (arrivalDateDayjs, departureDateDayjs, gues
   // Find an appropriate rate plan for every day
   for (let i = 0; i < lengthOfStay; i += 1) {
     let currentRatePlan;
+    let ratePlanCurrency;
     let currentCurrency;
+    let exchangeRate;
     // loop over all rate plans and find the usable ones for that day in all currencies
     for (let j = 0; j < applicableRatePlans.length; j += 1) {
       currentRatePlan = applicableRatePlans[j];
-      currentCurrency = currentRatePlan.currency || hotelCurrency;
+      ratePlanCurrency = currentRatePlan.currency || hotelCurrency;
+      currentCurrency = ratePlanCurrency;
+      exchangeRate = undefined;
+      if (targetCurrency && ratePlanCurrency !== targetCurrency) {
+        exchangeRate = getExchangeRate(ratePlanCurrency, targetCurrency);
+        // No way to express this rate plan in the target currency
+        if (!exchangeRate) {
+          continue;
+        }
+        currentCurrency = targetCurrency;
+      }
       if (!dailyPrices[currentCurrency]) {
         dailyPrices[currentCurrency] = [];
       }
@@ -125,27 +261,38 @@ export const computeDailyRatePlans = (arrivalDateDayjs, departureDateDayjs, gues
         dailyPrices[currentCurrency][i] = [];
       }
 
-      // Rate plan without date restriction can be applied at any time
-      const availableForTravelFrom = currentRatePlan.availableForTravel
-        ? dayjs(currentRatePlan.availableForTravel.from)
-        : dayjs(currentDate);
-      const availableForTravelTo = currentRatePlan.availableForTravel
-        ? dayjs(currentRatePlan.availableForTravel.to)
-        : dayjs(currentDate);
-
+      let cacheKey = `${currentRatePlan.id}:${currentDate.format('YYYY-MM-DD')}:${lengthOfStay}:${currentCurrency}`;
+      const lengthOfStayPrice = selectLengthOfStayPrice(currentRatePlan.lengthOfStayPrices, lengthOfStay);
+      if (lengthOfStayPrice && lengthOfStayPrice.price === undefined) {
+        cacheKey = `${cacheKey}:${i}`;
+      }
+      if (cache && cache[cacheKey]) {
+        dailyPrices[currentCurrency][i].push(cache[cacheKey]);
+        continue;
+      }
       // Count only rate plan ending sometimes during the stay
-      if (currentDate >= availableForTravelFrom && currentDate <= availableForTravelTo) {
-        // TODO allow for day-guest-rate plan combinations
-        const dailyPrice = computeDailyPrice(
-          guests, lengthOfStay, currentDate, currentRatePlan, currentCurrency,
+      if (!explainTravelDateRejection(currentRatePlan, currentDate)) {
+        let dailyPrice = computeDailyPrice(
+          guests, lengthOfStay, currentDate, currentRatePlan, ratePlanCurrency, i, access,
         );
-        dailyPrices[currentCurrency][i].push({
+        if (exchangeRate) {
+          dailyPrice = dailyPrice.map((gp) => Object.assign({}, gp, {
+            basePrice: convertPrice(gp.basePrice, exchangeRate),
+            resultingPrice: convertPrice(gp.resultingPrice, exchangeRate),
+            exchangeRate,
+          }));
+        }
+        const dailyRatePlan = {
           date: currentDate,
           ratePlan: currentRatePlan,
           total: dailyPrice
             .reduce((a, b) => a.add(currencyjs(b.resultingPrice, { symbol: currentCurrency })), currencyjs(0, { symbol: currentCurrency })),
           guestPrices: dailyPrice,
-        });
+        };
+        if (cache) {
+          cache[cacheKey] = dailyRatePlan;
+        }
+        dailyPrices[currentCurrency][i].push(dailyRatePlan);
       }
     }
     currentDate = currentDate.add(1, 'day');
@@ -162,7 +309,87 @@ export const computeDailyRatePlans = (arrivalDateDayjs, departureDateDayjs, gues
   return dailyPrices;
 };
 
+/**
+ * Explains which nights of the stay are not covered by rate plans
+ * and currencies. This follows the same rules as `computeDailyRatePlans`.
+ *
+ * @param  {dayjs} arrivalDateDayjs
+ * @param  {dayjs} departureDateDayjs
+ * @param  {string} hotelCurrency default hotel currency
+ * @param  {Array<object>} applicableRatePlans list of possible rate plans
+ * @param  {string} targetCurrency optional currency to which all prices
+ * are converted
+ * @param  {Function} getExchangeRate optional function accepting source
+ * and target currency and returning a result of `normalizeExchangeRate`
+ * @return {Object} Reasons for every rate plan that does not cover
+ * the whole stay and every currency that gets dropped such as
+ * ```
+ * {
+ *   "ratePlans": {
+ *     "rpa": ["availableForTravel ends 2019-03-04, stay needs 2019-03-05"]
+ *   },
+ *   "currencies": {
+ *     "CZK": ["currency CZK does not cover night 3 (2019-03-05)"]
+ *   }
+ * }
+ * ```
+ */
+export const explainStayCoverage = (arrivalDateDayjs, departureDateDayjs, hotelCurrency, applicableRatePlans,
+  targetCurrency, getExchangeRate) => {
+  const lengthOfStay = Math.abs(arrivalDateDayjs.diff(departureDateDayjs, 'days'));
+  const ratePlans = {};
+  const coverage = {};
+  for (let i = 0; i < applicableRatePlans.length; i += 1) {
+    const ratePlan = applicableRatePlans[i];
+    const ratePlanCurrency = ratePlan.currency || hotelCurrency;
+    let currency = ratePlanCurrency;
+    if (targetCurrency && ratePlanCurrency !== targetCurrency) {
+      if (!getExchangeRate(ratePlanCurrency, targetCurrency)) {
+        ratePlans[ratePlan.id] = [`no exchange rate from ${ratePlanCurrency} to ${targetCurrency}`];
+        continue;
+      }
+      currency = targetCurrency;
+    }
+    coverage[currency] = coverage[currency] || [];
+    const reasons = [];
+    let currentDate = dayjs(arrivalDateDayjs);
+    for (let j = 0; j < lengthOfStay; j += 1) {
+      const reason = explainTravelDateRejection(ratePlan, currentDate);
+      if (!reason) {
+        coverage[currency][j] = true;
+      } else if (!reasons.length || reasons[reasons.length - 1].split(',')[0] !== reason.split(',')[0]) {
+        // report only the first night for every violated rule
+        reasons.push(reason);
+      }
+      currentDate = currentDate.add(1, 'day');
+    }
+    if (reasons.length) {
+      ratePlans[ratePlan.id] = reasons;
+    }
+  }
+
+  const currencies = {};
+  const allCurrencies = Object.keys(coverage);
+  for (let i = 0; i < allCurrencies.length; i += 1) {
+    let currentDate = dayjs(arrivalDateDayjs);
+    for (let j = 0; j < lengthOfStay; j += 1) {
+      if (!coverage[allCurrencies[i]][j]) {
+        currencies[allCurrencies[i]] = (currencies[allCurrencies[i]] || [])
+          .concat([`currency ${allCurrencies[i]} does not cover night ${j + 1} (${currentDate.format('YYYY-MM-DD')})`]);
+      }
+      currentDate = currentDate.add(1, 'day');
+    }
+  }
+  return {
+    ratePlans,
+    currencies,
+  };
+};
+
 export default {
   computeDailyRatePlans,
+  applyModifiers,
   computeDailyPrice,
+  explainTravelDateRejection,
+  explainStayCoverage,
 };
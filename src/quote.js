@@ -0,0 +1,97 @@
+import {
+  PriceComputer,
+} from './prices';
+
+import {
+  indexAvailability,
+  computeAvailability,
+} from './availability';
+
+/**
+ * Computes everything that is needed to offer room types
+ * for a single stay - how many rooms can be booked, the best price
+ * and cancellation fees in the price currency.
+ *
+ * @param  {Object} hotel hotel data as defined in
+ * https://github.com/windingtree/wiki/blob/868b5d2685b1cd70647020978141be820ddccd30/hotel-data-swagger.yaml,
+ * `roomTypes`, `ratePlans`, `availability`, `cancellationPolicies`,
+ * `defaultCancellationAmount`, `currency`, `timezone` and `checkInTime`
+ * fields are used.
+ * All dates are evaluated in the hotel `timezone`, see `toHotelTime`.
+ * `availability` can be either a list of availability records
+ * or an object with such list in the `roomTypes` field.
+ * @param  {Object} request search request
+ * @param  {mixed} request.bookingDate anything parseable by dayjs
+ * @param  {mixed} request.arrivalDate anything parseable by dayjs
+ * @param  {mixed} request.departureDate anything parseable by dayjs
+ * @param  {Array<Object>} request.guests List of information about guests
+ * @param  {string} request.currency optional, defaults to the hotel currency
+ * @param  {string} request.roomTypeId optional filter by roomTypeId
+ * @param  {Object} request.access optional credentials of the guest such as
+ * `{ "promoCodes": ["SUMMER"], "corporateAccountId": "acme" }`, the hotel
+ * `promoCodes` are used to check the codes, see `prices/access`
+ * @param  {Object} options passed to `PriceComputer`, `timezone`,
+ * `checkInTime` and cancellation terms default to the hotel ones
+ * @return {Array<Object>} A quote for every room type such as
+ * ```
+ * [
+ *   {
+ *     "roomTypeId": "single-bed",
+ *     "quantity": 3,
+ *     "price": <one of prices as returned by getBestPrice>,
+ *     "cancellationFees": <result of computeCancellationFeeAmounts>,
+ *     "rejectedPromoCodes": <see resolveAccess, only when any code is rejected>
+ *   }
+ * ]
+ * ```
+ * Cancellation fees follow the terms of rate plans used in the price,
+ * see `PriceComputer`. When the room type cannot be priced, `price`
+ * is undefined and `cancellationFees` is an empty list.
+ */
+export const quote = (hotel, request, options) => {
+  const currency = request.currency || hotel.currency;
+  const priceComputer = new PriceComputer(
+    hotel.roomTypes, hotel.ratePlans, hotel.currency, Object.assign({
+      timezone: hotel.timezone,
+      checkInTime: hotel.checkInTime,
+      cancellationPolicies: hotel.cancellationPolicies,
+      defaultCancellationAmount: hotel.defaultCancellationAmount,
+      promoCodes: hotel.promoCodes,
+    }, options)
+  );
+  const roomTypes = request.roomTypeId
+    ? hotel.roomTypes.filter((rt) => rt.id === request.roomTypeId)
+    : hotel.roomTypes;
+  const availabilityRecords = Array.isArray(hotel.availability)
+    ? hotel.availability
+    : (hotel.availability && hotel.availability.roomTypes) || [];
+
+  const availability = computeAvailability(
+    request.arrivalDate, request.departureDate, request.guests,
+    roomTypes, indexAvailability(availabilityRecords), request.bookingDate,
+    hotel.ratePlans, priceComputer.timezone
+  );
+  const prices = priceComputer.getBestPrice(
+    request.bookingDate, request.arrivalDate, request.departureDate,
+    request.guests, currency, request.roomTypeId, request.access
+  );
+
+  return roomTypes.map((rt) => {
+    const roomTypePrices = prices.find((p) => p.id === rt.id);
+    const price = roomTypePrices && roomTypePrices.prices.find((p) => p.currency === currency);
+    const result = {
+      roomTypeId: rt.id,
+      quantity: availability.find((a) => a.roomTypeId === rt.id).quantity,
+      price,
+      cancellationFees: (price && price.cancellationFees) || [],
+    };
+    if (roomTypePrices && roomTypePrices.rejectedPromoCodes) {
+      result.rejectedPromoCodes = roomTypePrices.rejectedPromoCodes;
+    }
+    return result;
+  });
+};
+
+export default {
+  quote,
+};
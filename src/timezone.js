@@ -0,0 +1,167 @@
+import dayjs from 'dayjs';
+
+// Dates and date-times without an offset, such as 2018-01-01 or 2018-01-01T14:00
+const LOCAL_DATE_TIME = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?)?$/;
+
+const formatters = {};
+
+const getFormatter = (timezone) => {
+  if (!formatters[timezone]) {
+    formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      // hourCycle alone is ignored by older engines, which then format 12-hour clocks
+      hour12: false,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+  }
+  return formatters[timezone];
+};
+
+// Wall clock of an instant in a timezone
+const getWallClock = (timestamp, timezone) => getFormatter(timezone)
+  .formatToParts(new Date(timestamp))
+  .reduce((agg, part) => {
+    if (part.type !== 'literal') {
+      agg[part.type] = parseInt(part.value, 10);
+    }
+    return agg;
+  }, {});
+
+const formatOffset = (offset) => {
+  const absolute = Math.abs(offset);
+  const pad = (value) => `${value < 10 ? '0' : ''}${value}`;
+  return `${offset < 0 ? '-' : '+'}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+/**
+ * Checks that a timezone is a valid IANA timezone name,
+ * such as `Europe/Prague`.
+ *
+ * @param  {string} timezone
+ * @return {Boolean}
+ */
+export const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) {
+    return false;
+  }
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Offset of a timezone from UTC at a given instant.
+ *
+ * @param  {Number} timestamp milliseconds since epoch
+ * @param  {string} timezone IANA timezone name
+ * @return {Number} offset in minutes, such as 540 for `Asia/Tokyo`
+ */
+export const getTimezoneOffset = (timestamp, timezone) => {
+  const wall = getWallClock(timestamp, timezone);
+  const wallAsUTC = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour % 24, wall.minute, wall.second);
+  const date = new Date(timestamp);
+  return Math.round((wallAsUTC - (date.getTime() - date.getUTCMilliseconds())) / 60000);
+};
+
+/**
+ * Expresses a date in the local time of a hotel. The result
+ * is a dayjs object whose wall clock (year, month, day, hour...)
+ * is the one in the hotel timezone, so the start of day or
+ * a date formatted as YYYY-MM-DD are the hotel ones.
+ *
+ * Dates and date-times without an offset (such as `2018-01-01`
+ * or `2018-01-01T14:00`) and dayjs objects are already considered
+ * to be in the hotel local time. Everything else (`Date`,
+ * timestamps, strings with an offset) is an instant converted
+ * to the hotel timezone.
+ *
+ * @param  {mixed} value anything parseable by dayjs
+ * @param  {string} timezone optional IANA timezone name, without
+ * it the timezone of the running process is used
+ * @return {dayjs}
+ */
+export const toHotelTime = (value, timezone) => {
+  if (!timezone || dayjs.isDayjs(value) || (typeof value === 'string' && LOCAL_DATE_TIME.test(value))) {
+    return dayjs(value);
+  }
+  const instant = dayjs(value);
+  if (!instant.isValid()) {
+    return instant;
+  }
+  const wall = getWallClock(instant.valueOf(), timezone);
+  return dayjs(new Date(
+    wall.year, wall.month - 1, wall.day, wall.hour % 24, wall.minute, wall.second, instant.millisecond()
+  ));
+};
+
+/**
+ * Turns a hotel local time back into a real instant.
+ *
+ * @param  {dayjs} hotelTime wall clock in the hotel timezone,
+ * such as the result of `toHotelTime`
+ * @param  {string} timezone optional IANA timezone name, without
+ * it the timezone of the running process is used
+ * @return {Number} milliseconds since epoch
+ */
+export const toTimestamp = (hotelTime, timezone) => {
+  const wall = dayjs(hotelTime);
+  if (!timezone) {
+    return wall.valueOf();
+  }
+  const wallAsUTC = Date.UTC(
+    wall.year(), wall.month(), wall.date(), wall.hour(), wall.minute(), wall.second(), wall.millisecond()
+  );
+  // The offset at the wall clock read as UTC can differ from the real
+  // one around DST changes, the second pass settles on the right one.
+  // A wall clock that does not exist (DST gap) moves forward,
+  // a repeated one (DST overlap) is the later of the two.
+  const offset = getTimezoneOffset(wallAsUTC, timezone);
+  return wallAsUTC - getTimezoneOffset(wallAsUTC - offset * 60000, timezone) * 60000;
+};
+
+/**
+ * Formats a real instant in the hotel timezone.
+ *
+ * @param  {Number} timestamp milliseconds since epoch
+ * @param  {string} timezone optional IANA timezone name, without
+ * it the timezone of the running process is used
+ * @return {string} ISO 8601 date-time with an offset, such as
+ * `2018-01-01T00:00:00.000+09:00`
+ */
+export const formatTimestamp = (timestamp, timezone) => {
+  if (!timezone) {
+    return dayjs(timestamp).format('YYYY-MM-DDTHH:mm:ss.SSSZ');
+  }
+  const offset = getTimezoneOffset(timestamp, timezone);
+  return `${new Date(timestamp + offset * 60000).toISOString().slice(0, -1)}${formatOffset(offset)}`;
+};
+
+/**
+ * Turns a hotel local time back into a real instant, see `toTimestamp`.
+ *
+ * @param  {dayjs} hotelTime wall clock in the hotel timezone,
+ * such as the result of `toHotelTime`
+ * @param  {string} timezone optional IANA timezone name, without
+ * it the timezone of the running process is used
+ * @return {string} ISO 8601 date-time with an offset, such as
+ * `2018-01-01T00:00:00.000+09:00`
+ */
+export const formatInstant = (hotelTime, timezone) => formatTimestamp(toTimestamp(hotelTime, timezone), timezone);
+
+export default {
+  isValidTimezone,
+  getTimezoneOffset,
+  toHotelTime,
+  toTimestamp,
+  formatTimestamp,
+  formatInstant,
+};
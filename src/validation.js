@@ -0,0 +1,695 @@
+import dayjs from 'dayjs';
+import {
+  isValidTimezone,
+} from './timezone';
+
+const MODIFIER_CONDITIONS = ['from', 'to', 'minLengthOfStay', 'minOccupants', 'maxAge', 'daysOfWeek', 'dates', 'yearly', 'promoCode'];
+const ACCESS_FIELDS = ['promoCodes', 'corporateAccountIds', 'membershipTiers'];
+const DAYS_OF_WEEK = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const CANCELLATION_POLICY_UNITS = ['percentage', 'nights', 'absolute'];
+const CANCELLATION_DEADLINE_UNITS = ['days', 'hours'];
+const MODIFIER_STACKING = ['none', 'additive', 'multiplicative'];
+const PRICING_MODES = ['perGuest', 'perRoom', 'perRoomWithExtraGuests'];
+
+const error = (path, message) => ({ level: 'error', path, message });
+const warning = (path, message) => ({ level: 'warning', path, message });
+
+const isDate = (value) => typeof value === 'string' &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  dayjs(value).isValid() &&
+  dayjs(value).format('YYYY-MM-DD') === value;
+
+const isMonthDay = (value) => typeof value === 'string' &&
+  /^\d{2}-\d{2}$/.test(value) &&
+  isDate(`2000-${value}`);
+
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+const isNonNegativeNumber = (value) => isNumber(value) && value >= 0;
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Checks an interval with mandatory `from` and `to` dates.
+ *
+ * @param  {Object} interval such as `availableForTravel`
+ * @param  {string} path JSON path of the interval
+ * @return {Array<Object>} List of issues
+ */
+export const validateDateInterval = (interval, path) => {
+  if (typeof interval !== 'object' || interval === null) {
+    return [error(path, 'must be an object with from and to dates')];
+  }
+  const issues = [];
+  if (!isDate(interval.from)) {
+    issues.push(error(`${path}.from`, `must be a YYYY-MM-DD date, got ${JSON.stringify(interval.from)}`));
+  }
+  if (!isDate(interval.to)) {
+    issues.push(error(`${path}.to`, `must be a YYYY-MM-DD date, got ${JSON.stringify(interval.to)}`));
+  }
+  if (!issues.length && dayjs(interval.from).isAfter(dayjs(interval.to))) {
+    issues.push(error(path, `from ${interval.from} is after to ${interval.to}`));
+  }
+  return issues;
+};
+
+/**
+ * Checks optional `min` and `max` numeric limits.
+ *
+ * @param  {Object} limits such as `restrictions.lengthOfStay`
+ * @param  {string} path JSON path of the limits
+ * @return {Array<Object>} List of issues
+ */
+export const validateMinMax = (limits, path) => {
+  if (typeof limits !== 'object' || limits === null) {
+    return [error(path, 'must be an object')];
+  }
+  const issues = [];
+  ['min', 'max'].forEach((key) => {
+    if (limits[key] !== undefined && !isNonNegativeNumber(limits[key])) {
+      issues.push(error(`${path}.${key}`, `must be a non-negative number, got ${JSON.stringify(limits[key])}`));
+    }
+  });
+  if (!issues.length && limits.min !== undefined && limits.max !== undefined && limits.min > limits.max) {
+    issues.push(error(path, `min ${limits.min} is greater than max ${limits.max}`));
+  }
+  return issues;
+};
+
+/**
+ * Checks room types.
+ *
+ * @param  {Array<Object>} roomTypes List of room types as defined
+ * in https://github.com/windingtree/wiki/blob/868b5d2685b1cd70647020978141be820ddccd30/hotel-data-swagger.yaml
+ * @param  {string} path JSON path of the list
+ * @return {Array<Object>} List of issues
+ */
+export const validateRoomTypes = (roomTypes, path = 'roomTypes') => {
+  if (!Array.isArray(roomTypes)) {
+    return [error(path, 'must be an array')];
+  }
+  const issues = [];
+  roomTypes.forEach((rt, i) => {
+    if (!rt || typeof rt.id !== 'string') {
+      issues.push(error(`${path}[${i}].id`, 'is required'));
+      return;
+    }
+    if (rt.occupancy !== undefined) {
+      issues.push(...validateMinMax(rt.occupancy, `${path}[${i}].occupancy`));
+      if (typeof rt.occupancy !== 'object' || rt.occupancy === null) {
+        return;
+      }
+      ['maxAdults', 'maxChildren', 'maxInfants'].forEach((key) => {
+        if (rt.occupancy[key] !== undefined && (!Number.isInteger(rt.occupancy[key]) || rt.occupancy[key] < 0)) {
+          issues.push(error(`${path}[${i}].occupancy.${key}`, `must be a non-negative integer, got ${JSON.stringify(rt.occupancy[key])}`));
+        }
+      });
+      ['childMaxAge', 'infantMaxAge'].forEach((key) => {
+        if (rt.occupancy[key] !== undefined && !isNonNegativeNumber(rt.occupancy[key])) {
+          issues.push(error(`${path}[${i}].occupancy.${key}`, `must be a non-negative number, got ${JSON.stringify(rt.occupancy[key])}`));
+        }
+      });
+      if (isNonNegativeNumber(rt.occupancy.infantMaxAge) &&
+        rt.occupancy.infantMaxAge >= (isNonNegativeNumber(rt.occupancy.childMaxAge) ? rt.occupancy.childMaxAge : 17)) {
+        issues.push(warning(`${path}[${i}].occupancy.infantMaxAge`, 'is not lower than childMaxAge, there are no children'));
+      }
+    }
+  });
+  return issues;
+};
+
+/**
+ * Checks rate plan modifiers.
+ *
+ * @param  {Array<Object>} modifiers List of rate plan modifiers as
+ * defined in https://github.com/windingtree/wiki/blob/868b5d2685b1cd70647020978141be820ddccd30/hotel-data-swagger.yaml
+ * @param  {string} path JSON path of the list
+ * @return {Array<Object>} List of issues
+ */
+export const validateModifiers = (modifiers, path) => {
+  if (!Array.isArray(modifiers)) {
+    return [error(path, 'must be an array')];
+  }
+  const issues = [];
+  modifiers.forEach((mod, i) => {
+    const modPath = `${path}[${i}]`;
+    if (typeof mod !== 'object' || mod === null) {
+      issues.push(error(modPath, 'must be an object'));
+      return;
+    }
+    if (['percentage', 'absolute'].indexOf(mod.unit) === -1) {
+      issues.push(error(`${modPath}.unit`, `must be percentage or absolute, got ${JSON.stringify(mod.unit)}`));
+    }
+    if (!isNumber(mod.adjustment)) {
+      issues.push(error(`${modPath}.adjustment`, `must be a number, got ${JSON.stringify(mod.adjustment)}`));
+    } else if (mod.unit === 'percentage' && mod.adjustment < -100) {
+      issues.push(warning(`${modPath}.adjustment`, `${mod.adjustment} % results in a negative price`));
+    }
+    if (mod.group !== undefined && typeof mod.group !== 'string') {
+      issues.push(error(`${modPath}.group`, `must be a string, got ${JSON.stringify(mod.group)}`));
+    }
+    if (mod.priority !== undefined && !isNumber(mod.priority)) {
+      issues.push(error(`${modPath}.priority`, `must be a number, got ${JSON.stringify(mod.priority)}`));
+    }
+    if (mod.exclusive !== undefined && typeof mod.exclusive !== 'boolean') {
+      issues.push(error(`${modPath}.exclusive`, `must be a boolean, got ${JSON.stringify(mod.exclusive)}`));
+    }
+    if (typeof mod.conditions !== 'object' || mod.conditions === null) {
+      issues.push(error(`${modPath}.conditions`, 'is required, modifiers without conditions are never applied'));
+      return;
+    }
+    const conditions = mod.conditions;
+    ['from', 'to'].forEach((key) => {
+      if (conditions[key] !== undefined && !isDate(conditions[key])) {
+        issues.push(error(`${modPath}.conditions.${key}`, `must be a YYYY-MM-DD date, got ${JSON.stringify(conditions[key])}`));
+      }
+    });
+    ['minLengthOfStay', 'minOccupants'].forEach((key) => {
+      if (conditions[key] !== undefined && !isPositiveInteger(conditions[key])) {
+        issues.push(error(`${modPath}.conditions.${key}`, `must be a positive integer, got ${JSON.stringify(conditions[key])}`));
+      }
+    });
+    if (conditions.maxAge !== undefined && !isNonNegativeNumber(conditions.maxAge)) {
+      issues.push(error(`${modPath}.conditions.maxAge`, `must be a non-negative number, got ${JSON.stringify(conditions.maxAge)}`));
+    }
+    if (conditions.daysOfWeek !== undefined) {
+      if (!Array.isArray(conditions.daysOfWeek)) {
+        issues.push(error(`${modPath}.conditions.daysOfWeek`, 'must be an array'));
+      } else {
+        conditions.daysOfWeek.forEach((day, j) => {
+          if (DAYS_OF_WEEK.indexOf(day) === -1) {
+            issues.push(error(`${modPath}.conditions.daysOfWeek[${j}]`, `must be one of ${DAYS_OF_WEEK.join(', ')}, got ${JSON.stringify(day)}`));
+          }
+        });
+      }
+    }
+    if (conditions.dates !== undefined) {
+      if (!Array.isArray(conditions.dates)) {
+        issues.push(error(`${modPath}.conditions.dates`, 'must be an array'));
+      } else {
+        conditions.dates.forEach((date, j) => {
+          if (!isDate(date)) {
+            issues.push(error(`${modPath}.conditions.dates[${j}]`, `must be a YYYY-MM-DD date, got ${JSON.stringify(date)}`));
+          }
+        });
+      }
+    }
+    if (conditions.yearly !== undefined) {
+      if (typeof conditions.yearly !== 'object' || conditions.yearly === null) {
+        issues.push(error(`${modPath}.conditions.yearly`, 'must be an object with from and to dates'));
+      } else {
+        ['from', 'to'].forEach((key) => {
+          if (!isMonthDay(conditions.yearly[key])) {
+            issues.push(error(`${modPath}.conditions.yearly.${key}`, `must be a MM-DD date, got ${JSON.stringify(conditions.yearly[key])}`));
+          }
+        });
+      }
+    }
+    if (conditions.promoCode !== undefined && (typeof conditions.promoCode !== 'string' || !conditions.promoCode)) {
+      issues.push(error(`${modPath}.conditions.promoCode`, `must be a non-empty string, got ${JSON.stringify(conditions.promoCode)}`));
+    }
+    Object.keys(conditions)
+      .filter((key) => MODIFIER_CONDITIONS.indexOf(key) === -1)
+      .forEach((key) => {
+        issues.push(warning(`${modPath}.conditions.${key}`, 'is not a known condition and is ignored'));
+      });
+  });
+  return issues;
+};
+
+/**
+ * Checks length of stay prices of a rate plan.
+ *
+ * @param  {Array<Object>} lengthOfStayPrices List of length of stay prices,
+ * see `selectLengthOfStayPrice`
+ * @param  {string} path JSON path of the list
+ * @return {Array<Object>} List of issues
+ */
+export const validateLengthOfStayPrices = (lengthOfStayPrices, path) => {
+  if (!Array.isArray(lengthOfStayPrices)) {
+    return [error(path, 'must be an array')];
+  }
+  const issues = [];
+  lengthOfStayPrices.forEach((p, i) => {
+    const pricePath = `${path}[${i}]`;
+    if (typeof p !== 'object' || p === null) {
+      issues.push(error(pricePath, 'must be an object'));
+      return;
+    }
+    if (!isPositiveInteger(p.min)) {
+      issues.push(error(`${pricePath}.min`, `must be a positive integer, got ${JSON.stringify(p.min)}`));
+    }
+    if (p.max !== undefined && !isPositiveInteger(p.max)) {
+      issues.push(error(`${pricePath}.max`, `must be a positive integer, got ${JSON.stringify(p.max)}`));
+    } else if (p.max !== undefined && isPositiveInteger(p.min) && p.min > p.max) {
+      issues.push(error(pricePath, `min ${p.min} is greater than max ${p.max}`));
+    }
+    if ((p.price === undefined) === (p.total === undefined)) {
+      issues.push(error(pricePath, 'must have either price or total'));
+    }
+    ['price', 'total'].forEach((key) => {
+      if (p[key] !== undefined && !isNonNegativeNumber(p[key])) {
+        issues.push(error(`${pricePath}.${key}`, `must be a non-negative number, got ${JSON.stringify(p[key])}`));
+      }
+    });
+  });
+  return issues;
+};
+
+/**
+ * Checks rate plans including their modifiers.
+ *
+ * @param  {Array<Object>} ratePlans list of rate plans as defined in
+ * https://github.com/windingtree/wiki/blob/868b5d2685b1cd70647020978141be820ddccd30/hotel-data-swagger.yaml
+ * @param  {Array<Object>} roomTypes optional list of room types, if present,
+ * references to unknown room types are reported
+ * @param  {string} path JSON path of the list
+ * @return {Array<Object>} List of issues
+ */
+export const validateRatePlans = (ratePlans, roomTypes, path = 'ratePlans') => {
+  if (!Array.isArray(ratePlans)) {
+    return [error(path, 'must be an array')];
+  }
+  const roomTypeIds = Array.isArray(roomTypes) ? roomTypes.map((rt) => rt && rt.id) : undefined;
+  const issues = [];
+  ratePlans.forEach((rp, i) => {
+    const rpPath = `${path}[${i}]`;
+    if (typeof rp !== 'object' || rp === null) {
+      issues.push(error(rpPath, 'must be an object'));
+      return;
+    }
+    if (typeof rp.id !== 'string') {
+      issues.push(error(`${rpPath}.id`, 'is required'));
+    }
+    if ((rp.price !== undefined || rp.lengthOfStayPrices === undefined) && !isNonNegativeNumber(rp.price)) {
+      issues.push(error(`${rpPath}.price`, `must be a non-negative number, got ${JSON.stringify(rp.price)}`));
+    }
+    if (rp.pricingMode !== undefined && PRICING_MODES.indexOf(rp.pricingMode) === -1) {
+      issues.push(error(`${rpPath}.pricingMode`, `must be one of ${PRICING_MODES.join(', ')}, got ${JSON.stringify(rp.pricingMode)}`));
+    }
+    if (rp.pricingMode === 'perRoomWithExtraGuests' && !isNonNegativeNumber(rp.extraGuestPrice)) {
+      issues.push(error(`${rpPath}.extraGuestPrice`, `must be a non-negative number, got ${JSON.stringify(rp.extraGuestPrice)}`));
+    }
+    if (rp.baseOccupancy !== undefined && !isPositiveInteger(rp.baseOccupancy)) {
+      issues.push(error(`${rpPath}.baseOccupancy`, `must be a positive integer, got ${JSON.stringify(rp.baseOccupancy)}`));
+    }
+    if (rp.priority !== undefined && !isNumber(rp.priority)) {
+      issues.push(error(`${rpPath}.priority`, `must be a number, got ${JSON.stringify(rp.priority)}`));
+    }
+    if (rp.inclusions !== undefined && !Array.isArray(rp.inclusions)) {
+      issues.push(error(`${rpPath}.inclusions`, 'must be an array'));
+    }
+    if (rp.currency !== undefined && !/^[A-Z]{3}$/.test(rp.currency)) {
+      issues.push(error(`${rpPath}.currency`, `must be a three letter currency code, got ${JSON.stringify(rp.currency)}`));
+    }
+    if (!Array.isArray(rp.roomTypeIds)) {
+      issues.push(error(`${rpPath}.roomTypeIds`, 'must be an array'));
+    } else if (roomTypeIds) {
+      rp.roomTypeIds.forEach((id, j) => {
+        if (roomTypeIds.indexOf(id) === -1) {
+          issues.push(warning(`${rpPath}.roomTypeIds[${j}]`, `unknown room type ${JSON.stringify(id)}`));
+        }
+      });
+    }
+    ['availableForReservation', 'availableForTravel'].forEach((key) => {
+      if (rp[key] !== undefined) {
+        issues.push(...validateDateInterval(rp[key], `${rpPath}.${key}`));
+      }
+    });
+    if (rp.restrictions !== undefined && (typeof rp.restrictions !== 'object' || rp.restrictions === null)) {
+      issues.push(error(`${rpPath}.restrictions`, 'must be an object'));
+    } else if (rp.restrictions !== undefined) {
+      ['bookingCutOff', 'lengthOfStay'].forEach((key) => {
+        if (rp.restrictions[key] !== undefined) {
+          issues.push(...validateMinMax(rp.restrictions[key], `${rpPath}.restrictions.${key}`));
+        }
+      });
+    }
+    if (rp.lengthOfStayPrices !== undefined) {
+      issues.push(...validateLengthOfStayPrices(rp.lengthOfStayPrices, `${rpPath}.lengthOfStayPrices`));
+    }
+    if (rp.modifiers !== undefined) {
+      issues.push(...validateModifiers(rp.modifiers, `${rpPath}.modifiers`));
+    }
+    if (rp.access !== undefined) {
+      if (typeof rp.access !== 'object' || rp.access === null) {
+        issues.push(error(`${rpPath}.access`, 'must be an object'));
+      } else {
+        ACCESS_FIELDS.forEach((key) => {
+          if (rp.access[key] !== undefined &&
+            (!Array.isArray(rp.access[key]) || rp.access[key].some((value) => typeof value !== 'string'))) {
+            issues.push(error(`${rpPath}.access.${key}`, 'must be an array of strings'));
+          }
+        });
+        if (!ACCESS_FIELDS.some((key) => Array.isArray(rp.access[key]) && rp.access[key].length)) {
+          issues.push(warning(`${rpPath}.access`, `has no ${ACCESS_FIELDS.join(', ')}, the rate plan is never applicable`));
+        }
+      }
+    }
+    if (rp.cancellationPolicies !== undefined) {
+      issues.push(...validateCancellationPolicies(rp.cancellationPolicies, `${rpPath}.cancellationPolicies`));
+    }
+    if (rp.cancellationPolicyIds !== undefined && !Array.isArray(rp.cancellationPolicyIds)) {
+      issues.push(error(`${rpPath}.cancellationPolicyIds`, 'must be an array'));
+    }
+    if (rp.defaultCancellationAmount !== undefined &&
+      (!isNonNegativeNumber(rp.defaultCancellationAmount) || rp.defaultCancellationAmount > 100)
+    ) {
+      issues.push(error(`${rpPath}.defaultCancellationAmount`, `must be a percentage up to 100, got ${JSON.stringify(rp.defaultCancellationAmount)}`));
+    }
+    if (rp.modifierStacking !== undefined && MODIFIER_STACKING.indexOf(rp.modifierStacking) === -1) {
+      issues.push(error(`${rpPath}.modifierStacking`, `must be one of ${MODIFIER_STACKING.join(', ')}, got ${JSON.stringify(rp.modifierStacking)}`));
+    } else if (rp.modifierStacking === undefined && Array.isArray(rp.modifiers) && rp.modifiers.some((mod) => mod &&
+      (mod.group !== undefined || mod.priority !== undefined || mod.exclusive !== undefined))) {
+      issues.push(warning(`${rpPath}.modifierStacking`, 'is not set, modifier group, priority and exclusive are ignored'));
+    }
+  });
+  return issues;
+};
+
+/**
+ * Checks availability records.
+ *
+ * @param  {Array<Object>} availability as defined in https://github.com/windingtree/wiki/blob/868b5d2685b1cd70647020978141be820ddccd30/hotel-data-swagger.yaml
+ * @param  {Array<Object>} roomTypes optional list of room types, if present,
+ * records of unknown room types are reported
+ * @param  {string} path JSON path of the list
+ * @return {Array<Object>} List of issues
+ */
+export const validateAvailability = (availability, roomTypes, path = 'availability') => {
+  if (!Array.isArray(availability)) {
+    return [error(path, 'must be an array')];
+  }
+  const roomTypeIds = Array.isArray(roomTypes) ? roomTypes.map((rt) => rt && rt.id) : undefined;
+  const seen = {};
+  const issues = [];
+  availability.forEach((record, i) => {
+    const recordPath = `${path}[${i}]`;
+    if (typeof record !== 'object' || record === null) {
+      issues.push(error(recordPath, 'must be an object'));
+      return;
+    }
+    if (typeof record.roomTypeId !== 'string') {
+      issues.push(error(`${recordPath}.roomTypeId`, 'is required'));
+    } else if (roomTypeIds && roomTypeIds.indexOf(record.roomTypeId) === -1) {
+      issues.push(warning(`${recordPath}.roomTypeId`, `unknown room type ${JSON.stringify(record.roomTypeId)}`));
+    }
+    if (!isDate(record.date)) {
+      issues.push(error(`${recordPath}.date`, `must be a YYYY-MM-DD date, got ${JSON.stringify(record.date)}`));
+    } else if (seen[`${record.roomTypeId}:${record.date}`]) {
+      issues.push(warning(recordPath, `duplicate record for ${record.roomTypeId} on ${record.date}, only the last one is used`));
+    }
+    seen[`${record.roomTypeId}:${record.date}`] = true;
+    if (!Number.isInteger(record.quantity) || record.quantity < 0) {
+      issues.push(error(`${recordPath}.quantity`, `must be a non-negative integer, got ${JSON.stringify(record.quantity)}`));
+    }
+    if (record.allotments !== undefined) {
+      if (!Array.isArray(record.allotments)) {
+        issues.push(error(`${recordPath}.allotments`, 'must be an array'));
+      } else {
+        record.allotments.forEach((a, j) => {
+          const allotmentPath = `${recordPath}.allotments[${j}]`;
+          if (typeof a !== 'object' || a === null) {
+            issues.push(error(allotmentPath, 'must be an object'));
+            return;
+          }
+          if (!Number.isInteger(a.quantity) || a.quantity < 0) {
+            issues.push(error(`${allotmentPath}.quantity`, `must be a non-negative integer, got ${JSON.stringify(a.quantity)}`));
+          }
+          if (a.releaseDays !== undefined && (!Number.isInteger(a.releaseDays) || a.releaseDays < 0)) {
+            issues.push(error(`${allotmentPath}.releaseDays`, `must be a non-negative integer, got ${JSON.stringify(a.releaseDays)}`));
+          }
+          if (!Array.isArray(a.ratePlanIds)) {
+            issues.push(error(`${allotmentPath}.ratePlanIds`, 'must be an array'));
+          }
+        });
+        const allotted = record.allotments.reduce((agg, a) => agg + ((a && Number.isInteger(a.quantity)) ? a.quantity : 0), 0);
+        if (Number.isInteger(record.quantity) && allotted > record.quantity) {
+          issues.push(warning(`${recordPath}.allotments`, `allot ${allotted} rooms, more than the quantity ${record.quantity}`));
+        }
+      }
+    }
+    if (record.ratePlanQuotas !== undefined) {
+      if (typeof record.ratePlanQuotas !== 'object' || record.ratePlanQuotas === null) {
+        issues.push(error(`${recordPath}.ratePlanQuotas`, 'must be an object'));
+      } else {
+        Object.keys(record.ratePlanQuotas).forEach((id) => {
+          if (!Number.isInteger(record.ratePlanQuotas[id]) || record.ratePlanQuotas[id] < 0) {
+            issues.push(error(`${recordPath}.ratePlanQuotas.${id}`, `must be a non-negative integer, got ${JSON.stringify(record.ratePlanQuotas[id])}`));
+          }
+        });
+      }
+    }
+    if (record.restrictions !== undefined && (typeof record.restrictions !== 'object' || record.restrictions === null)) {
+      issues.push(error(`${recordPath}.restrictions`, 'must be an object'));
+    } else if (record.restrictions !== undefined) {
+      ['noArrival', 'noDeparture', 'closed'].forEach((key) => {
+        if (record.restrictions[key] !== undefined && typeof record.restrictions[key] !== 'boolean') {
+          issues.push(error(`${recordPath}.restrictions.${key}`, `must be a boolean, got ${JSON.stringify(record.restrictions[key])}`));
+        }
+      });
+      ['minLOS', 'maxLOS', 'minLOSThrough'].forEach((key) => {
+        if (record.restrictions[key] !== undefined && !isPositiveInteger(record.restrictions[key])) {
+          issues.push(error(`${recordPath}.restrictions.${key}`, `must be a positive integer, got ${JSON.stringify(record.restrictions[key])}`));
+        }
+      });
+      if (isPositiveInteger(record.restrictions.minLOS) && isPositiveInteger(record.restrictions.maxLOS) &&
+        record.restrictions.minLOS > record.restrictions.maxLOS) {
+        issues.push(error(`${recordPath}.restrictions`, `minLOS ${record.restrictions.minLOS} is greater than maxLOS ${record.restrictions.maxLOS}`));
+      }
+    }
+  });
+  return issues;
+};
+
+// Checks the amount and unit of cancellation, no-show, early departure and payment policies
+const validatePolicyAmount = (policy, path) => {
+  const issues = [];
+  const unit = policy.unit || 'percentage';
+  if (CANCELLATION_POLICY_UNITS.indexOf(unit) === -1) {
+    issues.push(error(`${path}.unit`, `must be one of ${CANCELLATION_POLICY_UNITS.join(', ')}, got ${JSON.stringify(policy.unit)}`));
+  }
+  if (!isNonNegativeNumber(policy.amount)) {
+    issues.push(error(`${path}.amount`, `must be a non-negative number, got ${JSON.stringify(policy.amount)}`));
+  } else if (unit === 'percentage' && policy.amount > 100) {
+    issues.push(error(`${path}.amount`, `must be a percentage up to 100, got ${policy.amount}`));
+  }
+  return issues;
+};
+
+/**
+ * Checks cancellation policies.
+ *
+ * @param  {Array<Object>} cancellationPolicies list of policies as defined
+ * in https://github.com/windingtree/wiki/blob/868b5d2685b1cd70647020978141be820ddccd30/hotel-data-swagger.yaml
+ * @param  {string} path JSON path of the list
+ * @return {Array<Object>} List of issues
+ */
+export const validateCancellationPolicies = (cancellationPolicies, path = 'cancellationPolicies') => {
+  if (!Array.isArray(cancellationPolicies)) {
+    return [error(path, 'must be an array')];
+  }
+  const issues = [];
+  cancellationPolicies.forEach((cp, i) => {
+    const cpPath = `${path}[${i}]`;
+    if (typeof cp !== 'object' || cp === null) {
+      issues.push(error(cpPath, 'must be an object'));
+      return;
+    }
+    issues.push(...validatePolicyAmount(cp, cpPath));
+    const deadlineUnit = cp.deadlineUnit || 'days';
+    if (CANCELLATION_DEADLINE_UNITS.indexOf(deadlineUnit) === -1) {
+      issues.push(error(`${cpPath}.deadlineUnit`, `must be one of ${CANCELLATION_DEADLINE_UNITS.join(', ')}, got ${JSON.stringify(cp.deadlineUnit)}`));
+    } else if (deadlineUnit === 'hours' && !isNumber(cp.deadline)) {
+      // Negative hours are after check-in, such as until 18:00 on the day of arrival
+      issues.push(error(`${cpPath}.deadline`, `must be a number of hours, got ${JSON.stringify(cp.deadline)}`));
+    } else if (deadlineUnit === 'days' && !isNonNegativeNumber(cp.deadline)) {
+      issues.push(error(`${cpPath}.deadline`, `must be a non-negative number of days, got ${JSON.stringify(cp.deadline)}`));
+    }
+    ['from', 'to'].forEach((key) => {
+      if (cp[key] !== undefined && !isDate(cp[key])) {
+        issues.push(error(`${cpPath}.${key}`, `must be a YYYY-MM-DD date, got ${JSON.stringify(cp[key])}`));
+      }
+    });
+    if (isDate(cp.from) && isDate(cp.to) && dayjs(cp.from).isAfter(dayjs(cp.to))) {
+      issues.push(error(cpPath, `from ${cp.from} is after to ${cp.to}`));
+    }
+  });
+  return issues;
+};
+
+/**
+ * Checks payment policies, see `computePaymentSchedule`.
+ *
+ * @param  {Array<Object>} paymentPolicies list of policies
+ * @param  {string} path JSON path of the list
+ * @return {Array<Object>} List of issues
+ */
+export const validatePaymentPolicies = (paymentPolicies, path = 'paymentPolicies') => {
+  if (!Array.isArray(paymentPolicies)) {
+    return [error(path, 'must be an array')];
+  }
+  const issues = [];
+  paymentPolicies.forEach((pp, i) => {
+    const ppPath = `${path}[${i}]`;
+    if (typeof pp !== 'object' || pp === null) {
+      issues.push(error(ppPath, 'must be an object'));
+      return;
+    }
+    if (pp.amount !== undefined) {
+      issues.push(...validatePolicyAmount(pp, ppPath));
+    }
+    if (pp.deadline !== undefined && !isNonNegativeNumber(pp.deadline)) {
+      issues.push(error(`${ppPath}.deadline`, `must be a non-negative number of days, got ${JSON.stringify(pp.deadline)}`));
+    }
+  });
+  if (paymentPolicies.filter((pp) => pp && pp.amount === undefined).length > 1) {
+    issues.push(error(path, 'only one policy can omit the amount'));
+  }
+  return issues;
+};
+
+/**
+ * Checks promo code definitions, see `explainPromoCodeRejection`.
+ *
+ * @param  {Array<Object>} promoCodes list of promo codes
+ * @param  {string} path JSON path of the list
+ * @return {Array<Object>} List of issues
+ */
+export const validatePromoCodes = (promoCodes, path = 'promoCodes') => {
+  if (!Array.isArray(promoCodes)) {
+    return [error(path, 'must be an array')];
+  }
+  const issues = [];
+  const codes = [];
+  promoCodes.forEach((pc, i) => {
+    const pcPath = `${path}[${i}]`;
+    if (typeof pc !== 'object' || pc === null) {
+      issues.push(error(pcPath, 'must be an object'));
+      return;
+    }
+    if (typeof pc.code !== 'string' || !pc.code) {
+      issues.push(error(`${pcPath}.code`, 'is required'));
+    } else if (codes.indexOf(pc.code) !== -1) {
+      issues.push(error(`${pcPath}.code`, `${JSON.stringify(pc.code)} is defined more than once`));
+    } else {
+      codes.push(pc.code);
+    }
+    if (pc.availableForReservation !== undefined) {
+      issues.push(...validateDateInterval(pc.availableForReservation, `${pcPath}.availableForReservation`));
+    }
+  });
+  return issues;
+};
+
+/**
+ * Splits issues into errors and warnings.
+ *
+ * @param  {Array<Object>} issues
+ * @return {Object} Result such as
+ * ```
+ * {
+ *   "valid": false,
+ *   "errors": [
+ *     {
+ *       "level": "error",
+ *       "path": "ratePlans[3].modifiers[1].unit",
+ *       "message": "must be percentage or absolute, got \"percent\""
+ *     }
+ *   ],
+ *   "warnings": []
+ * }
+ * ```
+ */
+export const summarizeIssues = (issues) => {
+  const errors = issues.filter((i) => i.level === 'error');
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings: issues.filter((i) => i.level === 'warning'),
+  };
+};
+
+/**
+ * Checks all hotel data used by the pricing algorithms.
+ * Only present fields are checked, except for `roomTypes`
+ * and `ratePlans` that are always required.
+ *
+ * @param  {Object} hotel hotel data as defined in
+ * https://github.com/windingtree/wiki/blob/868b5d2685b1cd70647020978141be820ddccd30/hotel-data-swagger.yaml,
+ * `availability` can be either a list of availability records
+ * or an object with such list in the `roomTypes` field.
+ * @return {Object} Result of `summarizeIssues`
+ */
+export const validateHotel = (hotel) => {
+  const issues = []
+    .concat(validateRoomTypes(hotel.roomTypes))
+    .concat(validateRatePlans(hotel.ratePlans, hotel.roomTypes));
+  if (hotel.currency !== undefined && !/^[A-Z]{3}$/.test(hotel.currency)) {
+    issues.push(error('currency', `must be a three letter currency code, got ${JSON.stringify(hotel.currency)}`));
+  }
+  if (hotel.timezone !== undefined && !isValidTimezone(hotel.timezone)) {
+    issues.push(error('timezone', `must be an IANA timezone such as Europe/Prague, got ${JSON.stringify(hotel.timezone)}`));
+  }
+  if (hotel.checkInTime !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(hotel.checkInTime)) {
+    issues.push(error('checkInTime', `must be a HH:mm time, got ${JSON.stringify(hotel.checkInTime)}`));
+  }
+  if (hotel.availability !== undefined && (typeof hotel.availability !== 'object' || hotel.availability === null)) {
+    issues.push(error('availability', 'must be an object or an array'));
+  } else if (hotel.availability !== undefined) {
+    issues.push(...(Array.isArray(hotel.availability)
+      ? validateAvailability(hotel.availability, hotel.roomTypes)
+      : validateAvailability(hotel.availability.roomTypes, hotel.roomTypes, 'availability.roomTypes')));
+  }
+  if (hotel.cancellationPolicies !== undefined) {
+    issues.push(...validateCancellationPolicies(hotel.cancellationPolicies));
+  }
+  const cancellationPolicyIds = (Array.isArray(hotel.cancellationPolicies) ? hotel.cancellationPolicies : [])
+    .map((cp) => cp && cp.id);
+  (Array.isArray(hotel.ratePlans) ? hotel.ratePlans : []).forEach((rp, i) => {
+    if (rp && Array.isArray(rp.cancellationPolicyIds)) {
+      rp.cancellationPolicyIds.forEach((id, j) => {
+        if (cancellationPolicyIds.indexOf(id) === -1) {
+          issues.push(error(`ratePlans[${i}].cancellationPolicyIds[${j}]`, `unknown cancellation policy ${JSON.stringify(id)}`));
+        }
+      });
+    }
+  });
+  if (hotel.promoCodes !== undefined) {
+    issues.push(...validatePromoCodes(hotel.promoCodes));
+  }
+  if (hotel.paymentPolicies !== undefined) {
+    issues.push(...validatePaymentPolicies(hotel.paymentPolicies));
+  }
+  ['noShowPolicy', 'earlyDeparturePolicy'].forEach((key) => {
+    if (hotel[key] === undefined) {
+      return;
+    }
+    if (typeof hotel[key] !== 'object' || hotel[key] === null) {
+      issues.push(error(key, 'must be an object'));
+    } else {
+      issues.push(...validatePolicyAmount(hotel[key], key));
+    }
+  });
+  if (hotel.defaultCancellationAmount !== undefined &&
+    (!isNonNegativeNumber(hotel.defaultCancellationAmount) || hotel.defaultCancellationAmount > 100)
+  ) {
+    issues.push(error('defaultCancellationAmount', `must be a percentage up to 100, got ${JSON.stringify(hotel.defaultCancellationAmount)}`));
+  }
+  return summarizeIssues(issues);
+};
+
+export default {
+  validateDateInterval,
+  validateMinMax,
+  validateRoomTypes,
+  validateModifiers,
+  validateLengthOfStayPrices,
+  validateRatePlans,
+  validateAvailability,
+  validateCancellationPolicies,
+  validatePaymentPolicies,
+  validatePromoCodes,
+  summarizeIssues,
+  validateHotel,
+};
@@ -0,0 +1,150 @@
+import currency from 'currency.js';
+import { PriceComputer } from '../src/prices';
+import { indexAvailability } from '../src/availability';
+import { computeMaxGroupSize, computeRoomAllocations } from '../src/allocation';
+
+const availabilityRecord = (roomTypeId, date, quantity) => ({
+  roomTypeId,
+  date,
+  quantity,
+});
+
+describe('allocation', () => {
+  describe('computeMaxGroupSize', () => {
+    it('should use the largest room type', () => {
+      const guests = [{ age: 30 }, { age: 30 }, { age: 30 }, { age: 1 }, { age: 1 }];
+      expect(computeMaxGroupSize([{ occupancy: { max: 2 } }, { occupancy: { max: 3 } }], guests)).toBe(3);
+      expect(computeMaxGroupSize([{ occupancy: { max: 3 } }, {}], guests)).toBe(5);
+    });
+
+    it('should add infants that do not count towards the maximum', () => {
+      const guests = [{ age: 30 }, { age: 30 }, { age: 1 }, { age: 1 }];
+      expect(computeMaxGroupSize([{ occupancy: { max: 2, infantMaxAge: 2 } }], guests)).toBe(4);
+      expect(computeMaxGroupSize([{ occupancy: { max: 2, infantMaxAge: 2, maxInfants: 1 } }], guests)).toBe(3);
+    });
+  });
+
+  describe('computeRoomAllocations', () => {
+    let roomTypes;
+    let ratePlans;
+    let computer;
+    let indexedAvailability;
+    let guests;
+
+    beforeEach(() => {
+      roomTypes = [
+        { id: 'double', occupancy: { min: 1, max: 2 } },
+        { id: 'family', occupancy: { min: 2, max: 4 } },
+      ];
+      ratePlans = [
+        { id: 'rp-double', price: 50, roomTypeIds: ['double'] },
+        { id: 'rp-family', price: 40, roomTypeIds: ['family'] },
+      ];
+      computer = new PriceComputer(roomTypes, ratePlans, 'EUR');
+      indexedAvailability = indexAvailability([
+        availabilityRecord('double', '2018-01-03', 2),
+        availabilityRecord('double', '2018-01-04', 2),
+        availabilityRecord('double', '2018-01-05', 2),
+        availabilityRecord('family', '2018-01-03', 1),
+        availabilityRecord('family', '2018-01-04', 1),
+        availabilityRecord('family', '2018-01-05', 1),
+      ]);
+      guests = [
+        { id: 'a1', age: 30 },
+        { id: 'a2', age: 32 },
+        { id: 'c1', age: 5 },
+        { id: 'c2', age: 7 },
+        { id: 'c3', age: 9 },
+      ];
+    });
+
+    it('should return ranked room combinations for the whole party', () => {
+      const result = computeRoomAllocations(computer, indexedAvailability, '2018-01-01', '2018-01-03', '2018-01-05', guests);
+      expect(result.length).toBeGreaterThan(0);
+      // 4 guests in a family room and 1 in a double room
+      expect(result[0]).toHaveProperty('currency', 'EUR');
+      expect(result[0].total.format()).toBe(currency((4 * 40 + 50) * 2).format());
+      expect(result[0].summary).toEqual({ double: 1, family: 1 });
+      expect(result[0].rooms.length).toBe(2);
+      expect(result[0].rooms.map((r) => r.guests.length).reduce((a, b) => a + b, 0)).toBe(5);
+      for (let i = 1; i < result.length; i++) {
+        expect(result[i].total.value).toBeGreaterThanOrEqual(result[i - 1].total.value);
+      }
+    });
+
+    it('should not use more rooms than available', () => {
+      const result = computeRoomAllocations(computer, indexedAvailability, '2018-01-01', '2018-01-03', '2018-01-05', guests);
+      expect(result.every((c) => (c.summary.double || 0) <= 2 && (c.summary.family || 0) <= 1)).toBe(true);
+    });
+
+    it('should respect the maximum number of rooms', () => {
+      const result = computeRoomAllocations(computer, indexedAvailability, '2018-01-01', '2018-01-03', '2018-01-05', guests, 'EUR', 2);
+      // 4 + 1 and 3 + 2 guests split
+      expect(result.length).toBe(2);
+      expect(result.every((c) => c.rooms.length === 2)).toBe(true);
+      expect(result[0].total.format()).toBe(currency((4 * 40 + 50) * 2).format());
+      expect(result[1].total.format()).toBe(currency((3 * 40 + 2 * 50) * 2).format());
+    });
+
+    it('should skip room types without known availability', () => {
+      const result = computeRoomAllocations(computer, indexAvailability([
+        availabilityRecord('double', '2018-01-03', 2),
+        availabilityRecord('double', '2018-01-04', 2),
+        availabilityRecord('double', '2018-01-05', 2),
+      ]), '2018-01-01', '2018-01-03', '2018-01-05', guests.slice(0, 3));
+      expect(result.length).toBe(1);
+      expect(result[0].summary).toEqual({ double: 2 });
+      expect(result[0].total.format()).toBe(currency(3 * 50 * 2).format());
+    });
+
+    it('should respect occupancy by guest ages', () => {
+      roomTypes[1].occupancy.maxAdults = 1;
+      const result = computeRoomAllocations(computer, indexedAvailability, '2018-01-01', '2018-01-03', '2018-01-05', guests, 'EUR', 2);
+      // the adults cannot share the family room
+      expect(result.length).toBe(2);
+      result.forEach((allocation) => {
+        const family = allocation.rooms.find((r) => r.roomTypeId === 'family');
+        expect(family.guests.filter((g) => g.age >= 18).length).toBeLessThan(2);
+      });
+    });
+
+    it('should unlock private rate plans', () => {
+      ratePlans.push({ id: 'rp-staff', price: 10, roomTypeIds: ['double'], access: { promoCodes: ['STAFF'] } });
+      const args = [computer, indexedAvailability, '2018-01-01', '2018-01-03', '2018-01-05', guests, 'EUR', undefined];
+      expect(computeRoomAllocations(...args)[0].total.format()).toBe(currency((4 * 40 + 50) * 2).format());
+      const result = computeRoomAllocations(...args, { promoCodes: ['STAFF'] });
+      expect(result[0].summary).toEqual({ double: 2, family: 1 });
+      expect(result[0].total.format()).toBe(currency((2 * 40 + 3 * 10) * 2).format());
+    });
+
+    it('should return no combinations if the party does not fit', () => {
+      const result = computeRoomAllocations(computer, indexedAvailability, '2018-01-01', '2018-01-03', '2018-01-05', guests, 'EUR', 1);
+      expect(result).toEqual([]);
+    });
+
+    it('should allocate a party of ten guests', () => {
+      roomTypes.unshift({ id: 'single', occupancy: { min: 1, max: 1 } });
+      ratePlans.push({ id: 'rp-single', price: 45, roomTypeIds: ['single'] });
+      computer = new PriceComputer(roomTypes, ratePlans, 'EUR');
+      const records = [];
+      ['2018-01-03', '2018-01-04', '2018-01-05'].forEach((date) => {
+        roomTypes.forEach((rt) => records.push(availabilityRecord(rt.id, date, 5)));
+      });
+      const party = [];
+      for (let i = 0; i < 10; i += 1) {
+        party.push({ id: `g${i}`, age: 20 + i });
+      }
+      const result = computeRoomAllocations(computer, indexAvailability(records), '2018-01-01', '2018-01-03', '2018-01-05', party);
+      expect(result[0].summary).toEqual({ family: 3 });
+      expect(result[0].total.format()).toBe(currency(10 * 40 * 2).format());
+      expect(result.every((c) => c.rooms.every((r) => r.guests.length <= (r.roomTypeId === 'family' ? 4 : 2)))).toBe(true);
+      expect(result.every((c) => Object.keys(c.summary).every((rt) => c.summary[rt] <= 5))).toBe(true);
+      expect(result.every((c) => c.rooms.reduce((agg, r) => agg + r.guests.length, 0) === 10)).toBe(true);
+    });
+
+    it('should return no combinations for an unknown currency', () => {
+      const result = computeRoomAllocations(computer, indexedAvailability, '2018-01-01', '2018-01-03', '2018-01-05', guests, 'CZK');
+      expect(result).toEqual([]);
+    });
+  });
+});
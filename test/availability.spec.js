@@ -1,5 +1,6 @@
 import {
-  indexAvailability, computeAvailability,
+  indexAvailability, countGuests, explainOccupancyMismatch, computeDailyAvailability, findBlockingRestriction,
+  computeAvailability,
 } from '../src/availability';
 
 const availabilityRecord = (roomTypeId, date, quantity, restrictions) => ({
@@ -214,6 +215,22 @@ describe('availability', () => {
       expect(availability.find((a) => a.roomTypeId === 'rtb')).toHaveProperty('quantity', 0);
     });
 
+    it('should evaluate dates in the hotel timezone', () => {
+      const indexed = indexAvailability([
+        availabilityRecord('rtb', '2018-01-02', 0),
+        availabilityRecord('rtb', '2018-01-03', 3),
+        availabilityRecord('rtb', '2018-01-04', 1),
+        availabilityRecord('rtb', '2018-01-05', 2),
+      ]);
+      // 2018-01-02 20:00 UTC is already 2018-01-03 in Tokyo
+      const arrival = new Date(Date.UTC(2018, 0, 2, 20));
+      const departure = new Date(Date.UTC(2018, 0, 4, 20));
+      expect(computeAvailability(arrival, departure, 1, roomTypes, indexed, undefined, [], 'Asia/Tokyo')
+        .find((a) => a.roomTypeId === 'rtb')).toHaveProperty('quantity', 1);
+      expect(computeAvailability(arrival, departure, 1, roomTypes, indexed, undefined, [], 'UTC')
+        .find((a) => a.roomTypeId === 'rtb')).toHaveProperty('quantity', 0);
+    });
+
     describe('edge cases', () => {
       it('should say 4 if 4 is set on a day of departure', () => {
         const availability = computeAvailability(arrivalDate, departureDate, 1, roomTypes, indexAvailability([
@@ -245,5 +262,246 @@ describe('availability', () => {
         expect(availability.find((a) => a.roomTypeId === 'rtb')).toHaveProperty('quantity', 0);
       });
     });
+
+    describe('occupancy', () => {
+      const family = [{ id: 'a1', age: 30 }, { id: 'a2', age: 40 }, { id: 'c1', age: 8 }, { id: 'i1', age: 1 }];
+
+      beforeEach(() => {
+        roomTypes[1].occupancy = { max: 3, maxAdults: 2, maxChildren: 1, maxInfants: 1, childMaxAge: 11, infantMaxAge: 2 };
+      });
+
+      it('should accept guests with ages', () => {
+        const rtb = computeAvailability(arrivalDate, departureDate, family, roomTypes, indexedAvailability)
+          .find((a) => a.roomTypeId === 'rtb');
+        expect(rtb).toHaveProperty('quantity', 1);
+        expect(rtb).not.toHaveProperty('blockedBy');
+      });
+
+      it('should explain an occupancy mismatch', () => {
+        const availability = computeAvailability(arrivalDate, departureDate, family.concat([{ id: 'c2', age: 11 }]), roomTypes, indexedAvailability);
+        expect(availability.find((a) => a.roomTypeId === 'rtb')).toHaveProperty('quantity', 0);
+        expect(availability.find((a) => a.roomTypeId === 'rtb'))
+          .toHaveProperty('blockedBy', { restriction: 'occupancy.max', value: 3, guests: 4 });
+        expect(availability.find((a) => a.roomTypeId === 'rta'))
+          .toHaveProperty('blockedBy', { restriction: 'occupancy.max', value: 1, guests: 5 });
+      });
+
+      it('should treat a number of guests as adults', () => {
+        const rtb = computeAvailability(arrivalDate, departureDate, 3, roomTypes, indexedAvailability)
+          .find((a) => a.roomTypeId === 'rtb');
+        expect(rtb).toHaveProperty('blockedBy', { restriction: 'occupancy.maxAdults', value: 2, guests: 3 });
+      });
+    });
+
+    describe('daily restrictions', () => {
+      const compute = (records, arrival = arrivalDate, departure = departureDate) => computeAvailability(
+        arrival, departure, 1, roomTypes, indexAvailability(records)
+      ).find((a) => a.roomTypeId === 'rtb');
+
+      it('should not report blocking restrictions for available rooms', () => {
+        const rtb = compute([
+          availabilityRecord('rtb', '2018-01-03', 2, { minLOS: 2, maxLOS: 2, minLOSThrough: 2 }),
+          availabilityRecord('rtb', '2018-01-04', 2, { minLOSThrough: 1, closed: false }),
+          availabilityRecord('rtb', '2018-01-05', 2, { closed: true, minLOS: 5 }),
+        ]);
+        expect(rtb).toHaveProperty('quantity', 2);
+        expect(rtb).not.toHaveProperty('blockedBy');
+      });
+
+      it('should enforce minLOS and maxLOS on the arrival date', () => {
+        let rtb = compute([
+          availabilityRecord('rtb', '2018-01-03', 2, { minLOS: 3 }),
+          availabilityRecord('rtb', '2018-01-04', 2),
+          availabilityRecord('rtb', '2018-01-05', 2),
+        ]);
+        expect(rtb).toHaveProperty('quantity', 0);
+        expect(rtb).toHaveProperty('blockedBy', { restriction: 'minLOS', date: '2018-01-03', value: 3 });
+        rtb = compute([
+          availabilityRecord('rtb', '2018-01-03', 2, { maxLOS: 1 }),
+          availabilityRecord('rtb', '2018-01-04', 2, { minLOS: 5, maxLOS: 1 }),
+          availabilityRecord('rtb', '2018-01-05', 2),
+        ]);
+        expect(rtb).toHaveProperty('blockedBy', { restriction: 'maxLOS', date: '2018-01-03', value: 1 });
+      });
+
+      it('should enforce closed and minLOSThrough on every night', () => {
+        let rtb = compute([
+          availabilityRecord('rtb', '2018-01-03', 2),
+          availabilityRecord('rtb', '2018-01-04', 2, { closed: true }),
+          availabilityRecord('rtb', '2018-01-05', 2),
+        ]);
+        expect(rtb).toHaveProperty('quantity', 0);
+        expect(rtb).toHaveProperty('blockedBy', { restriction: 'closed', date: '2018-01-04', value: true });
+        rtb = compute([
+          availabilityRecord('rtb', '2018-01-03', 2),
+          availabilityRecord('rtb', '2018-01-04', 2, { minLOSThrough: 3 }),
+          availabilityRecord('rtb', '2018-01-05', 2),
+        ]);
+        expect(rtb).toHaveProperty('blockedBy', { restriction: 'minLOSThrough', date: '2018-01-04', value: 3 });
+      });
+
+      it('should report arrival and departure restrictions', () => {
+        let rtb = compute([
+          availabilityRecord('rtb', '2018-01-03', 2, { noArrival: true }),
+          availabilityRecord('rtb', '2018-01-04', 2),
+          availabilityRecord('rtb', '2018-01-05', 2),
+        ]);
+        expect(rtb).toHaveProperty('blockedBy', { restriction: 'noArrival', date: '2018-01-03', value: true });
+        rtb = compute([
+          availabilityRecord('rtb', '2018-01-03', 2),
+          availabilityRecord('rtb', '2018-01-04', 2),
+          availabilityRecord('rtb', '2018-01-05', 2, { noDeparture: true }),
+        ]);
+        expect(rtb).toHaveProperty('blockedBy', { restriction: 'noDeparture', date: '2018-01-05', value: true });
+      });
+    });
+
+    describe('allotments and quotas', () => {
+      const allotment = { quantity: 2, releaseDays: 7, ratePlanIds: ['tour'] };
+
+      beforeEach(() => {
+        indexedAvailability = indexAvailability([
+          { roomTypeId: 'rtb', date: '2018-01-03', quantity: 5, allotments: [allotment] },
+          { roomTypeId: 'rtb', date: '2018-01-04', quantity: 4, allotments: [allotment], ratePlanQuotas: { promo: 1 } },
+          availabilityRecord('rtb', '2018-01-05', 1),
+        ]);
+      });
+
+      it('should hold allotments for their rate plans', () => {
+        const availability = computeAvailability(arrivalDate, departureDate, 1, roomTypes, indexedAvailability, '2017-12-01');
+        const rtb = availability.find((a) => a.roomTypeId === 'rtb');
+        expect(rtb).toHaveProperty('quantity', 1);
+        expect(rtb.ratePlans).toEqual({ tour: 1, promo: 1 });
+      });
+
+      it('should not use the departure day for rate plans beyond its quantity', () => {
+        indexedAvailability.rtb['2018-01-05'].quantity = 10;
+        const availability = computeAvailability(arrivalDate, departureDate, 1, roomTypes, indexedAvailability, '2017-12-01');
+        const rtb = availability.find((a) => a.roomTypeId === 'rtb');
+        expect(rtb).toHaveProperty('quantity', 2);
+        expect(rtb.ratePlans).toEqual({ tour: 4, promo: 1 });
+      });
+
+      it('should release allotments', () => {
+        indexedAvailability.rtb['2018-01-05'].quantity = 10;
+        // released only for the first night
+        let rtb = computeAvailability(arrivalDate, departureDate, 1, roomTypes, indexedAvailability, '2017-12-27')
+          .find((a) => a.roomTypeId === 'rtb');
+        expect(rtb).toHaveProperty('quantity', 2);
+        rtb = computeAvailability(arrivalDate, departureDate, 1, roomTypes, indexedAvailability, '2017-12-28')
+          .find((a) => a.roomTypeId === 'rtb');
+        expect(rtb).toHaveProperty('quantity', 4);
+        expect(rtb.ratePlans).toEqual({ tour: 4, promo: 1 });
+      });
+
+      it('should include given rate plans of the room type', () => {
+        const availability = computeAvailability(arrivalDate, departureDate, 1, roomTypes, indexedAvailability, '2017-12-01', [
+          { id: 'rpa', roomTypeIds: ['rtb', 'rtc'] },
+          { id: 'rpb', roomTypeIds: ['rta'] },
+        ]);
+        expect(availability.find((a) => a.roomTypeId === 'rtb').ratePlans).toEqual({ rpa: 1, tour: 1, promo: 1 });
+        expect(availability.find((a) => a.roomTypeId === 'rtc').ratePlans).toEqual({ rpa: undefined });
+        expect(availability.find((a) => a.roomTypeId === 'rta').ratePlans).toEqual({ rpb: undefined });
+      });
+    });
+  });
+
+  describe('countGuests', () => {
+    const guests = [{ age: 30 }, {}, { age: 17 }, { age: 12 }, { age: 2 }, { age: 0 }];
+
+    it('should consider everyone under 18 a child by default', () => {
+      expect(countGuests(undefined, guests)).toEqual({ adults: 2, children: 4, infants: 0 });
+    });
+
+    it('should use age thresholds', () => {
+      expect(countGuests({ childMaxAge: 12, infantMaxAge: 2 }, guests)).toEqual({ adults: 3, children: 1, infants: 2 });
+    });
+  });
+
+  describe('explainOccupancyMismatch', () => {
+    const roomType = { id: 'rta', occupancy: { min: 2, max: 2, maxChildren: 1, maxInfants: 1, infantMaxAge: 1 } };
+
+    it('should return undefined for fitting guests', () => {
+      expect(explainOccupancyMismatch({ id: 'rta' }, [{}, {}, {}])).toBeUndefined();
+      expect(explainOccupancyMismatch(roomType, [{ age: 30 }, { age: 5 }, { age: 1 }])).toBeUndefined();
+    });
+
+    it('should not count infants towards min and max', () => {
+      expect(explainOccupancyMismatch(roomType, [{ age: 30 }, { age: 1 }]))
+        .toEqual({ restriction: 'occupancy.min', value: 2, guests: 1 });
+      expect(explainOccupancyMismatch(roomType, [{ age: 30 }, { age: 30 }, { age: 1 }, { age: 0 }]))
+        .toEqual({ restriction: 'occupancy.maxInfants', value: 1, guests: 2 });
+    });
+
+    it('should limit children', () => {
+      expect(explainOccupancyMismatch(roomType, [{ age: 5 }, { age: 6 }]))
+        .toEqual({ restriction: 'occupancy.maxChildren', value: 1, guests: 2 });
+    });
+  });
+
+  describe('findBlockingRestriction', () => {
+    it('should return undefined without restrictions', () => {
+      expect(findBlockingRestriction(availabilityRecord('rtb', '2018-01-03', 1), 0, 1)).toBeUndefined();
+    });
+
+    it('should evaluate arrival restrictions on the first night only', () => {
+      const record = availabilityRecord('rtb', '2018-01-03', 1, { noArrival: true, minLOS: 4, maxLOS: 1 });
+      expect(findBlockingRestriction(record, 0, 2)).toHaveProperty('restriction', 'noArrival');
+      delete record.restrictions.noArrival;
+      expect(findBlockingRestriction(record, 0, 2)).toHaveProperty('restriction', 'minLOS');
+      expect(findBlockingRestriction(record, 0, 4)).toHaveProperty('restriction', 'maxLOS');
+      expect(findBlockingRestriction(record, 1, 2)).toBeUndefined();
+    });
+
+    it('should evaluate night restrictions on any night', () => {
+      const record = availabilityRecord('rtb', '2018-01-03', 1, { minLOSThrough: 3 });
+      expect(findBlockingRestriction(record, 2, 2)).toEqual({ restriction: 'minLOSThrough', date: '2018-01-03', value: 3 });
+      expect(findBlockingRestriction(record, 2, 3)).toBeUndefined();
+      record.restrictions.closed = true;
+      expect(findBlockingRestriction(record, 2, 3)).toHaveProperty('restriction', 'closed');
+    });
+  });
+
+  describe('computeDailyAvailability', () => {
+    let record;
+
+    beforeEach(() => {
+      record = {
+        roomTypeId: 'rtb',
+        date: '2018-01-10',
+        quantity: 6,
+        allotments: [
+          { quantity: 2, releaseDays: 7, ratePlanIds: ['tour-a'] },
+          { quantity: 3, releaseDays: 3, ratePlanIds: ['tour-b', 'tour-a'] },
+        ],
+        ratePlanQuotas: { 'tour-b': 2, promo: 0 },
+      };
+    });
+
+    it('should consider all allotments held without a booking date', () => {
+      expect(computeDailyAvailability(record, undefined, ['tour-a', 'tour-b', 'promo', 'rpa'])).toEqual({
+        quantity: 1,
+        ratePlans: { 'tour-a': 6, 'tour-b': 2, promo: 0, rpa: 1 },
+      });
+    });
+
+    it('should release allotments after release days', () => {
+      expect(computeDailyAvailability(record, '2018-01-03', ['tour-a', 'tour-b'])).toEqual({
+        quantity: 3,
+        ratePlans: { 'tour-a': 6, 'tour-b': 2 },
+      });
+      expect(computeDailyAvailability(record, '2018-01-07T15:00:00', ['tour-a', 'tour-b'])).toEqual({
+        quantity: 6,
+        ratePlans: { 'tour-a': 6, 'tour-b': 2 },
+      });
+    });
+
+    it('should never go below zero', () => {
+      record.quantity = 4;
+      expect(computeDailyAvailability(record, undefined, ['rpa'])).toEqual({
+        quantity: 0,
+        ratePlans: { rpa: 0 },
+      });
+    });
   });
 });
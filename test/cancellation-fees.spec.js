@@ -1,6 +1,9 @@
 import dayjs from 'dayjs';
+import currency from 'currency.js';
 import {
   computeCancellationFees, normalizePolicyDates, createFeeSchedule, reduceFeeSchedule,
+  computePolicyFee, computeCancellationFeeAmounts, computeEarlyDepartureFee, computeCancellationCost,
+  selectCancellationTerms, combineCancellationFees,
 } from '../src/cancellation-fees';
 
 describe('cancellation-fees', () => {
@@ -229,7 +232,7 @@ describe('cancellation-fees', () => {
 
   describe('computeCancellationFees', () => {
     it('should fallback to a defaultCancellationAmount if no policies are specified', () => {
-      const result = computeCancellationFees(today, arrival, [], defaultCancellationAmount);
+      const result = computeCancellationFees(today, arrival, [], defaultCancellationAmount, { format: 'date' });
       expect(result.length).toBe(1);
       expect(result[0].from).toBe(today.format('YYYY-MM-DD'));
       expect(result[0].to).toBe(arrival.format('YYYY-MM-DD'));
@@ -241,7 +244,7 @@ describe('cancellation-fees', () => {
         {
           from: '2017-01-01', to: '2017-12-31', deadline: 200, amount: 22,
         },
-      ], defaultCancellationAmount);
+      ], defaultCancellationAmount, { format: 'date' });
       expect(result.length).toBe(1);
       expect(result[0].from).toBe(today.format('YYYY-MM-DD'));
       expect(result[0].to).toBe(arrival.format('YYYY-MM-DD'));
@@ -253,7 +256,7 @@ describe('cancellation-fees', () => {
         {
           from: '2018-01-01', to: '2018-12-31', deadline: 200, amount: 22,
         },
-      ], defaultCancellationAmount);
+      ], defaultCancellationAmount, { format: 'date' });
       expect(result.length).toBe(1);
       expect(result[0].from).toBe(today.format('YYYY-MM-DD'));
       expect(result[0].to).toBe(arrival.format('YYYY-MM-DD'));
@@ -265,7 +268,7 @@ describe('cancellation-fees', () => {
         {
           from: '2018-01-01', to: '2018-12-31', deadline: 30, amount: 22,
         },
-      ], defaultCancellationAmount);
+      ], defaultCancellationAmount, { format: 'date' });
       expect(result.length).toBe(2);
       expect(result[0].from).toBe(today.format('YYYY-MM-DD'));
       expect(result[0].to).toBe('2018-06-20');
@@ -280,7 +283,7 @@ describe('cancellation-fees', () => {
         {
           from: '2018-06-15', to: '2018-12-31', deadline: 200, amount: 22,
         },
-      ], defaultCancellationAmount);
+      ], defaultCancellationAmount, { format: 'date' });
       expect(result.length).toBe(2);
       expect(result[0].from).toBe(today.format('YYYY-MM-DD'));
       expect(result[0].to).toBe('2018-06-14');
@@ -295,7 +298,7 @@ describe('cancellation-fees', () => {
         {
           from: '2018-01-01', to: '2018-06-15', deadline: 200, amount: 22,
         },
-      ], defaultCancellationAmount);
+      ], defaultCancellationAmount, { format: 'date' });
       expect(result.length).toBe(2);
       expect(result[0].from).toBe(today.format('YYYY-MM-DD'));
       expect(result[0].to).toBe('2018-06-15');
@@ -308,7 +311,7 @@ describe('cancellation-fees', () => {
     it('should use the only applicable policy if it has no from specified', () => {
       const result = computeCancellationFees(today, arrival, [
         { to: '2018-12-31', deadline: 200, amount: 22 },
-      ], defaultCancellationAmount);
+      ], defaultCancellationAmount, { format: 'date' });
       expect(result.length).toBe(1);
       expect(result[0].from).toBe(today.format('YYYY-MM-DD'));
       expect(result[0].to).toBe(arrival.format('YYYY-MM-DD'));
@@ -318,7 +321,7 @@ describe('cancellation-fees', () => {
     it('should use the only applicable policy if it has no to specified', () => {
       const result = computeCancellationFees(today, arrival, [
         { from: '2018-01-01', deadline: 200, amount: 22 },
-      ], defaultCancellationAmount);
+      ], defaultCancellationAmount, { format: 'date' });
       expect(result.length).toBe(1);
       expect(result[0].from).toBe(today.format('YYYY-MM-DD'));
       expect(result[0].to).toBe(arrival.format('YYYY-MM-DD'));
@@ -332,13 +335,103 @@ describe('cancellation-fees', () => {
         {
           from: '2018-01-01', to: '2018-11-30', deadline: 200, amount: 22,
         },
-      ], defaultCancellationAmount);
+      ], defaultCancellationAmount, { format: 'date' });
       expect(result.length).toBe(1);
       expect(result[0].from).toBe(t.format('YYYY-MM-DD'));
       expect(result[0].to).toBe(a.format('YYYY-MM-DD'));
       expect(result[0].amount).toBe(22);
     });
 
+    it('should add instants with an offset', () => {
+      const result = computeCancellationFees('2018-03-13', '2018-07-21', [
+        { from: '2018-01-01', to: '2018-12-31', deadline: 10, amount: 22 },
+      ], defaultCancellationAmount, { format: 'date' });
+      expect(result[0]).toHaveProperty('fromInstant', dayjs('2018-03-13').format('YYYY-MM-DDTHH:mm:ss.SSSZ'));
+      expect(result[0]).toHaveProperty('toInstant', dayjs('2018-07-10T23:59:59.999').format('YYYY-MM-DDTHH:mm:ss.SSSZ'));
+      expect(result[1]).toHaveProperty('fromInstant', dayjs('2018-07-11').format('YYYY-MM-DDTHH:mm:ss.SSSZ'));
+    });
+
+    it('should evaluate days in the hotel timezone', () => {
+      // It is already March 14 in Tokyo
+      const booking = new Date(Date.UTC(2018, 2, 13, 20));
+      const result = computeCancellationFees(booking, '2018-07-21', [
+        { from: '2018-01-01', to: '2018-12-31', deadline: 10, amount: 22 },
+      ], defaultCancellationAmount, {
+        timezone: 'Asia/Tokyo', format: 'date',
+      });
+      expect(result).toEqual([
+        {
+          from: '2018-03-14',
+          to: '2018-07-10',
+          fromInstant: '2018-03-14T00:00:00.000+09:00',
+          toInstant: '2018-07-10T23:59:59.999+09:00',
+          amount: 11,
+        },
+        {
+          from: '2018-07-11',
+          to: '2018-07-21',
+          fromInstant: '2018-07-11T00:00:00.000+09:00',
+          toInstant: '2018-07-21T23:59:59.999+09:00',
+          amount: 22,
+        },
+      ]);
+      const fallback = computeCancellationFees(booking, '2018-07-21', [], defaultCancellationAmount, {
+        timezone: 'America/New_York', format: 'date',
+      });
+      expect(fallback[0]).toHaveProperty('from', '2018-03-13');
+      expect(fallback[0]).toHaveProperty('fromInstant', '2018-03-13T00:00:00.000-04:00');
+    });
+
+    it('should return timestamp intervals by default', () => {
+      const result = computeCancellationFees(new Date(Date.UTC(2018, 2, 13, 14, 34)), '2018-07-21', [
+        { from: '2018-01-01', to: '2018-12-31', deadline: 10, amount: 22 },
+      ], defaultCancellationAmount, { timezone: 'Europe/Prague' });
+      expect(result).toEqual([
+        { from: '2018-03-13T15:34:00.000+01:00', to: '2018-07-10T23:59:59.999+02:00', amount: 11 },
+        { from: '2018-07-11T00:00:00.000+02:00', to: '2018-07-21T23:59:59.999+02:00', amount: 22 },
+      ]);
+    });
+
+    it('should support deadlines in hours before check-in', () => {
+      const result = computeCancellationFees('2018-07-01T10:00', '2018-07-21', [
+        { deadline: 48, deadlineUnit: 'hours', amount: 50 },
+        { deadline: -4, deadlineUnit: 'hours', amount: 100 },
+      ], 0, { timezone: 'Europe/Prague', checkInTime: '14:00' });
+      expect(result).toEqual([
+        { from: '2018-07-01T10:00:00.000+02:00', to: '2018-07-19T13:59:59.999+02:00', amount: 0 },
+        { from: '2018-07-19T14:00:00.000+02:00', to: '2018-07-21T17:59:59.999+02:00', amount: 50 },
+        { from: '2018-07-21T18:00:00.000+02:00', to: '2018-07-21T23:59:59.999+02:00', amount: 100 },
+      ]);
+    });
+
+    it('should count hours before check-in across daylight saving time changes', () => {
+      const result = computeCancellationFees('2018-10-20', '2018-10-29', [
+        { deadline: 48, deadlineUnit: 'hours', amount: 50 },
+      ], 0, { timezone: 'Europe/Prague', checkInTime: '12:00' });
+      expect(result[1]).toHaveProperty('from', '2018-10-27T13:00:00.000+02:00');
+    });
+
+    it('should default to check-in at midnight', () => {
+      const result = computeCancellationFees('2018-07-01', '2018-07-21', [
+        { deadline: 12, deadlineUnit: 'hours', amount: 50 },
+      ], 0, { timezone: 'UTC' });
+      expect(result[1]).toHaveProperty('from', '2018-07-20T12:00:00.000+00:00');
+    });
+
+    it('should apply hour deadlines to the whole day in the date format', () => {
+      const result = computeCancellationFees('2018-07-01', '2018-07-21', [
+        { deadline: 48, deadlineUnit: 'hours', amount: 50 },
+      ], 0, { checkInTime: '14:00', format: 'date' });
+      expect(result.map((p) => [p.from, p.to, p.amount])).toEqual([
+        ['2018-07-01', '2018-07-18', 0],
+        ['2018-07-19', '2018-07-21', 50],
+      ]);
+    });
+
+    it('should return no periods when booking after arrival', () => {
+      expect(computeCancellationFees('2018-07-22', '2018-07-21', [], 10)).toEqual([]);
+    });
+
     it('should work for a complex example', () => {
       // example taken randomly from https://github.com/windingtree/wt-booking-api/blob/ef4ff2e2a5816bba0789a44f07dff3d5f5232cf3/test/services/adapter.spec.js#L171
       const result = computeCancellationFees(dayjs('2018-12-01'), dayjs('2019-03-28'), [
@@ -356,7 +449,7 @@ describe('cancellation-fees', () => {
           from: '2019-01-01', to: '2019-12-31', amount: 30, deadline: 86,
         },
         { from: '2019-01-01', /* to: '2019-12-31', */ amount: 75, deadline: 35 },
-      ], 10);
+      ], 10, { format: 'date' });
       expect(result.length).toBe(4);
       expect(result[0].from).toBe('2018-12-01');
       expect(result[0].to).toBe('2018-12-31');
@@ -377,7 +470,7 @@ describe('cancellation-fees', () => {
         { from: '2019-01-01', to: '2019-03-20', amount: 30, deadline: 86 },
         { from: '2019-01-01', to: '2019-03-20', amount: 50, deadline: 51 },
         // For the last week, default cancellation amount should be used again.
-      ], 10);
+      ], 10, { format: 'date' });
       expect(result.length).toBe(4);
       expect(result[0].from).toBe('2018-12-01');
       expect(result[0].to).toBe('2018-12-31');
@@ -393,4 +486,294 @@ describe('cancellation-fees', () => {
       expect(result[3].amount).toBe(10);
     });
   });
+
+  describe('computePolicyFee', () => {
+    let price;
+
+    beforeEach(() => {
+      price = {
+        currency: 'EUR',
+        total: currency(300),
+        components: {
+          stay: [
+            { date: '2018-07-21', subtotal: currency(120) },
+            { date: '2018-07-22', subtotal: currency(100) },
+            { date: '2018-07-23', subtotal: currency(80) },
+          ],
+        },
+      };
+    });
+
+    it('should compute a percentage of the total by default', () => {
+      expect(computePolicyFee({ amount: 25 }, price).format()).toBe(currency(75).format());
+      expect(computePolicyFee({ amount: 25, unit: 'percentage' }, price).format()).toBe(currency(75).format());
+    });
+
+    it('should compute the price of the first nights', () => {
+      expect(computePolicyFee({ amount: 2, unit: 'nights' }, price).format()).toBe(currency(220).format());
+    });
+
+    it('should use an absolute amount', () => {
+      expect(computePolicyFee({ amount: 50, unit: 'absolute' }, price).format()).toBe(currency(50).format());
+    });
+
+    it('should never exceed the total price', () => {
+      expect(computePolicyFee({ amount: 500, unit: 'absolute' }, price).format()).toBe(currency(300).format());
+      expect(computePolicyFee({ amount: 5, unit: 'nights' }, price).format()).toBe(currency(300).format());
+    });
+  });
+
+  describe('computeCancellationFeeAmounts', () => {
+    let price;
+
+    beforeEach(() => {
+      price = {
+        currency: 'EUR',
+        total: currency(300),
+        components: {
+          stay: [
+            { date: '2018-07-21', subtotal: currency(120) },
+            { date: '2018-07-22', subtotal: currency(100) },
+            { date: '2018-07-23', subtotal: currency(80) },
+          ],
+        },
+      };
+    });
+
+    it('should express the default amount in money', () => {
+      const result = computeCancellationFeeAmounts(today, arrival, [], defaultCancellationAmount, price, { format: 'date' });
+      expect(result.length).toBe(1);
+      expect(result[0]).toHaveProperty('from', '2018-03-13');
+      expect(result[0]).toHaveProperty('to', '2018-07-21');
+      expect(result[0]).toHaveProperty('percentage', 11);
+      expect(result[0].fee.format()).toBe(currency(33).format());
+      expect(result[0].refund.format()).toBe(currency(267).format());
+    });
+
+    it('should combine policies in different units', () => {
+      const result = computeCancellationFeeAmounts(today, arrival, [
+        { amount: 1, unit: 'nights', deadline: 30 },
+        { amount: 50, unit: 'absolute', deadline: 60 },
+        { amount: 100, deadline: 2 },
+      ], defaultCancellationAmount, price, { format: 'date' });
+      expect(result.length).toBe(4);
+      expect(result[0]).toHaveProperty('to', '2018-05-21');
+      expect(result[0].fee.format()).toBe(currency(33).format());
+      expect(result[1]).toHaveProperty('from', '2018-05-22');
+      expect(result[1]).toHaveProperty('to', '2018-06-20');
+      expect(result[1].fee.format()).toBe(currency(50).format());
+      expect(result[1]).toHaveProperty('percentage', 16.67);
+      expect(result[2]).toHaveProperty('from', '2018-06-21');
+      expect(result[2]).toHaveProperty('to', '2018-07-18');
+      expect(result[2].fee.format()).toBe(currency(120).format());
+      expect(result[2]).toHaveProperty('percentage', 40);
+      expect(result[2].refund.format()).toBe(currency(180).format());
+      expect(result[3]).toHaveProperty('from', '2018-07-19');
+      expect(result[3]).toHaveProperty('to', '2018-07-21');
+      expect(result[3].fee.format()).toBe(currency(300).format());
+      expect(result[3]).toHaveProperty('percentage', 100);
+      expect(result[3].refund.format()).toBe(currency(0).format());
+    });
+
+    it('should handle a free stay', () => {
+      price.total = currency(0);
+      const result = computeCancellationFeeAmounts(today, arrival, [], defaultCancellationAmount, price, { format: 'date' });
+      expect(result[0]).toHaveProperty('percentage', 0);
+      expect(result[0].fee.format()).toBe(currency(0).format());
+    });
+
+    it('should keep timestamp intervals', () => {
+      const result = computeCancellationFeeAmounts('2018-07-01T10:00', '2018-07-21', [
+        { amount: 100, deadline: 24, deadlineUnit: 'hours' },
+      ], 0, price, { timezone: 'UTC', checkInTime: '15:00' });
+      expect(result.length).toBe(2);
+      expect(result[1]).toHaveProperty('from', '2018-07-20T15:00:00.000+00:00');
+      expect(result[1]).toHaveProperty('to', '2018-07-21T23:59:59.999+00:00');
+      expect(result[1]).not.toHaveProperty('amount');
+      expect(result[1].fee.format()).toBe(currency(300).format());
+    });
+  });
+
+  describe('selectCancellationTerms', () => {
+    const hotelPolicies = [
+      { id: 'flexible', amount: 20, deadline: 10 },
+      { id: 'strict', amount: 100, deadline: 2 },
+    ];
+
+    it('should prefer rate plan policies', () => {
+      const policies = [{ amount: 50, deadline: 3 }];
+      expect(selectCancellationTerms({ cancellationPolicies: policies, cancellationPolicyIds: ['strict'] }, hotelPolicies, 10))
+        .toEqual({ cancellationPolicies: policies, defaultCancellationAmount: 10 });
+    });
+
+    it('should pick referenced hotel policies', () => {
+      const result = selectCancellationTerms({ cancellationPolicyIds: ['strict'], defaultCancellationAmount: 0 }, hotelPolicies, 10);
+      expect(result.cancellationPolicies).toEqual([hotelPolicies[1]]);
+      expect(result.defaultCancellationAmount).toBe(0);
+    });
+
+    it('should fall back to hotel terms', () => {
+      expect(selectCancellationTerms({}, hotelPolicies)).toEqual({ cancellationPolicies: hotelPolicies, defaultCancellationAmount: 0 });
+      expect(selectCancellationTerms({ defaultCancellationAmount: 30 })).toEqual({ cancellationPolicies: [], defaultCancellationAmount: 30 });
+    });
+
+    it('should return undefined without any terms', () => {
+      expect(selectCancellationTerms({})).toBeUndefined();
+    });
+  });
+
+  describe('combineCancellationFees', () => {
+    let price;
+
+    beforeEach(() => {
+      price = {
+        currency: 'EUR',
+        total: currency(200),
+        components: {
+          stay: [
+            { date: '2018-07-21', subtotal: currency(120) },
+            { date: '2018-07-22', subtotal: currency(80) },
+          ],
+        },
+      };
+    });
+
+    it('should take the highest fee at every instant', () => {
+      const options = { timezone: 'UTC' };
+      const flexible = computeCancellationFeeAmounts('2018-07-01', '2018-07-21', [
+        { amount: 100, deadline: 2 },
+      ], 0, price, options);
+      const strict = computeCancellationFeeAmounts('2018-07-01', '2018-07-21', [
+        { amount: 50, deadline: 10 },
+      ], 10, price, options);
+      const result = combineCancellationFees([flexible, strict], price);
+      expect(result.length).toBe(3);
+      expect(result[0]).toHaveProperty('from', '2018-07-01T00:00:00.000+00:00');
+      expect(result[0]).toHaveProperty('to', '2018-07-10T23:59:59.999+00:00');
+      expect(result[0]).toHaveProperty('percentage', 10);
+      expect(result[1]).toHaveProperty('from', '2018-07-11T00:00:00.000+00:00');
+      expect(result[1]).toHaveProperty('to', '2018-07-18T23:59:59.999+00:00');
+      expect(result[1].fee.format()).toBe(currency(100).format());
+      expect(result[2]).toHaveProperty('from', '2018-07-19T00:00:00.000+00:00');
+      expect(result[2]).toHaveProperty('to', '2018-07-21T23:59:59.999+00:00');
+      expect(result[2].refund.format()).toBe(currency(0).format());
+    });
+
+    it('should merge neighbouring periods with the same fee', () => {
+      const options = { timezone: 'UTC' };
+      const first = computeCancellationFeeAmounts('2018-07-01', '2018-07-21', [
+        { amount: 50, deadline: 10 },
+      ], 50, price, options);
+      const second = computeCancellationFeeAmounts('2018-07-01', '2018-07-21', [], 50, price, options);
+      const result = combineCancellationFees([first, second], price);
+      expect(result.length).toBe(1);
+      expect(result[0]).toHaveProperty('from', '2018-07-01T00:00:00.000+00:00');
+      expect(result[0]).toHaveProperty('to', '2018-07-21T23:59:59.999+00:00');
+      expect(result[0]).toHaveProperty('percentage', 50);
+    });
+  });
+
+  describe('computeEarlyDepartureFee', () => {
+    let price;
+
+    beforeEach(() => {
+      price = {
+        currency: 'EUR',
+        total: currency(330),
+        components: {
+          stay: [
+            { date: '2018-07-21', subtotal: currency(120) },
+            { date: '2018-07-22', subtotal: currency(100) },
+            { date: '2018-07-23', subtotal: currency(80) },
+          ],
+        },
+      };
+    });
+
+    it('should charge only the used nights without a policy', () => {
+      // 120 for the first night and 30 of taxes and fees
+      expect(computeEarlyDepartureFee(undefined, price, '2018-07-22').format()).toBe(currency(150).format());
+    });
+
+    it('should charge the remaining nights according to the policy', () => {
+      expect(computeEarlyDepartureFee({ amount: 50 }, price, '2018-07-22').format()).toBe(currency(240).format());
+      expect(computeEarlyDepartureFee({ amount: 1, unit: 'nights' }, price, '2018-07-22').format()).toBe(currency(250).format());
+      expect(computeEarlyDepartureFee({ amount: 500, unit: 'absolute' }, price, '2018-07-22').format()).toBe(currency(330).format());
+    });
+
+    it('should charge everything after the last night', () => {
+      expect(computeEarlyDepartureFee({ amount: 50 }, price, '2018-07-24').format()).toBe(currency(330).format());
+    });
+  });
+
+  describe('computeCancellationCost', () => {
+    let hotel;
+    let booking;
+
+    beforeEach(() => {
+      hotel = {
+        timezone: 'Europe/Prague',
+        checkInTime: '14:00',
+        cancellationPolicies: [
+          { amount: 50, deadline: 48, deadlineUnit: 'hours' },
+        ],
+        defaultCancellationAmount: 0,
+        noShowPolicy: { amount: 1, unit: 'nights' },
+        earlyDeparturePolicy: { amount: 50 },
+      };
+      booking = {
+        bookingDate: '2018-07-01T10:00',
+        arrivalDate: '2018-07-21',
+        price: {
+          currency: 'EUR',
+          total: currency(300),
+          components: {
+            stay: [
+              { date: '2018-07-21', subtotal: currency(120) },
+              { date: '2018-07-22', subtotal: currency(100) },
+              { date: '2018-07-23', subtotal: currency(80) },
+            ],
+          },
+        },
+      };
+    });
+
+    it('should follow the cancellation schedule before arrival', () => {
+      const free = computeCancellationCost('2018-07-19T13:59', booking, hotel);
+      expect(free).toHaveProperty('type', 'cancellation');
+      expect(free.fee.format()).toBe(currency(0).format());
+      expect(free.refund.format()).toBe(currency(300).format());
+      // 12:00 UTC is 14:00 in Prague
+      const late = computeCancellationCost(new Date(Date.UTC(2018, 6, 19, 12)), booking, hotel);
+      expect(late).toHaveProperty('percentage', 50);
+      expect(late.fee.format()).toBe(currency(150).format());
+      expect(computeCancellationCost('2018-07-21T23:00', booking, hotel)).toHaveProperty('percentage', 50);
+    });
+
+    it('should use the first period before the booking date', () => {
+      expect(computeCancellationCost('2018-06-01', booking, hotel)).toHaveProperty('percentage', 0);
+    });
+
+    it('should charge a no-show after the day of arrival', () => {
+      const result = computeCancellationCost('2018-07-22T08:00', booking, hotel);
+      expect(result).toHaveProperty('type', 'noShow');
+      expect(result.fee.format()).toBe(currency(120).format());
+      expect(result).toHaveProperty('percentage', 40);
+    });
+
+    it('should fall back to the last fee of the schedule for a no-show', () => {
+      delete hotel.noShowPolicy;
+      const result = computeCancellationCost('2018-07-22T08:00', booking, hotel);
+      expect(result).toHaveProperty('type', 'noShow');
+      expect(result.fee.format()).toBe(currency(150).format());
+    });
+
+    it('should charge an early departure of an arrived guest', () => {
+      booking.arrived = true;
+      const result = computeCancellationCost('2018-07-22T10:00', booking, hotel);
+      expect(result).toHaveProperty('type', 'earlyDeparture');
+      expect(result.fee.format()).toBe(currency(210).format());
+      expect(result.refund.format()).toBe(currency(90).format());
+    });
+  });
 });
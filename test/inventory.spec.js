@@ -0,0 +1,128 @@
+import { Inventory, InventoryError } from '../src/inventory';
+import { computeAvailability } from '../src/availability';
+
+const availabilityRecord = (roomTypeId, date, quantity, restrictions) => ({
+  roomTypeId,
+  date,
+  quantity,
+  restrictions,
+});
+
+describe('inventory', () => {
+  describe('Inventory', () => {
+    let availability;
+    let inventory;
+
+    beforeEach(() => {
+      availability = [
+        availabilityRecord('rta', '2018-01-01', 2),
+        availabilityRecord('rta', '2018-01-02', 1),
+        availabilityRecord('rta', '2018-01-03', 3, { noArrival: true }),
+        availabilityRecord('rtb', '2018-01-01', 1),
+      ];
+      inventory = new Inventory(availability);
+    });
+
+    it('should throw without availability', () => {
+      expect(() => new Inventory()).toThrow(InventoryError);
+    });
+
+    it('should reserve rooms for every night', () => {
+      inventory.reserve('rta', '2018-01-01', '2018-01-03');
+      expect(inventory.getQuantity('rta', '2018-01-01')).toBe(1);
+      expect(inventory.getQuantity('rta', '2018-01-02')).toBe(0);
+      expect(inventory.getQuantity('rta', '2018-01-03')).toBe(3);
+      expect(inventory.getQuantity('rtb', '2018-01-01')).toBe(1);
+    });
+
+    it('should not change the original records', () => {
+      inventory.reserve('rta', '2018-01-01', '2018-01-02');
+      expect(availability[0].quantity).toBe(2);
+    });
+
+    it('should not reserve anything if a night is full', () => {
+      inventory.reserve('rta', '2018-01-02', '2018-01-03');
+      try {
+        inventory.reserve('rta', '2018-01-01', '2018-01-03');
+        throw new Error('should have never been called');
+      } catch (e) {
+        expect(e).toBeInstanceOf(InventoryError);
+        expect(e.message).toMatch(/only 0 left/i);
+        expect(e.date).toBe('2018-01-02');
+      }
+      expect(inventory.getQuantity('rta', '2018-01-01')).toBe(2);
+      expect(inventory.changeLog.length).toBe(1);
+    });
+
+    it('should allow overbooking up to a limit', () => {
+      inventory = new Inventory(availability, { overbookingLimit: { rta: 1 } });
+      inventory.reserve('rta', '2018-01-02', '2018-01-03', 2);
+      expect(inventory.getQuantity('rta', '2018-01-02')).toBe(-1);
+      expect(inventory.getIndexedAvailability().rta['2018-01-02'].quantity).toBe(0);
+      expect(() => inventory.reserve('rta', '2018-01-02', '2018-01-03')).toThrow(InventoryError);
+      expect(() => inventory.reserve('rtb', '2018-01-01', '2018-01-02', 2)).toThrow(InventoryError);
+    });
+
+    it('should throw on nights without records', () => {
+      expect(() => inventory.reserve('rtb', '2018-01-01', '2018-01-03')).toThrow(/no availability of rtb on 2018-01-02/i);
+      expect(() => inventory.reserve('rtc', '2018-01-01', '2018-01-02')).toThrow(InventoryError);
+    });
+
+    it('should throw on invalid stays and quantities', () => {
+      expect(() => inventory.reserve('rta', '2018-01-02', '2018-01-02')).toThrow(/departure/i);
+      expect(() => inventory.reserve('rta', '2018-01-01', '2018-01-02', 0)).toThrow(/quantity/i);
+      expect(() => inventory.release('rta', '2018-01-01', '2018-01-02', 1.5)).toThrow(/quantity/i);
+    });
+
+    it('should release rooms', () => {
+      inventory.reserve('rta', '2018-01-01', '2018-01-03');
+      inventory.release('rta', '2018-01-02', '2018-01-04', 2);
+      expect(inventory.getQuantity('rta', '2018-01-01')).toBe(1);
+      expect(inventory.getQuantity('rta', '2018-01-02')).toBe(2);
+      expect(inventory.getQuantity('rta', '2018-01-03')).toBe(5);
+    });
+
+    it('should not release rooms over capacity', () => {
+      inventory = new Inventory(availability, { capacity: { rta: 4 } });
+      expect(() => inventory.release('rta', '2018-01-02', '2018-01-04', 2)).toThrow(/capacity is 4/i);
+      expect(inventory.getQuantity('rta', '2018-01-02')).toBe(1);
+      inventory.release('rta', '2018-01-02', '2018-01-04');
+      expect(inventory.getQuantity('rta', '2018-01-03')).toBe(4);
+    });
+
+    it('should keep a change log', () => {
+      inventory.reserve('rta', '2018-01-01', new Date(2018, 0, 3), 1);
+      inventory.release('rtb', '2018-01-01', '2018-01-02');
+      expect(inventory.changeLog).toEqual([
+        {
+          type: 'reserve',
+          roomTypeId: 'rta',
+          arrivalDate: '2018-01-01',
+          departureDate: '2018-01-03',
+          quantity: 1,
+          dates: ['2018-01-01', '2018-01-02'],
+        },
+        {
+          type: 'release',
+          roomTypeId: 'rtb',
+          arrivalDate: '2018-01-01',
+          departureDate: '2018-01-02',
+          quantity: 1,
+          dates: ['2018-01-01'],
+        },
+      ]);
+    });
+
+    it('should produce a view usable in computeAvailability', () => {
+      const roomTypes = [{ id: 'rta' }];
+      expect(computeAvailability('2018-01-01', '2018-01-02', 1, roomTypes, inventory.getIndexedAvailability())[0])
+        .toHaveProperty('quantity', 1);
+      inventory.reserve('rta', '2018-01-01', '2018-01-02', 2);
+      const view = inventory.getIndexedAvailability();
+      expect(view.rta['2018-01-01']).toEqual(availabilityRecord('rta', '2018-01-01', 0));
+      expect(view.rta['2018-01-03']).toBe(availability[2]);
+      expect(computeAvailability('2018-01-01', '2018-01-02', 1, roomTypes, view)[0])
+        .toHaveProperty('quantity', 0);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+import currency from 'currency.js';
+import { PriceComputer } from '../src/prices';
+import {
+  ModificationError, priceBooking, diffPrices, computeModification,
+} from '../src/modifications';
+
+describe('modifications', () => {
+  let ratePlans;
+  let roomTypes;
+  let priceComputer;
+  let booking;
+
+  beforeEach(() => {
+    roomTypes = [
+      { id: 'rta' },
+      { id: 'rtb' },
+    ];
+    ratePlans = [
+      {
+        id: 'rpa',
+        price: 100,
+        roomTypeIds: ['rta'],
+        availableForReservation: { from: '2018-01-01', to: '2018-12-31' },
+        availableForTravel: { from: '2018-01-01', to: '2018-12-31' },
+        cancellationPolicyIds: ['flexible'],
+      },
+      {
+        id: 'rpb',
+        price: 80,
+        roomTypeIds: ['rta', 'rtb'],
+        availableForReservation: { from: '2018-01-01', to: '2018-12-31' },
+        availableForTravel: { from: '2018-01-01', to: '2018-12-31' },
+        cancellationPolicies: [{ amount: 1, unit: 'nights', deadline: 30 }],
+      },
+    ];
+    priceComputer = new PriceComputer(roomTypes, ratePlans, 'EUR', {
+      timezone: 'UTC',
+      cancellationPolicies: [{ id: 'flexible', amount: 50, deadline: 7 }],
+      defaultCancellationAmount: 0,
+      fees: [{ unit: 'absolute', amount: 5, per: 'guestNight' }],
+    });
+    booking = {
+      bookingDate: '2018-06-01',
+      arrivalDate: '2018-07-01',
+      departureDate: '2018-07-04',
+      guests: [{ id: 'g1', age: 30 }, { id: 'g2', age: 32 }],
+      roomTypeId: 'rta',
+      ratePlanId: 'rpa',
+    };
+  });
+
+  describe('priceBooking', () => {
+    it('should price the booking with its rate plan', () => {
+      const price = priceBooking(priceComputer, booking);
+      expect(price.ratePlan).toHaveProperty('id', 'rpa');
+      expect(price.total.format()).toBe(currency(3 * 2 * 105).format());
+    });
+
+    it('should use the best price without a rate plan', () => {
+      delete booking.ratePlanId;
+      const price = priceBooking(priceComputer, booking);
+      expect(price.total.format()).toBe(currency(3 * 2 * 85).format());
+    });
+
+    it('should use credentials of the booking', () => {
+      ratePlans.push({
+        id: 'rp-corporate',
+        price: 60,
+        roomTypeIds: ['rta'],
+        access: { corporateAccountIds: ['acme'] },
+      });
+      delete booking.ratePlanId;
+      booking.access = { corporateAccountId: 'acme' };
+      expect(priceBooking(priceComputer, booking).total.value).toBe(3 * 2 * 65);
+      booking.ratePlanId = 'rp-corporate';
+      expect(priceBooking(priceComputer, booking).ratePlan).toHaveProperty('id', 'rp-corporate');
+      delete booking.access;
+      expect(() => priceBooking(priceComputer, booking)).toThrow(ModificationError);
+    });
+
+    it('should throw when the booking cannot be priced', () => {
+      booking.roomTypeId = 'rtb';
+      expect(() => priceBooking(priceComputer, booking)).toThrow(ModificationError);
+    });
+  });
+
+  describe('diffPrices', () => {
+    it('should compare prices night by night', () => {
+      const original = priceBooking(priceComputer, booking);
+      const modified = priceBooking(priceComputer, Object.assign({}, booking, {
+        arrivalDate: '2018-07-02', departureDate: '2018-07-05',
+      }));
+      const result = diffPrices(original, modified);
+      expect(result.stay.map((day) => day.date)).toEqual(['2018-07-01', '2018-07-02', '2018-07-03', '2018-07-04']);
+      expect(result.stay[0].modified.value).toBe(0);
+      expect(result.stay[0].delta.value).toBe(-200);
+      expect(result.stay[1].delta.value).toBe(0);
+      expect(result.stay[3].original.value).toBe(0);
+      expect(result.stay[3].delta.value).toBe(200);
+      expect(result.fees.delta.value).toBe(0);
+      expect(result.taxes.original.value).toBe(0);
+    });
+  });
+
+  describe('computeModification', () => {
+    it('should charge the cancellation fee on removed nights', () => {
+      const result = computeModification(priceComputer, booking, { departureDate: '2018-07-02' }, '2018-06-28T10:00:00Z');
+      expect(result.currency).toBe('EUR');
+      expect(result.original.total.value).toBe(630);
+      expect(result.modified.total.value).toBe(210);
+      expect(result.delta.value).toBe(-420);
+      expect(result.penalty.value).toBe(210);
+      expect(result.refund.value).toBe(210);
+      expect(result.components.stay.length).toBe(3);
+      expect(result.components.fees.delta.value).toBe(-20);
+    });
+
+    it('should not charge anything before the deadline', () => {
+      const result = computeModification(priceComputer, booking, { guests: [{ id: 'g1', age: 30 }] }, '2018-06-02');
+      expect(result.delta.value).toBe(-315);
+      expect(result.penalty.value).toBe(0);
+      expect(result.refund.value).toBe(315);
+    });
+
+    it('should use terms of the original rate plan', () => {
+      booking.ratePlanId = 'rpb';
+      const result = computeModification(priceComputer, booking, { departureDate: '2018-07-02' }, '2018-06-02');
+      // The first removed night
+      expect(result.penalty.value).toBe(160);
+      expect(result.refund.value).toBe(180);
+    });
+
+    it('should follow the strictest terms of rate plans on removed nights', () => {
+      priceComputer = new PriceComputer(roomTypes, [
+        {
+          id: 'flex',
+          price: 100,
+          roomTypeIds: ['rta'],
+          availableForReservation: { from: '2018-01-01', to: '2018-12-31' },
+          availableForTravel: { from: '2018-07-01', to: '2018-07-01' },
+          cancellationPolicies: [{ amount: 50, deadline: 3 }],
+        },
+        {
+          id: 'nonref',
+          price: 100,
+          roomTypeIds: ['rta'],
+          availableForReservation: { from: '2018-01-01', to: '2018-12-31' },
+          availableForTravel: { from: '2018-07-02', to: '2018-07-03' },
+          defaultCancellationAmount: 100,
+        },
+      ], 'EUR', { timezone: 'UTC' });
+      delete booking.ratePlanId;
+      booking.guests = [{ id: 'g1', age: 30 }];
+      const original = priceBooking(priceComputer, booking);
+      expect(original.total.value).toBe(300);
+      expect(original.cancellationFees[0].fee.value).toBe(300);
+
+      const shortened = computeModification(priceComputer, booking, { departureDate: '2018-07-03' }, '2018-06-02');
+      expect(shortened.delta.value).toBe(-100);
+      expect(shortened.penalty.value).toBe(100);
+      expect(shortened.refund.value).toBe(0);
+
+      const postponed = computeModification(priceComputer, booking, { arrivalDate: '2018-07-02' }, '2018-06-02');
+      expect(postponed.delta.value).toBe(-100);
+      expect(postponed.penalty.value).toBe(0);
+      expect(postponed.refund.value).toBe(100);
+
+      const guestRemoved = computeModification(priceComputer, Object.assign({}, booking, {
+        guests: [{ id: 'g1', age: 30 }, { id: 'g2', age: 30 }],
+      }), { guests: [{ id: 'g1', age: 30 }] }, '2018-06-02');
+      expect(guestRemoved.delta.value).toBe(-300);
+      expect(guestRemoved.penalty.value).toBe(300);
+    });
+
+    it('should charge the difference of a more expensive booking', () => {
+      booking.ratePlanId = 'rpb';
+      const result = computeModification(priceComputer, booking, { ratePlanId: 'rpa' }, '2018-06-02');
+      expect(result.delta.value).toBe(120);
+      expect(result.penalty.value).toBe(0);
+      expect(result.refund.value).toBe(0);
+    });
+
+    it('should switch room types', () => {
+      booking.ratePlanId = 'rpb';
+      const result = computeModification(priceComputer, booking, { roomTypeId: 'rtb' }, '2018-06-02');
+      expect(result.modified.total.value).toBe(result.original.total.value);
+      expect(result.delta.value).toBe(0);
+      expect(() => computeModification(priceComputer, booking, { roomTypeId: 'rtb', ratePlanId: 'rpa' }, '2018-06-02'))
+        .toThrow(ModificationError);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+import dayjs from 'dayjs';
+import currency from 'currency.js';
+import {
+  PaymentScheduleError, normalizePaymentPolicies, checkPaymentSchedule, computePaymentSchedule,
+} from '../src/payment-schedule';
+import { computeCancellationFeeAmounts } from '../src/cancellation-fees';
+
+describe('payment-schedule', () => {
+  let price;
+
+  beforeEach(() => {
+    price = {
+      currency: 'EUR',
+      total: currency(300),
+      components: {
+        stay: [
+          { date: '2018-07-21', subtotal: currency(120) },
+          { date: '2018-07-22', subtotal: currency(100) },
+          { date: '2018-07-23', subtotal: currency(80) },
+        ],
+      },
+    };
+  });
+
+  describe('normalizePaymentPolicies', () => {
+    it('should order policies by due date', () => {
+      const result = normalizePaymentPolicies(dayjs('2018-07-01'), dayjs('2018-07-21'), [
+        { deadline: 14 },
+        { amount: 30 },
+        { amount: 10, deadline: 60 },
+      ]);
+      expect(result.map((pp) => pp.dueDate.format('YYYY-MM-DD'))).toEqual(['2018-07-01', '2018-07-01', '2018-07-07']);
+      expect(result[0]).toHaveProperty('amount', 30);
+      expect(result[1]).toHaveProperty('amount', 10);
+      expect(result[2]).not.toHaveProperty('amount');
+    });
+  });
+
+  describe('computePaymentSchedule', () => {
+    it('should split the price into instalments', () => {
+      const result = computePaymentSchedule('2018-07-01', '2018-07-21', [
+        { amount: 30 },
+        { deadline: 14 },
+      ], price);
+      expect(result.length).toBe(2);
+      expect(result[0]).toHaveProperty('dueDate', '2018-07-01');
+      expect(result[0]).toHaveProperty('percentage', 30);
+      expect(result[0].amount.format()).toBe(currency(90).format());
+      expect(result[1]).toHaveProperty('dueDate', '2018-07-07');
+      expect(result[1]).toHaveProperty('percentage', 70);
+      expect(result[1].amount.format()).toBe(currency(210).format());
+    });
+
+    it('should support other units', () => {
+      const result = computePaymentSchedule('2018-07-01', '2018-07-21', [
+        { amount: 1, unit: 'nights' },
+        { amount: 50, unit: 'absolute', deadline: 30 },
+        { deadline: 7 },
+      ], price);
+      expect(result.map((i) => i.amount.value)).toEqual([170, 130]);
+      expect(result.map((i) => i.dueDate)).toEqual(['2018-07-01', '2018-07-14']);
+    });
+
+    it('should put the rounding remainder on the last instalment', () => {
+      price.total = currency(100);
+      const result = computePaymentSchedule('2018-07-01', '2018-07-21', [
+        { amount: 33.333, deadline: 15 },
+        { amount: 33.333, deadline: 10 },
+        { amount: 33.333, deadline: 5 },
+      ], price);
+      expect(result.map((i) => i.amount.value)).toEqual([33.33, 33.33, 33.34]);
+      expect(result.reduce((total, i) => total.add(i.amount), currency(0)).value).toBe(100);
+    });
+
+    it('should put the rounding remainder on the last instalment after the rest', () => {
+      price.total = currency(100);
+      const result = computePaymentSchedule('2018-07-01', '2018-07-21', [
+        { amount: 33.333, deadline: 15 },
+        { deadline: 10 },
+        { amount: 33.333, deadline: 5 },
+      ], price);
+      expect(result.map((i) => i.amount.value)).toEqual([33.33, 33.33, 33.34]);
+    });
+
+    it('should evaluate dates in the hotel timezone', () => {
+      const result = computePaymentSchedule('2018-06-30T20:00:00Z', '2018-07-21', [{}], price, { timezone: 'Asia/Tokyo' });
+      expect(result[0]).toHaveProperty('dueDate', '2018-07-01');
+    });
+
+    it('should throw when policies do not add up to the total', () => {
+      expect(() => computePaymentSchedule('2018-07-01', '2018-07-21', [{ amount: 30 }, { amount: 60 }], price))
+        .toThrow(/less than/i);
+      expect(() => computePaymentSchedule('2018-07-01', '2018-07-21', [{ amount: 80 }, { amount: 250, unit: 'absolute' }], price))
+        .toThrow(/more than/i);
+      expect(() => computePaymentSchedule('2018-07-01', '2018-07-21', [{}, { deadline: 3 }], price))
+        .toThrow(PaymentScheduleError);
+      expect(() => computePaymentSchedule('2018-07-01', '2018-07-21', [], price))
+        .toThrow(PaymentScheduleError);
+    });
+
+    it('should check the schedule against cancellation fees', () => {
+      const cancellationFees = computeCancellationFeeAmounts('2018-07-01', '2018-07-21', [
+        { amount: 50, deadline: 10 },
+      ], 0, price, { timezone: 'UTC' });
+      expect(() => computePaymentSchedule('2018-07-01', '2018-07-21', [{ amount: 30 }, { deadline: 14 }], price, {
+        timezone: 'UTC', cancellationFees,
+      })).not.toThrow();
+      try {
+        computePaymentSchedule('2018-07-01', '2018-07-21', [{ amount: 30 }, { amount: 60, deadline: 7 }, { deadline: 3 }], price, {
+          timezone: 'UTC', cancellationFees,
+        });
+        throw new Error('should have never been called');
+      } catch (e) {
+        expect(e).toBeInstanceOf(PaymentScheduleError);
+        expect(e.instalment).toHaveProperty('dueDate', '2018-07-14');
+      }
+    });
+  });
+
+  describe('checkPaymentSchedule', () => {
+    it('should not check the final balance', () => {
+      const cancellationFees = computeCancellationFeeAmounts('2018-07-01', '2018-07-21', [
+        { amount: 100, deadline: 14 },
+      ], 0, price, { timezone: 'UTC' });
+      const instalments = computePaymentSchedule('2018-07-01', '2018-07-21', [{ amount: 30 }, { deadline: 14 }], price, {
+        timezone: 'UTC', cancellationFees,
+      });
+      expect(instalments.map((i) => i.amount.value)).toEqual([90, 210]);
+      expect(() => checkPaymentSchedule(instalments, cancellationFees, { timezone: 'UTC' })).not.toThrow();
+      expect(() => checkPaymentSchedule([
+        { dueDate: '2018-07-08', amount: currency(90) },
+        { dueDate: '2018-07-14', amount: currency(210) },
+      ], cancellationFees, { timezone: 'UTC' })).toThrow(PaymentScheduleError);
+    });
+
+    it('should compare the refund with all deposits paid so far', () => {
+      const cancellationFees = computeCancellationFeeAmounts('2018-07-01', '2018-07-31', [
+        { amount: 60, deadline: 20 },
+      ], 0, price, { timezone: 'UTC' });
+      try {
+        computePaymentSchedule('2018-07-01', '2018-07-31', [{ amount: 30 }, { amount: 30, deadline: 15 }, { deadline: 5 }], price, {
+          timezone: 'UTC', cancellationFees,
+        });
+        throw new Error('should have never been called');
+      } catch (e) {
+        expect(e).toBeInstanceOf(PaymentScheduleError);
+        expect(e.instalment).toHaveProperty('dueDate', '2018-07-16');
+        expect(e.paid.value).toBe(180);
+      }
+    });
+
+    it('should use the booking instant for instalments due on the booking date', () => {
+      const cancellationFees = [
+        { from: '2018-07-01T00:00:00.000+00:00', to: '2018-07-01T11:59:59.999+00:00', refund: currency(0) },
+        { from: '2018-07-01T12:00:00.000+00:00', to: '2018-07-21T23:59:59.999+00:00', refund: currency(300) },
+      ];
+      const instalments = [{ dueDate: '2018-07-01', amount: currency(200) }, { dueDate: '2018-07-10', amount: currency(100) }];
+      expect(() => checkPaymentSchedule(instalments, cancellationFees, { timezone: 'UTC' })).toThrow(PaymentScheduleError);
+      expect(() => checkPaymentSchedule(instalments, cancellationFees, { timezone: 'UTC', bookingDate: '2018-07-01T13:00:00Z' }))
+        .not.toThrow();
+    });
+  });
+});
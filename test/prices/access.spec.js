@@ -0,0 +1,141 @@
+import dayjs from 'dayjs';
+import currency from 'currency.js';
+import {
+  selectAccessCredential,
+  explainAccessRejection,
+  explainPromoCodeRejection,
+  resolveAccess,
+  describePromotions,
+} from '../../src/prices/access';
+
+describe('prices.access', () => {
+  let ratePlans;
+  let promoCodes;
+
+  beforeEach(() => {
+    ratePlans = [
+      {
+        id: 'rp-public',
+        price: 100,
+        roomTypeIds: ['rta'],
+        modifiers: [
+          { adjustment: -10, unit: 'percentage', conditions: { promoCode: 'SUMMER' } },
+        ],
+      },
+      {
+        id: 'rp-private',
+        price: 80,
+        roomTypeIds: ['rta'],
+        access: { promoCodes: ['STAFF'], corporateAccountIds: ['acme'], membershipTiers: ['gold'] },
+      },
+    ];
+    promoCodes = [
+      { code: 'SUMMER', availableForReservation: { from: '2018-01-01', to: '2018-05-31' } },
+      { code: 'WELCOME' },
+    ];
+  });
+
+  describe('selectAccessCredential', () => {
+    it('should find the matching credential', () => {
+      const access = ratePlans[1].access;
+      expect(selectAccessCredential(access, { promoCodes: ['SUMMER', 'STAFF'], corporateAccountId: 'acme' }))
+        .toEqual({ promoCode: 'STAFF' });
+      expect(selectAccessCredential(access, { corporateAccountId: 'acme' })).toEqual({ corporateAccountId: 'acme' });
+      expect(selectAccessCredential(access, { membershipTier: 'gold' })).toEqual({ membershipTier: 'gold' });
+    });
+
+    it('should return undefined without a match', () => {
+      expect(selectAccessCredential(ratePlans[1].access, { membershipTier: 'silver' })).toBeUndefined();
+      expect(selectAccessCredential(ratePlans[1].access)).toBeUndefined();
+      expect(selectAccessCredential({}, { corporateAccountId: 'acme' })).toBeUndefined();
+    });
+  });
+
+  describe('explainAccessRejection', () => {
+    it('should accept public and unlocked rate plans', () => {
+      expect(explainAccessRejection(ratePlans[0])).toBeUndefined();
+      expect(explainAccessRejection(ratePlans[1], { promoCodes: ['STAFF'] })).toBeUndefined();
+    });
+
+    it('should explain locked rate plans', () => {
+      expect(explainAccessRejection(ratePlans[1], { promoCodes: ['SUMMER'] }))
+        .toBe('access requires a matching promoCode or corporateAccountId or membershipTier');
+      expect(explainAccessRejection({ access: {} })).toBe('access requires a matching credential');
+    });
+  });
+
+  describe('explainPromoCodeRejection', () => {
+    it('should accept defined and used codes', () => {
+      const booking = dayjs('2018-03-01');
+      expect(explainPromoCodeRejection('SUMMER', promoCodes, ratePlans, booking)).toBeUndefined();
+      expect(explainPromoCodeRejection('WELCOME', promoCodes, ratePlans, booking)).toBeUndefined();
+      expect(explainPromoCodeRejection('STAFF', promoCodes, ratePlans, booking)).toBeUndefined();
+      expect(explainPromoCodeRejection('STAFF', undefined, ratePlans, booking)).toBeUndefined();
+    });
+
+    it('should explain unknown codes', () => {
+      expect(explainPromoCodeRejection('summer', promoCodes, ratePlans, dayjs('2018-03-01')))
+        .toBe('promo code summer does not exist');
+    });
+
+    it('should explain expired and future codes', () => {
+      expect(explainPromoCodeRejection('SUMMER', promoCodes, ratePlans, dayjs('2018-05-31T23:00'))).toBeUndefined();
+      expect(explainPromoCodeRejection('SUMMER', promoCodes, ratePlans, dayjs('2018-06-01')))
+        .toBe('promo code SUMMER expired on 2018-05-31');
+      expect(explainPromoCodeRejection('SUMMER', promoCodes, ratePlans, dayjs('2017-12-31')))
+        .toBe('promo code SUMMER is valid from 2018-01-01');
+    });
+  });
+
+  describe('resolveAccess', () => {
+    it('should keep only valid promo codes', () => {
+      const result = resolveAccess({ promoCodes: ['SUMMER', 'XMAS', 'STAFF'], membershipTier: 'gold' }, promoCodes, ratePlans, dayjs('2018-07-01'));
+      expect(result).toEqual({
+        promoCodes: ['STAFF'],
+        membershipTier: 'gold',
+        rejectedPromoCodes: [
+          { code: 'SUMMER', reason: 'promo code SUMMER expired on 2018-05-31' },
+          { code: 'XMAS', reason: 'promo code XMAS does not exist' },
+        ],
+      });
+    });
+
+    it('should work without access', () => {
+      expect(resolveAccess(undefined, promoCodes, ratePlans, dayjs('2018-07-01')))
+        .toEqual({ promoCodes: [], rejectedPromoCodes: [] });
+    });
+  });
+
+  describe('describePromotions', () => {
+    it('should list unlocked rate plans and promo code modifiers', () => {
+      const modifier = { adjustment: -10, unit: 'percentage', conditions: { promoCode: 'SUMMER' } };
+      const price = {
+        currency: 'EUR',
+        total: currency(260),
+        components: {
+          stay: [
+            {
+              date: '2018-07-01',
+              subtotal: currency(180),
+              guests: [
+                { guestId: 'g1', ratePlanId: 'rp-public', modifiers: [modifier] },
+                { guestId: 'g2', ratePlanId: 'rp-public', modifiers: [Object.assign({}, modifier)] },
+              ],
+            },
+            {
+              date: '2018-07-02',
+              subtotal: currency(80),
+              guests: [
+                { guestId: 'g1', ratePlanId: 'rp-private', modifiers: [] },
+              ],
+            },
+          ],
+        },
+      };
+      expect(describePromotions(price, ratePlans, { promoCodes: ['SUMMER'], corporateAccountId: 'acme' })).toEqual([
+        { ratePlanId: 'rp-private', unlockedBy: { corporateAccountId: 'acme' } },
+        { ratePlanId: 'rp-public', unlockedBy: { promoCode: 'SUMMER' }, modifier },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import currency from 'currency.js';
+import { normalizeExchangeRate, lookupExchangeRate, convertPrice } from '../../src/prices/exchange-rates';
+
+describe('prices.exchange-rates', () => {
+  describe('normalizeExchangeRate', () => {
+    it('should accept a plain number', () => {
+      expect(normalizeExchangeRate('EUR', 'CZK', 25, 'table')).toEqual({
+        from: 'EUR', to: 'CZK', rate: 25, source: 'table',
+      });
+    });
+
+    it('should accept an object with source', () => {
+      expect(normalizeExchangeRate('EUR', 'CZK', { rate: 25, source: 'ECB' }, 'table')).toEqual({
+        from: 'EUR', to: 'CZK', rate: 25, source: 'ECB',
+      });
+    });
+
+    it('should return undefined for missing rates', () => {
+      expect(normalizeExchangeRate('EUR', 'CZK', undefined, 'table')).toBeUndefined();
+      expect(normalizeExchangeRate('EUR', 'CZK', null, 'table')).toBeUndefined();
+      expect(normalizeExchangeRate('EUR', 'CZK', {}, 'table')).toBeUndefined();
+    });
+  });
+
+  describe('lookupExchangeRate', () => {
+    it('should find a rate in the table', () => {
+      expect(lookupExchangeRate({ EUR: { CZK: 25 } }, 'EUR', 'CZK')).toHaveProperty('rate', 25);
+    });
+
+    it('should use an inverse rate if only the opposite direction is known', () => {
+      const rate = lookupExchangeRate({ EUR: { CZK: { rate: 25, source: 'ECB' } } }, 'CZK', 'EUR');
+      expect(rate).toHaveProperty('rate', 0.04);
+      expect(rate).toHaveProperty('source', 'ECB');
+      expect(rate).toHaveProperty('from', 'CZK');
+      expect(rate).toHaveProperty('to', 'EUR');
+    });
+
+    it('should return undefined for unknown currencies', () => {
+      expect(lookupExchangeRate({ EUR: { CZK: 25 } }, 'EUR', 'USD')).toBeUndefined();
+    });
+  });
+
+  describe('convertPrice', () => {
+    it('should convert a price to the target currency', () => {
+      const result = convertPrice(currency(10), { from: 'EUR', to: 'CZK', rate: 25.5 });
+      expect(result.format()).toBe(currency(255).format());
+    });
+  });
+});
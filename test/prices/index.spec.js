@@ -1,6 +1,8 @@
 import dayjs from 'dayjs';
 import currency from 'currency.js';
-import { PriceComputer } from '../../src/prices';
+import { PriceComputer, PriceComputerError } from '../../src/prices';
+import ranking from '../../src/prices/ranking';
+import { indexAvailability } from '../../src/availability';
 
 describe('prices.index', () => {
   let guests;
@@ -64,6 +66,46 @@ describe('prices.index', () => {
           new PriceComputer(roomTypes, ratePlans, null);
         }).toThrow();
       });
+
+      it('should not validate data by default', () => {
+        delete ratePlans[0].roomTypeIds;
+        expect(() => {
+          // eslint-disable-next-line no-new
+          new PriceComputer(roomTypes, ratePlans, fallbackCurrency);
+        }).not.toThrow();
+      });
+
+      it('should throw a list of errors for invalid data in strict mode', () => {
+        delete ratePlans[0].roomTypeIds;
+        ratePlans[0].availableForTravel.to = '2020-31-12';
+        try {
+          // eslint-disable-next-line no-new
+          new PriceComputer(roomTypes, ratePlans, fallbackCurrency, { strict: true });
+          throw new Error('should have thrown');
+        } catch (e) {
+          expect(e).toBeInstanceOf(PriceComputerError);
+          expect(e.message).toMatch(/ratePlans\[0\]\.roomTypeIds/);
+          expect(e.errors.map((err) => err.path)).toEqual([
+            'ratePlans[0].roomTypeIds',
+            'ratePlans[0].availableForTravel.to',
+          ]);
+        }
+      });
+
+      it('should report malformed objects in strict mode', () => {
+        ratePlans[0].restrictions = null;
+        expect(() => {
+          // eslint-disable-next-line no-new
+          new PriceComputer(roomTypes, ratePlans, fallbackCurrency, { strict: true });
+        }).toThrow(PriceComputerError);
+      });
+
+      it('should keep warnings in strict mode', () => {
+        ratePlans[0].roomTypeIds.push('rtx');
+        const strictComputer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, { strict: true });
+        expect(strictComputer.warnings.length).toBe(1);
+        expect(strictComputer.warnings[0]).toHaveProperty('path', 'ratePlans[0].roomTypeIds[1]');
+      });
     });
 
     describe('_determinePrices', () => {
@@ -197,24 +239,647 @@ describe('prices.index', () => {
         expect(rtbResult.prices[0].components.stay[0].guests[0]).toHaveProperty('guestId', 'g1');
         expect(rtbResult.prices[0].components.stay[0].guests[0]).toHaveProperty('ratePlanId', 'rpb');
         expect(rtbResult.prices[0].components.stay[0].guests[0]).toHaveProperty('basePrice');
-        expect(rtbResult.prices[0].components.stay[0].guests[0]).toHaveProperty('modifier');
-        expect(rtbResult.prices[0].components.stay[0].guests[0].modifier).toHaveProperty('adjustment', -50);
-        expect(rtbResult.prices[0].components.stay[0].guests[0].modifier).toHaveProperty('unit', 'percentage');
-        expect(rtbResult.prices[0].components.stay[0].guests[0].modifier).toHaveProperty('conditions');
-        expect(rtbResult.prices[0].components.stay[0].guests[0].modifier.conditions).toHaveProperty('maxAge', 20);
+        expect(rtbResult.prices[0].components.stay[0].guests[0]).toHaveProperty('modifiers');
+        expect(rtbResult.prices[0].components.stay[0].guests[0].modifiers[0]).toHaveProperty('adjustment', -50);
+        expect(rtbResult.prices[0].components.stay[0].guests[0].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(rtbResult.prices[0].components.stay[0].guests[0].modifiers[0]).toHaveProperty('conditions');
+        expect(rtbResult.prices[0].components.stay[0].guests[0].modifiers[0].conditions).toHaveProperty('maxAge', 20);
         expect(rtbResult.prices[0].components.stay[0].guests[0]).toHaveProperty('resultingPrice');
         expect(rtbResult.prices[0].components.stay[0].guests[0].basePrice.format()).toBe(currency(60).format());
         expect(rtbResult.prices[0].components.stay[0].guests[0].resultingPrice.format()).toBe(currency(30).format());
         expect(rtbResult.prices[0].components.stay[0].guests[1]).toHaveProperty('guestId', 'g2');
         expect(rtbResult.prices[0].components.stay[0].guests[1]).toHaveProperty('ratePlanId', 'rpb');
         expect(rtbResult.prices[0].components.stay[0].guests[1]).toHaveProperty('basePrice');
-        expect(rtbResult.prices[0].components.stay[0].guests[1]).not.toHaveProperty('modifier');
+        expect(rtbResult.prices[0].components.stay[0].guests[1]).toHaveProperty('modifiers', []);
         expect(rtbResult.prices[0].components.stay[0].guests[1]).toHaveProperty('resultingPrice');
         expect(rtbResult.prices[0].components.stay[0].guests[1].basePrice.format()).toBe(currency(60).format());
         expect(rtbResult.prices[0].components.stay[0].guests[1].resultingPrice.format()).toBe(currency(60).format());
       });
     });
 
+    describe('getBestPricePerGuest', () => {
+      beforeEach(() => {
+        computer.ratePlans[1] = {
+          id: 'rpb',
+          price: 120,
+          roomTypeIds: ['rtb'],
+          modifiers: [
+            { adjustment: -50,
+              unit: 'percentage',
+              conditions: {
+                maxAge: 12,
+              } },
+          ],
+        };
+      });
+
+      it('should pick the best rate plan for every guest on every day', () => {
+        const result = computer.getBestPricePerGuest('2018-01-01', arrivalDateDayjs, departureDateDayjs, [
+          { id: 'adult', age: 30 },
+          { id: 'child', age: 8 },
+        ], fallbackCurrency, 'rtb');
+        const rtbResult = result.find((r) => r.id === 'rtb');
+        expect(rtbResult.prices.length).toBe(1);
+        expect(rtbResult.prices[0]).toHaveProperty('currency', fallbackCurrency);
+        expect(rtbResult.prices[0].total.format()).toBe(currency(100 + 60 + 100 + 60).format());
+        expect(rtbResult.prices[0].components.stay.length).toBe(2);
+        for (let i = 0; i < 2; i++) {
+          const day = rtbResult.prices[0].components.stay[i];
+          expect(day).toHaveProperty('date', i === 0 ? '2018-01-03' : '2018-01-04');
+          expect(day.subtotal.format()).toBe(currency(160).format());
+          expect(day.guests.length).toBe(2);
+          expect(day.guests[0]).toHaveProperty('guestId', 'adult');
+          expect(day.guests[0]).toHaveProperty('ratePlanId', 'rpa');
+          expect(day.guests[0]).toHaveProperty('modifiers', []);
+          expect(day.guests[0].resultingPrice.format()).toBe(currency(100).format());
+          expect(day.guests[1]).toHaveProperty('guestId', 'child');
+          expect(day.guests[1]).toHaveProperty('ratePlanId', 'rpb');
+          expect(day.guests[1].modifiers[0]).toHaveProperty('adjustment', -50);
+          expect(day.guests[1].resultingPrice.format()).toBe(currency(60).format());
+        }
+      });
+
+      it('should switch rate plans for a guest between days', () => {
+        computer.ratePlans[0].availableForTravel = {
+          from: '2018-01-04',
+          to: '2018-01-10',
+        };
+        const result = computer.getBestPricePerGuest('2018-01-01', arrivalDateDayjs, departureDateDayjs, [
+          { id: 'adult', age: 30 },
+        ], fallbackCurrency, 'rtb');
+        const stay = result.find((r) => r.id === 'rtb').prices[0].components.stay;
+        expect(stay[0].guests[0]).toHaveProperty('ratePlanId', 'rpb');
+        expect(stay[1].guests[0]).toHaveProperty('ratePlanId', 'rpa');
+        expect(result.find((r) => r.id === 'rtb').prices[0].total.format()).toBe(currency(120 + 100).format());
+      });
+
+      it('should use rate plans priced per room for the whole party', () => {
+        computer.ratePlans.push({
+          id: 'rpc',
+          price: 170,
+          pricingMode: 'perRoom',
+          roomTypeIds: ['rtb'],
+        });
+        const party = [{ id: 'adult', age: 30 }, { id: 'child', age: 8 }];
+        let result = computer.getBestPricePerGuest('2018-01-01', arrivalDateDayjs, departureDateDayjs, party, fallbackCurrency, 'rtb');
+        let stay = result[0].prices[0].components.stay;
+        expect(stay[0].guests.map((g) => g.ratePlanId)).toEqual(['rpa', 'rpb']);
+        expect(stay[0].subtotal.value).toBe(160);
+        computer.ratePlans[2].price = 150;
+        result = computer.getBestPricePerGuest('2018-01-01', arrivalDateDayjs, departureDateDayjs, party, fallbackCurrency, 'rtb');
+        stay = result[0].prices[0].components.stay;
+        expect(stay[0].guests.map((g) => g.ratePlanId)).toEqual(['rpc', 'rpc']);
+        expect(stay[0].guests.map((g) => g.charge)).toEqual(['room', 'included']);
+        expect(stay[0].subtotal.value).toBe(150);
+        expect(result[0].prices[0].total.value).toBe(300);
+      });
+
+      it('should return no prices if no rate plan matches the room type', () => {
+        const result = computer.getBestPricePerGuest('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rta');
+        expect(result.find((r) => r.id === 'rta').prices).toEqual([]);
+      });
+    });
+
+    describe('taxes and fees', () => {
+      beforeEach(() => {
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, {
+          taxes: [
+            { id: 'vat', unit: 'percentage', amount: 10, per: 'stay' },
+            { id: 'city-tax', unit: 'absolute', amount: 5, per: 'guestNight', exemptions: { maxAge: 12 } },
+          ],
+          fees: [
+            { id: 'resort-fee', unit: 'absolute', amount: 30, per: 'stay' },
+          ],
+        });
+      });
+
+      it('should add taxes and fees to the best price', () => {
+        const result = computer.getBestPrice('2018-01-01', arrivalDateDayjs, departureDateDayjs, [
+          { id: 'g1', age: 30 },
+          { id: 'g2', age: 8 },
+        ], fallbackCurrency, 'rtb');
+        const price = result.find((r) => r.id === 'rtb').prices[0];
+        expect(price.components.taxes.length).toBe(2);
+        expect(price.components.taxes[0]).toHaveProperty('id', 'vat');
+        expect(price.components.taxes[0].total.format()).toBe(currency(40).format());
+        expect(price.components.taxes[1]).toHaveProperty('id', 'city-tax');
+        expect(price.components.taxes[1].total.format()).toBe(currency(10).format());
+        expect(price.components.fees.length).toBe(1);
+        expect(price.components.fees[0].total.format()).toBe(currency(30).format());
+        expect(price.total.format()).toBe(currency(400 + 40 + 10 + 30).format());
+      });
+
+      it('should add taxes and fees to the best single rate plan price', () => {
+        const result = computer.getBestPriceWithSingleRatePlan('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        const price = result.find((r) => r.id === 'rtb').prices[0];
+        expect(price.components.taxes.length).toBe(2);
+        expect(price.components.fees.length).toBe(1);
+        expect(price.total.format()).toBe(currency(200 + 20 + 10 + 30).format());
+      });
+
+      it('should add taxes and fees to all possible single rate plan prices', () => {
+        const result = computer.getPossiblePricesWithSingleRatePlan('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        const price = result.find((r) => r.id === 'rtb').prices[0].ratePlans[0];
+        expect(price.components.taxes.length).toBe(2);
+        expect(price.total.format()).toBe(currency(200 + 20 + 10 + 30).format());
+      });
+
+      it('should throw when an absolute surcharge cannot be converted', () => {
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, {
+          fees: [{ id: 'resort-fee', unit: 'absolute', amount: 2, per: 'stay', currency: 'EUR' }],
+        });
+        expect(() => computer.getBestPrice('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb'))
+          .toThrow(PriceComputerError);
+        expect(() => computer.getBestPrice('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb'))
+          .toThrow(/EUR-CZK/);
+      });
+
+      it('should add empty taxes and fees when none are configured', () => {
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency);
+        const result = computer.getBestPrice('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        const price = result.find((r) => r.id === 'rtb').prices[0];
+        expect(price.components.taxes).toEqual([]);
+        expect(price.components.fees).toEqual([]);
+        expect(price.total.format()).toBe(currency(200).format());
+      });
+    });
+
+    describe('exchange rates', () => {
+      beforeEach(() => {
+        ratePlans[0].availableForTravel = {
+          from: '2018-01-03',
+          to: '2018-01-03',
+        };
+        ratePlans.push({
+          id: 'rpa-eur',
+          currency: 'EUR',
+          price: 5,
+          roomTypeIds: ['rtb'],
+          availableForTravel: {
+            from: '2018-01-04',
+            to: '2018-01-10',
+          },
+        });
+      });
+
+      it('should not return any price without exchange rates if no currency covers the stay', () => {
+        const result = computer.getBestPrice('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        expect(result.find((r) => r.id === 'rtb').prices).toEqual([]);
+      });
+
+      it('should mix rate plans in different currencies with a table of rates', () => {
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, {
+          exchangeRates: { EUR: { CZK: { rate: 25, source: 'ECB' } } },
+        });
+        const result = computer.getBestPrice('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        const price = result.find((r) => r.id === 'rtb').prices[0];
+        expect(price).toHaveProperty('currency', 'CZK');
+        expect(price.total.format()).toBe(currency(100 + 125).format());
+        expect(price.components.stay[0].guests[0]).toHaveProperty('ratePlanId', 'rpa');
+        expect(price.components.stay[1].guests[0]).toHaveProperty('ratePlanId', 'rpa-eur');
+        expect(price.components.stay[1].guests[0].exchangeRate).toEqual({
+          from: 'EUR', to: 'CZK', rate: 25, source: 'ECB',
+        });
+      });
+
+      it('should express prices in a currency without any rate plan', () => {
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, {
+          exchangeRates: { EUR: { CZK: 25, USD: 1.2 }, CZK: { USD: 0.05 } },
+        });
+        const result = computer.getBestPrice('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, 'USD', 'rtb');
+        const price = result.find((r) => r.id === 'rtb').prices[0];
+        expect(price).toHaveProperty('currency', 'USD');
+        expect(price.total.format()).toBe(currency(5 + 6).format());
+      });
+
+      it('should convert absolute surcharges in other currencies', () => {
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, {
+          exchangeRates: { EUR: { CZK: 25 } },
+          fees: [{ unit: 'absolute', amount: 2, per: 'stay', currency: 'EUR' }],
+        });
+        const result = computer.getBestPrice('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        const price = result.find((r) => r.id === 'rtb').prices[0];
+        expect(price.components.fees[0].total.format()).toBe(currency(50).format());
+        expect(price.components.fees[0].exchangeRate).toHaveProperty('rate', 25);
+        expect(price.total.format()).toBe(currency(100 + 125 + 50).format());
+      });
+
+      it('should use a synchronous provider function', () => {
+        const provider = jest.fn().mockReturnValue(25);
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, { exchangeRates: provider });
+        const result = computer.getBestPrice('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        const price = result.find((r) => r.id === 'rtb').prices[0];
+        expect(price.total.format()).toBe(currency(100 + 125).format());
+        expect(price.components.stay[1].guests[0].exchangeRate).toHaveProperty('source', 'provider');
+        expect(provider).toHaveBeenCalledTimes(1);
+        expect(provider).toHaveBeenCalledWith('EUR', 'CZK');
+      });
+
+      it('should require asynchronous rates to be loaded first', () => {
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, {
+          exchangeRates: () => Promise.resolve({ rate: 25, source: 'bank' }),
+        });
+        expect(() => {
+          computer.getBestPrice('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        }).toThrow(/loadExchangeRates/);
+      });
+
+      it('should use asynchronous rates after they are loaded', () => {
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, {
+          exchangeRates: () => Promise.resolve({ rate: 25, source: 'bank' }),
+        });
+        return computer.loadExchangeRates(fallbackCurrency).then((rates) => {
+          expect(rates).toEqual([{ from: 'EUR', to: 'CZK', rate: 25, source: 'bank' }]);
+          const result = computer.getBestPrice('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+          const price = result.find((r) => r.id === 'rtb').prices[0];
+          expect(price.total.format()).toBe(currency(100 + 125).format());
+          expect(price.components.stay[1].guests[0].exchangeRate).toHaveProperty('source', 'bank');
+        });
+      });
+
+      it('should resolve rates from a table when loading', () => {
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, {
+          exchangeRates: { EUR: { CZK: 25 } },
+        });
+        return computer.loadExchangeRates(fallbackCurrency).then((rates) => {
+          expect(rates).toEqual([{ from: 'EUR', to: 'CZK', rate: 25, source: 'table' }]);
+        });
+      });
+    });
+
+    describe('explain mode', () => {
+      it('should not explain anything by default', () => {
+        const result = computer.getBestPrice('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        expect(result[0]).not.toHaveProperty('explanation');
+      });
+
+      it('should explain rejected rate plans, modifiers and currencies', () => {
+        ratePlans[0].availableForTravel = { from: '2018-01-01', to: '2018-01-03' };
+        ratePlans[0].modifiers = [
+          { adjustment: -10, unit: 'percentage', conditions: { minLengthOfStay: 7 } },
+        ];
+        ratePlans.push({
+          id: 'rpb',
+          price: 60,
+          roomTypeIds: ['rtb'],
+          restrictions: {
+            bookingCutOff: { min: 7 },
+          },
+        });
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, { explain: true });
+        const result = computer.getBestPrice('2017-12-31', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency);
+        const rtbResult = result.find((r) => r.id === 'rtb');
+        expect(rtbResult.prices).toEqual([]);
+        expect(rtbResult.explanation.ratePlans).toEqual([
+          {
+            ratePlanId: 'rpa',
+            applicable: false,
+            reasons: ['availableForReservation starts 2018-01-01, booking is made 2017-12-31'],
+            modifiers: [],
+          },
+          {
+            ratePlanId: 'rpb',
+            applicable: false,
+            reasons: ['bookingCutOff.min 7 > 3 days before arrival'],
+            modifiers: [],
+          },
+        ]);
+        expect(rtbResult.explanation.currencies).toEqual([]);
+
+        const laterResult = computer.getBestPrice('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        expect(laterResult[0].prices).toEqual([]);
+        expect(laterResult[0].explanation.ratePlans[0]).toEqual({
+          ratePlanId: 'rpa',
+          applicable: true,
+          reasons: ['availableForTravel ends 2018-01-03, stay needs 2018-01-04'],
+          modifiers: [{
+            modifier: ratePlans[0].modifiers[0],
+            reason: 'conditions.minLengthOfStay 7 > 2 nights',
+          }],
+        });
+        expect(laterResult[0].explanation.currencies).toEqual([
+          { currency: 'CZK', reasons: ['currency CZK does not cover night 2 (2018-01-04)'] },
+        ]);
+      });
+
+      it('should explain room types without applicable rate plans', () => {
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, { explain: true });
+        const result = computer.getBestPriceWithSingleRatePlan('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rta');
+        expect(result[0].explanation.ratePlans[0].reasons).toEqual(['roomTypeIds do not contain rta']);
+      });
+    });
+
+    describe('timezone', () => {
+      // 2018-01-01 05:00 in Tokyo
+      const bookingDate = new Date(Date.UTC(2017, 11, 31, 20));
+
+      it('should evaluate booking date in the hotel timezone', () => {
+        const tokyoComputer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, { timezone: 'Asia/Tokyo' });
+        expect(tokyoComputer.getBestPrice(bookingDate, '2018-01-03', '2018-01-05', guests, fallbackCurrency, 'rtb')[0].prices.length).toBe(1);
+        const utcComputer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, { timezone: 'UTC' });
+        expect(utcComputer.getBestPrice(bookingDate, '2018-01-03', '2018-01-05', guests, fallbackCurrency, 'rtb')[0].prices.length).toBe(0);
+      });
+
+      it('should evaluate nights in the hotel timezone', () => {
+        const tokyoComputer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, { timezone: 'Asia/Tokyo' });
+        const result = tokyoComputer.getBestPrice(
+          bookingDate, new Date(Date.UTC(2018, 0, 2, 20)), new Date(Date.UTC(2018, 0, 4, 20)), guests, fallbackCurrency, 'rtb'
+        );
+        expect(result[0].prices[0].components.stay.map((d) => d.date)).toEqual(['2018-01-03', '2018-01-04']);
+      });
+    });
+
+    describe('cancellation fees', () => {
+      const bookingDate = '2017-12-25';
+
+      beforeEach(() => {
+        ratePlans[0].availableForReservation.from = '2017-01-01';
+        ratePlans[0].cancellationPolicyIds = ['flexible'];
+        ratePlans[0].defaultCancellationAmount = 0;
+        ratePlans[1] = {
+          id: 'rpb',
+          price: 60,
+          roomTypeIds: ['rtb'],
+          availableForReservation: {
+            from: '2017-01-01',
+            to: '2020-12-31',
+          },
+          availableForTravel: {
+            from: '2018-01-04',
+            to: '2020-12-31',
+          },
+          cancellationPolicies: [{ amount: 100, deadline: 1 }],
+        };
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, {
+          timezone: 'UTC',
+          cancellationPolicies: [
+            { id: 'flexible', amount: 20, deadline: 5 },
+            { id: 'strict', amount: 100, deadline: 30 },
+          ],
+          defaultCancellationAmount: 10,
+        });
+      });
+
+      it('should attach fees of every single rate plan', () => {
+        ratePlans[1].availableForTravel.from = '2018-01-01';
+        const result = computer.getPossiblePricesWithSingleRatePlan(bookingDate, arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        const prices = result.find((r) => r.id === 'rtb').prices[0].ratePlans;
+        expect(prices.length).toBe(2);
+        const rpa = prices.find((p) => p.ratePlan.id === 'rpa');
+        expect(rpa.cancellationFees.length).toBe(2);
+        expect(rpa.cancellationFees[0]).toHaveProperty('from', '2017-12-25T00:00:00.000+00:00');
+        expect(rpa.cancellationFees[0]).toHaveProperty('percentage', 0);
+        expect(rpa.cancellationFees[1]).toHaveProperty('from', '2017-12-29T00:00:00.000+00:00');
+        expect(rpa.cancellationFees[1].fee.format()).toBe(currency(40).format());
+        const rpb = prices.find((p) => p.ratePlan.id === 'rpb');
+        expect(rpb.cancellationFees.length).toBe(2);
+        expect(rpb.cancellationFees[0]).toHaveProperty('percentage', 10);
+        expect(rpb.cancellationFees[1]).toHaveProperty('from', '2018-01-02T00:00:00.000+00:00');
+        expect(rpb.cancellationFees[1].fee.format()).toBe(currency(120).format());
+      });
+
+      it('should attach fees of the best single rate plan', () => {
+        const result = computer.getBestPriceWithSingleRatePlan(bookingDate, arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        const price = result.find((r) => r.id === 'rtb').prices[0];
+        expect(price.ratePlan).toHaveProperty('id', 'rpa');
+        expect(price.cancellationFees.length).toBe(2);
+        expect(price.cancellationFees[1]).toHaveProperty('percentage', 20);
+      });
+
+      it('should take the strictest terms when rate plans are mixed', () => {
+        const result = computer.getBestPrice(bookingDate, arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        const price = result.find((r) => r.id === 'rtb').prices[0];
+        expect(price.total.format()).toBe(currency(160).format());
+        expect(price.cancellationFees.length).toBe(3);
+        expect(price.cancellationFees[0]).toHaveProperty('to', '2017-12-28T23:59:59.999+00:00');
+        expect(price.cancellationFees[0].fee.format()).toBe(currency(16).format());
+        expect(price.cancellationFees[1]).toHaveProperty('from', '2017-12-29T00:00:00.000+00:00');
+        expect(price.cancellationFees[1]).toHaveProperty('percentage', 20);
+        expect(price.cancellationFees[2]).toHaveProperty('from', '2018-01-02T00:00:00.000+00:00');
+        expect(price.cancellationFees[2]).toHaveProperty('to', '2018-01-03T23:59:59.999+00:00');
+        expect(price.cancellationFees[2].refund.format()).toBe(currency(0).format());
+      });
+
+      it('should not attach anything without cancellation terms', () => {
+        computer = new PriceComputer(roomTypes, [ratePlans[1]], fallbackCurrency, { timezone: 'UTC' });
+        delete ratePlans[1].cancellationPolicies;
+        const result = computer.getBestPricePerGuest(bookingDate, '2018-01-04', departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        const price = result.find((r) => r.id === 'rtb').prices[0];
+        expect(price).toHaveProperty('total');
+        expect(price).not.toHaveProperty('cancellationFees');
+      });
+    });
+
+    describe('promo codes and private rate plans', () => {
+      const bookingDate = '2018-01-02';
+
+      beforeEach(() => {
+        ratePlans[0].modifiers = [
+          { adjustment: -10, unit: 'percentage', conditions: { promoCode: 'SUMMER' } },
+        ];
+        ratePlans[1] = {
+          id: 'rp-corporate',
+          price: 70,
+          roomTypeIds: ['rtb'],
+          availableForReservation: {
+            from: '2018-01-01',
+            to: '2020-12-31',
+          },
+          availableForTravel: {
+            from: '2016-06-01',
+            to: '2020-12-31',
+          },
+          access: { corporateAccountIds: ['acme'] },
+        };
+      });
+
+      it('should not offer private rate plans without credentials', () => {
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency);
+        const result = computer.getBestPrice(bookingDate, arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        const price = result.find((r) => r.id === 'rtb').prices[0];
+        expect(price.total.format()).toBe(currency(200).format());
+        expect(price).not.toHaveProperty('promotions');
+        expect(result[0]).not.toHaveProperty('rejectedPromoCodes');
+      });
+
+      it('should unlock private rate plans', () => {
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, { access: { corporateAccountId: 'acme' } });
+        const result = computer.getBestPrice(bookingDate, arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        const price = result.find((r) => r.id === 'rtb').prices[0];
+        expect(price.total.format()).toBe(currency(140).format());
+        expect(price.promotions).toEqual([{ ratePlanId: 'rp-corporate', unlockedBy: { corporateAccountId: 'acme' } }]);
+      });
+
+      it('should prefer credentials of a single call', () => {
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, { access: { corporateAccountId: 'other' } });
+        const args = [bookingDate, arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb'];
+        expect(computer.getBestPrice(...args)[0].prices[0].total.format()).toBe(currency(200).format());
+        expect(computer.getBestPrice(...args, { corporateAccountId: 'acme' })[0].prices[0].total.format()).toBe(currency(140).format());
+        expect(computer.getBestPricePerGuest(...args, { corporateAccountId: 'acme' })[0].prices[0].total.format()).toBe(currency(140).format());
+        expect(computer.getBestPriceWithSingleRatePlan(...args, undefined, { corporateAccountId: 'acme' })[0].prices[0].ratePlan)
+          .toHaveProperty('id', 'rp-corporate');
+        const possible = computer.getPossiblePricesWithSingleRatePlan(...args, undefined, { corporateAccountId: 'acme' });
+        expect(possible[0].prices[0].ratePlans.map((p) => p.ratePlan.id)).toEqual(['rp-corporate', 'rpa']);
+        const calendar = computer.getCalendarPrices(bookingDate, arrivalDateDayjs, arrivalDateDayjs, 2, guests, fallbackCurrency, 'rtb', undefined, {
+          corporateAccountId: 'acme',
+        });
+        expect(calendar[0].calendar[0].prices[0].total.format()).toBe(currency(140).format());
+      });
+
+      it('should apply promo code modifiers', () => {
+        ratePlans.length = 1;
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, { access: { promoCodes: ['SUMMER'] } });
+        const result = computer.getPossiblePricesWithSingleRatePlan(bookingDate, arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        const price = result.find((r) => r.id === 'rtb').prices[0].ratePlans[0];
+        expect(price.total.format()).toBe(currency(180).format());
+        expect(price.promotions).toEqual([
+          { ratePlanId: 'rpa', unlockedBy: { promoCode: 'SUMMER' }, modifier: ratePlans[0].modifiers[0] },
+        ]);
+      });
+
+      it('should report rejected promo codes', () => {
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, {
+          promoCodes: [{ code: 'WINTER', availableForReservation: { from: '2017-01-01', to: '2017-12-31' } }],
+          access: { promoCodes: ['WINTER', 'XMAS'] },
+        });
+        const result = computer.getBestPrice(bookingDate, arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency);
+        expect(result.find((r) => r.id === 'rta').rejectedPromoCodes).toEqual([
+          { code: 'WINTER', reason: 'promo code WINTER expired on 2017-12-31' },
+          { code: 'XMAS', reason: 'promo code XMAS does not exist' },
+        ]);
+        const rtb = result.find((r) => r.id === 'rtb');
+        expect(rtb.rejectedPromoCodes.length).toBe(2);
+        expect(rtb.prices[0].total.format()).toBe(currency(200).format());
+      });
+
+      it('should explain locked rate plans', () => {
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, { explain: true });
+        const result = computer.getBestPrice(bookingDate, arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        const explanation = JSON.stringify(result.find((r) => r.id === 'rtb').explanation);
+        expect(explanation).toMatch(/access requires a matching corporateAccountId/);
+        expect(explanation).toMatch(/conditions.promoCode SUMMER was not provided/);
+      });
+    });
+
+    describe('getCalendarPrices', () => {
+      beforeEach(() => {
+        ratePlans[0].modifiers = [
+          { adjustment: -10, unit: 'percentage', conditions: { minLengthOfStay: 3 } },
+        ];
+        ratePlans.push({
+          id: 'rpb',
+          price: 80,
+          roomTypeIds: ['rtb'],
+          availableForTravel: {
+            from: '2018-01-05',
+            to: '2018-01-06',
+          },
+        });
+      });
+
+      it('should return the best price for every arrival date and length of stay', () => {
+        const result = computer.getCalendarPrices('2018-01-01', '2018-01-03', '2018-01-06', [2, 3], guests, fallbackCurrency);
+        expect(result.length).toBe(2);
+        expect(result[0]).toHaveProperty('id', 'rta');
+        expect(result[0].calendar.length).toBe(8);
+        expect(result[0].calendar.every((d) => d.prices.length === 0)).toBe(true);
+        const calendar = result[1].calendar;
+        expect(calendar.length).toBe(8);
+        expect(calendar.map((d) => `${d.arrivalDate}/${d.lengthOfStay}`)).toEqual([
+          '2018-01-03/2', '2018-01-03/3', '2018-01-04/2', '2018-01-04/3',
+          '2018-01-05/2', '2018-01-05/3', '2018-01-06/2', '2018-01-06/3',
+        ]);
+        expect(calendar[0]).toHaveProperty('departureDate', '2018-01-05');
+        expect(calendar[0]).not.toHaveProperty('available');
+        expect(calendar.map((d) => d.prices[0].total.value)).toEqual([
+          200, 260, 180, 250, 160, 250, 180, 260,
+        ]);
+        // Equal to the regular best price
+        const bestPrice = computer.getBestPrice('2018-01-01', '2018-01-05', '2018-01-08', guests, fallbackCurrency, 'rtb');
+        expect(calendar[5].prices[0].total.format()).toBe(bestPrice[0].prices[0].total.format());
+      });
+
+      it('should share daily prices among overlapping stays', () => {
+        const result = computer.getCalendarPrices('2018-01-01', '2018-01-03', '2018-01-04', 2, guests, fallbackCurrency, 'rtb');
+        const calendar = result[0].calendar;
+        expect(calendar.length).toBe(2);
+        expect(calendar[1].prices[0].components.stay[0].guests).toBe(calendar[0].prices[0].components.stay[1].guests);
+      });
+
+      it('should mark unavailable stays and skip their prices', () => {
+        const indexedAvailability = indexAvailability([
+          { roomTypeId: 'rtb', date: '2018-01-03', quantity: 1 },
+          { roomTypeId: 'rtb', date: '2018-01-04', quantity: 0 },
+          { roomTypeId: 'rtb', date: '2018-01-05', quantity: 2 },
+          { roomTypeId: 'rtb', date: '2018-01-06', quantity: 2 },
+          { roomTypeId: 'rtb', date: '2018-01-07', quantity: 2 },
+        ]);
+        const result = computer.getCalendarPrices('2018-01-01', '2018-01-03', '2018-01-05', 2, guests, fallbackCurrency, 'rtb', indexedAvailability);
+        const calendar = result[0].calendar;
+        expect(calendar.map((d) => d.available)).toEqual([false, false, true]);
+        expect(calendar.map((d) => d.quantity)).toEqual([0, 0, 2]);
+        expect(calendar[0].prices).toEqual([]);
+        expect(calendar[2].prices[0].total.value).toBe(160);
+      });
+
+      it('should tell which restriction blocks a stay', () => {
+        const indexedAvailability = indexAvailability([
+          { roomTypeId: 'rtb', date: '2018-01-03', quantity: 1, restrictions: { minLOS: 3 } },
+          { roomTypeId: 'rtb', date: '2018-01-04', quantity: 1 },
+          { roomTypeId: 'rtb', date: '2018-01-05', quantity: 1 },
+          { roomTypeId: 'rtb', date: '2018-01-06', quantity: 1 },
+        ]);
+        const result = computer.getCalendarPrices('2018-01-01', '2018-01-03', '2018-01-03', [2, 3], guests, fallbackCurrency, 'rtb', indexedAvailability);
+        const calendar = result[0].calendar;
+        expect(calendar.map((d) => d.available)).toEqual([false, true]);
+        expect(calendar[0]).toHaveProperty('blockedBy', { restriction: 'minLOS', date: '2018-01-03', value: 3 });
+        expect(calendar[1]).not.toHaveProperty('blockedBy');
+      });
+    });
+
+    describe('ranking', () => {
+      beforeEach(() => {
+        ratePlans.push({ id: 'rpc', price: 100, roomTypeIds: ['rtb'] });
+        ratePlans.push({ id: 'rpb', price: 100, roomTypeIds: ['rtb'], inclusions: ['breakfast'] });
+      });
+
+      it('should break ties deterministically', () => {
+        const result = computer.getPossiblePricesWithSingleRatePlan('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        expect(result[0].prices[0].ratePlans.map((rp) => rp.ratePlan.id)).toEqual(['rpa', 'rpb', 'rpc']);
+        const best = computer.getBestPriceWithSingleRatePlan('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        expect(best[0].prices[0].ratePlan).toHaveProperty('id', 'rpa');
+      });
+
+      it('should prefer the rate plan priority on equal totals', () => {
+        ratePlans[2].priority = 1;
+        const best = computer.getBestPriceWithSingleRatePlan('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        expect(best[0].prices[0].ratePlan).toHaveProperty('id', 'rpb');
+      });
+
+      it('should rank by taxes and fees included', () => {
+        ratePlans[1].price = 90;
+        ratePlans[1].currency = 'EUR';
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, {
+          exchangeRates: { EUR: { CZK: 1 } },
+          fees: [{ unit: 'absolute', amount: 30, per: 'stay', currency: 'CZK' }],
+        });
+        const result = computer.getPossiblePricesWithSingleRatePlan('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        expect(result[0].prices[0].ratePlans.map((rp) => rp.total.value)).toEqual([210, 230, 230]);
+      });
+
+      it('should accept a custom ranking', () => {
+        computer = new PriceComputer(roomTypes, ratePlans, fallbackCurrency, {
+          ranking: [ranking.byInclusions, ranking.byTotal],
+        });
+        let best = computer.getBestPriceWithSingleRatePlan('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb');
+        expect(best[0].prices[0].ratePlan).toHaveProperty('id', 'rpb');
+        best = computer.getBestPriceWithSingleRatePlan('2018-01-01', arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, 'rtb', [
+          (a, b) => ranking.byRatePlanId(b, a),
+        ]);
+        expect(best[0].prices[0].ratePlan).toHaveProperty('id', 'rpc');
+      });
+    });
+
     describe('getPossiblePricesWithSingleRatePlan', () => {
       it('should return all rate plans that fit consecutively', () => {
         computer.ratePlans[1] = {
@@ -260,14 +925,14 @@ describe('prices.index', () => {
         expect(rtbResult.prices[0].ratePlans[0].components.stay[0].guests[0]).toHaveProperty('guestId', 'g1');
         expect(rtbResult.prices[0].ratePlans[0].components.stay[0].guests[0]).toHaveProperty('ratePlanId', 'rpa');
         expect(rtbResult.prices[0].ratePlans[0].components.stay[0].guests[0]).toHaveProperty('basePrice');
-        expect(rtbResult.prices[0].ratePlans[0].components.stay[0].guests[0]).not.toHaveProperty('modifier');
+        expect(rtbResult.prices[0].ratePlans[0].components.stay[0].guests[0]).toHaveProperty('modifiers', []);
         expect(rtbResult.prices[0].ratePlans[0].components.stay[0].guests[0]).toHaveProperty('resultingPrice');
         expect(rtbResult.prices[0].ratePlans[0].components.stay[0].guests[0].basePrice.format()).toBe(currency(100).format());
         expect(rtbResult.prices[0].ratePlans[0].components.stay[0].guests[0].resultingPrice.format()).toBe(currency(100).format());
         expect(rtbResult.prices[0].ratePlans[0].components.stay[0].guests[1]).toHaveProperty('guestId', 'g2');
         expect(rtbResult.prices[0].ratePlans[0].components.stay[0].guests[1]).toHaveProperty('ratePlanId', 'rpa');
         expect(rtbResult.prices[0].ratePlans[0].components.stay[0].guests[1]).toHaveProperty('basePrice');
-        expect(rtbResult.prices[0].ratePlans[0].components.stay[0].guests[1]).not.toHaveProperty('modifier');
+        expect(rtbResult.prices[0].ratePlans[0].components.stay[0].guests[1]).toHaveProperty('modifiers', []);
         expect(rtbResult.prices[0].ratePlans[0].components.stay[0].guests[1]).toHaveProperty('resultingPrice');
         expect(rtbResult.prices[0].ratePlans[0].components.stay[0].guests[1].basePrice.format()).toBe(currency(100).format());
         expect(rtbResult.prices[0].ratePlans[0].components.stay[0].guests[1].resultingPrice.format()).toBe(currency(100).format());
@@ -281,18 +946,18 @@ describe('prices.index', () => {
         expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[0]).toHaveProperty('guestId', 'g1');
         expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[0]).toHaveProperty('ratePlanId', 'rpb');
         expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[0]).toHaveProperty('basePrice');
-        expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[0]).toHaveProperty('modifier');
-        expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[0].modifier).toHaveProperty('adjustment', -50);
-        expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[0].modifier).toHaveProperty('unit', 'percentage');
-        expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[0].modifier).toHaveProperty('conditions');
-        expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[0].modifier.conditions).toHaveProperty('maxAge', 20);
+        expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[0]).toHaveProperty('modifiers');
+        expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[0].modifiers[0]).toHaveProperty('adjustment', -50);
+        expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[0].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[0].modifiers[0]).toHaveProperty('conditions');
+        expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[0].modifiers[0].conditions).toHaveProperty('maxAge', 20);
         expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[0]).toHaveProperty('resultingPrice');
         expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[0].basePrice.format()).toBe(currency(60).format());
         expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[0].resultingPrice.format()).toBe(currency(30).format());
         expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[1]).toHaveProperty('guestId', 'g2');
         expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[1]).toHaveProperty('ratePlanId', 'rpb');
         expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[1]).toHaveProperty('basePrice');
-        expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[1]).not.toHaveProperty('modifier');
+        expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[1]).toHaveProperty('modifiers', []);
         expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[1]).toHaveProperty('resultingPrice');
         expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[1].basePrice.format()).toBe(currency(60).format());
         expect(rtbResult.prices[0].ratePlans[1].components.stay[0].guests[1].resultingPrice.format()).toBe(currency(60).format());
@@ -346,18 +1011,18 @@ describe('prices.index', () => {
         expect(rtbResult.prices[0].components.stay[0].guests[0]).toHaveProperty('guestId', 'g1');
         expect(rtbResult.prices[0].components.stay[0].guests[0]).toHaveProperty('ratePlanId', 'rpb');
         expect(rtbResult.prices[0].components.stay[0].guests[0]).toHaveProperty('basePrice');
-        expect(rtbResult.prices[0].components.stay[0].guests[0]).toHaveProperty('modifier');
-        expect(rtbResult.prices[0].components.stay[0].guests[0].modifier).toHaveProperty('adjustment', -50);
-        expect(rtbResult.prices[0].components.stay[0].guests[0].modifier).toHaveProperty('unit', 'percentage');
-        expect(rtbResult.prices[0].components.stay[0].guests[0].modifier).toHaveProperty('conditions');
-        expect(rtbResult.prices[0].components.stay[0].guests[0].modifier.conditions).toHaveProperty('maxAge', 20);
+        expect(rtbResult.prices[0].components.stay[0].guests[0]).toHaveProperty('modifiers');
+        expect(rtbResult.prices[0].components.stay[0].guests[0].modifiers[0]).toHaveProperty('adjustment', -50);
+        expect(rtbResult.prices[0].components.stay[0].guests[0].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(rtbResult.prices[0].components.stay[0].guests[0].modifiers[0]).toHaveProperty('conditions');
+        expect(rtbResult.prices[0].components.stay[0].guests[0].modifiers[0].conditions).toHaveProperty('maxAge', 20);
         expect(rtbResult.prices[0].components.stay[0].guests[0]).toHaveProperty('resultingPrice');
         expect(rtbResult.prices[0].components.stay[0].guests[0].basePrice.format()).toBe(currency(60).format());
         expect(rtbResult.prices[0].components.stay[0].guests[0].resultingPrice.format()).toBe(currency(30).format());
         expect(rtbResult.prices[0].components.stay[0].guests[1]).toHaveProperty('guestId', 'g2');
         expect(rtbResult.prices[0].components.stay[0].guests[1]).toHaveProperty('ratePlanId', 'rpb');
         expect(rtbResult.prices[0].components.stay[0].guests[1]).toHaveProperty('basePrice');
-        expect(rtbResult.prices[0].components.stay[0].guests[1]).not.toHaveProperty('modifier');
+        expect(rtbResult.prices[0].components.stay[0].guests[1]).toHaveProperty('modifiers', []);
         expect(rtbResult.prices[0].components.stay[0].guests[1]).toHaveProperty('resultingPrice');
         expect(rtbResult.prices[0].components.stay[0].guests[1].basePrice.format()).toBe(currency(60).format());
         expect(rtbResult.prices[0].components.stay[0].guests[1].resultingPrice.format()).toBe(currency(60).format());
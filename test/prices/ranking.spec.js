@@ -0,0 +1,62 @@
+import currency from 'currency.js';
+import {
+  byTotal, byPriority, byInclusions, byRatePlanId, byRefundability, DEFAULT_RANKING, rankBy,
+} from '../../src/prices/ranking';
+
+describe('prices.ranking', () => {
+  let candidates;
+
+  beforeEach(() => {
+    candidates = [
+      { ratePlan: { id: 'rpc', priority: 1 }, total: currency(100) },
+      { ratePlan: { id: 'rpa', inclusions: ['breakfast'] }, total: currency(100) },
+      { ratePlan: { id: 'rpb', priority: 2, inclusions: ['breakfast', 'parking'] }, total: currency(90) },
+    ];
+  });
+
+  describe('comparators', () => {
+    it('should rank by total', () => {
+      expect(candidates.sort(byTotal).map((c) => c.ratePlan.id)).toEqual(['rpb', 'rpc', 'rpa']);
+    });
+
+    it('should rank by priority', () => {
+      expect(candidates.sort(byPriority).map((c) => c.ratePlan.id)).toEqual(['rpb', 'rpc', 'rpa']);
+    });
+
+    it('should rank by inclusions', () => {
+      expect(candidates.sort(byInclusions).map((c) => c.ratePlan.id)).toEqual(['rpb', 'rpa', 'rpc']);
+    });
+
+    it('should rank by rate plan id', () => {
+      expect(candidates.sort(byRatePlanId).map((c) => c.ratePlan.id)).toEqual(['rpa', 'rpb', 'rpc']);
+    });
+
+    it('should rank by refundability', () => {
+      candidates[0].ratePlan.cancellationPolicies = [{ from: '2018-01-01', to: '2018-12-31', amount: 100 }];
+      candidates[2].ratePlan.cancellationPolicies = [{ from: '2018-01-01', to: '2018-12-31', amount: 50 }];
+      const comparator = byRefundability('2018-01-01', '2018-02-01', [{ from: '2018-01-01', to: '2018-12-31', amount: 0 }], 100);
+      expect(candidates.sort(comparator).map((c) => c.ratePlan.id)).toEqual(['rpa', 'rpb', 'rpc']);
+    });
+
+    it('should use the default cancellation amount for refundability', () => {
+      const comparator = byRefundability('2018-01-01', '2018-02-01', [], 30);
+      expect(comparator(candidates[0], candidates[1])).toBe(0);
+    });
+  });
+
+  describe('rankBy', () => {
+    it('should use the next comparator on ties', () => {
+      expect(candidates.sort(rankBy([byTotal, byPriority])).map((c) => c.ratePlan.id)).toEqual(['rpb', 'rpc', 'rpa']);
+      expect(candidates.sort(rankBy([byTotal, byRatePlanId])).map((c) => c.ratePlan.id)).toEqual(['rpb', 'rpa', 'rpc']);
+    });
+
+    it('should keep the order without comparators', () => {
+      expect(candidates.sort(rankBy([])).map((c) => c.ratePlan.id)).toEqual(['rpc', 'rpa', 'rpb']);
+    });
+
+    it('should be deterministic with the default ranking', () => {
+      const reversed = candidates.slice().reverse();
+      expect(candidates.sort(rankBy(DEFAULT_RANKING))).toEqual(reversed.sort(rankBy(DEFAULT_RANKING)));
+    });
+  });
+});
@@ -2,7 +2,12 @@ import dayjs from 'dayjs';
 import {
   selectApplicableModifiers,
   selectBestGuestModifier,
+  selectGuestModifiers,
   selectApplicableRatePlans,
+  explainRatePlanRejection,
+  explainModifierRejection,
+  explainRejectedModifiers,
+  selectLengthOfStayPrice,
 } from '../../src/prices/rate-plans';
 
 describe('prices.rate-plans', () => {
@@ -663,4 +668,244 @@ describe('prices.rate-plans', () => {
       });
     });
   });
+
+  describe('selectGuestModifiers', () => {
+    let modifiers;
+
+    beforeEach(() => {
+      modifiers = [
+        { adjustment: -10, unit: 'percentage', conditions: { minLengthOfStay: 7 }, group: 'los' },
+        { adjustment: -50, unit: 'percentage', conditions: { maxAge: 11 }, group: 'children', priority: 1 },
+        { adjustment: -20, unit: 'absolute', conditions: {}, group: 'los' },
+      ];
+    });
+
+    it('should select a single modifier without stacking', () => {
+      const result = selectGuestModifiers(100, modifiers, 10);
+      expect(result.length).toBe(1);
+      expect(result[0]).toHaveProperty('adjustment', -50);
+      expect(selectGuestModifiers(100, modifiers, 10, 'none')).toEqual(result);
+    });
+
+    it('should select the best modifier from every group ordered by priority', () => {
+      const result = selectGuestModifiers(100, modifiers, 10, 'additive');
+      expect(result.map((m) => m.adjustment)).toEqual([-50, -20]);
+      expect(result[0]).not.toHaveProperty('change');
+      expect(modifiers[0]).not.toHaveProperty('change');
+      expect(selectGuestModifiers(100, modifiers, 30, 'additive').map((m) => m.adjustment)).toEqual([-20]);
+    });
+
+    it('should put modifiers without a group into a single group', () => {
+      modifiers.forEach((m) => { delete m.group; });
+      expect(selectGuestModifiers(100, modifiers, 10, 'additive').map((m) => m.adjustment)).toEqual([-50]);
+    });
+
+    it('should not apply modifiers with a lower priority than an exclusive one', () => {
+      modifiers[1].exclusive = true;
+      expect(selectGuestModifiers(100, modifiers, 10, 'multiplicative').map((m) => m.adjustment)).toEqual([-50]);
+      modifiers[1].priority = -1;
+      expect(selectGuestModifiers(100, modifiers, 10, 'multiplicative').map((m) => m.adjustment)).toEqual([-20, -50]);
+    });
+
+    it('should skip modifiers that do not change the price', () => {
+      modifiers[2].adjustment = 0;
+      expect(selectGuestModifiers(100, modifiers.slice(1), 30, 'additive')).toEqual([]);
+    });
+  });
+
+  describe('selectLengthOfStayPrice', () => {
+    const lengthOfStayPrices = [
+      { min: 1, max: 1, price: 120 },
+      { min: 2, max: 3, price: 110 },
+      { min: 5, max: 5, total: 480 },
+      { min: 7, price: 90 },
+    ];
+
+    it('should return undefined without length of stay prices', () => {
+      expect(selectLengthOfStayPrice(undefined, 3)).toBeUndefined();
+      expect(selectLengthOfStayPrice([], 3)).toBeUndefined();
+    });
+
+    it('should pick the price by length of stay', () => {
+      expect(selectLengthOfStayPrice(lengthOfStayPrices, 1)).toBe(lengthOfStayPrices[0]);
+      expect(selectLengthOfStayPrice(lengthOfStayPrices, 3)).toBe(lengthOfStayPrices[1]);
+      expect(selectLengthOfStayPrice(lengthOfStayPrices, 4)).toBeUndefined();
+      expect(selectLengthOfStayPrice(lengthOfStayPrices, 5)).toBe(lengthOfStayPrices[2]);
+      expect(selectLengthOfStayPrice(lengthOfStayPrices, 14)).toBe(lengthOfStayPrices[3]);
+    });
+
+    it('should prefer the price with the highest min', () => {
+      const prices = [
+        { min: 7, price: 90 },
+        { min: 1, price: 100 },
+        { min: 10, price: 80 },
+      ];
+      expect(selectLengthOfStayPrice(prices, 8)).toBe(prices[0]);
+      expect(selectLengthOfStayPrice(prices, 12)).toBe(prices[2]);
+    });
+
+    it('should ignore entries without price and total', () => {
+      expect(selectLengthOfStayPrice([{ min: 1 }], 2)).toBeUndefined();
+    });
+  });
+
+  describe('explainRatePlanRejection', () => {
+    const booking = dayjs('2019-03-01');
+    const arrival = dayjs('2019-03-04');
+    const departure = dayjs('2019-03-07');
+
+    it('should return undefined for an applicable rate plan', () => {
+      expect(explainRatePlanRejection('rtb', ratePlans[0], booking, arrival, departure, fallbackCurrency)).toBeUndefined();
+    });
+
+    it('should explain a room type mismatch', () => {
+      expect(explainRatePlanRejection('rta', ratePlans[0], booking, arrival, departure, fallbackCurrency))
+        .toBe('roomTypeIds do not contain rta');
+      delete ratePlans[0].roomTypeIds;
+      expect(explainRatePlanRejection('rta', ratePlans[0], booking, arrival, departure, fallbackCurrency))
+        .toBe('roomTypeIds do not contain rta');
+    });
+
+    it('should explain a currency mismatch', () => {
+      expect(explainRatePlanRejection('rtb', ratePlans[0], booking, arrival, departure, fallbackCurrency, 'EUR'))
+        .toBe('currency CZK is not the requested EUR');
+    });
+
+    it('should explain length of stay prices not covering the stay', () => {
+      ratePlans[0].lengthOfStayPrices = [{ min: 5, price: 80 }];
+      expect(explainRatePlanRejection('rtb', ratePlans[0], booking, arrival, departure, fallbackCurrency))
+        .toBeUndefined();
+      delete ratePlans[0].price;
+      expect(explainRatePlanRejection('rtb', ratePlans[0], booking, arrival, departure, fallbackCurrency))
+        .toBe('lengthOfStayPrices do not cover 3 nights');
+      ratePlans[0].lengthOfStayPrices.push({ min: 2, max: 4, price: 90 });
+      expect(explainRatePlanRejection('rtb', ratePlans[0], booking, arrival, departure, fallbackCurrency))
+        .toBeUndefined();
+    });
+
+    it('should explain reservation dates', () => {
+      ratePlans[0].availableForReservation = { from: '2019-03-02', to: '2019-03-10' };
+      expect(explainRatePlanRejection('rtb', ratePlans[0], booking, arrival, departure, fallbackCurrency))
+        .toBe('availableForReservation starts 2019-03-02, booking is made 2019-03-01');
+      ratePlans[0].availableForReservation = { from: '2019-01-01', to: '2019-02-28' };
+      expect(explainRatePlanRejection('rtb', ratePlans[0], booking, arrival, departure, fallbackCurrency))
+        .toBe('availableForReservation ends 2019-02-28, booking is made 2019-03-01');
+    });
+
+    it('should explain travel dates', () => {
+      ratePlans[0].availableForReservation = undefined;
+      ratePlans[0].availableForTravel = { from: '2019-03-08', to: '2019-03-10' };
+      expect(explainRatePlanRejection('rtb', ratePlans[0], booking, arrival, departure, fallbackCurrency))
+        .toBe('availableForTravel starts 2019-03-08, stay ends 2019-03-07');
+      ratePlans[0].availableForTravel = { from: '2019-01-01', to: '2019-03-03' };
+      expect(explainRatePlanRejection('rtb', ratePlans[0], booking, arrival, departure, fallbackCurrency))
+        .toBe('availableForTravel ends 2019-03-03, stay starts 2019-03-04');
+    });
+
+    it('should explain private rate plans', () => {
+      ratePlans[0].access = { promoCodes: ['SUMMER'], corporateAccountIds: ['acme'] };
+      expect(explainRatePlanRejection('rtb', ratePlans[0], booking, arrival, departure, fallbackCurrency))
+        .toBe('access requires a matching promoCode or corporateAccountId');
+      expect(explainRatePlanRejection('rtb', ratePlans[0], booking, arrival, departure, fallbackCurrency, null, { membershipTier: 'gold' }))
+        .toBe('access requires a matching promoCode or corporateAccountId');
+      expect(explainRatePlanRejection('rtb', ratePlans[0], booking, arrival, departure, fallbackCurrency, null, { corporateAccountId: 'acme' }))
+        .toBeUndefined();
+      expect(selectApplicableRatePlans('rtb', ratePlans, booking, arrival, departure, fallbackCurrency, null, { promoCodes: ['SUMMER'] }))
+        .toEqual(ratePlans);
+    });
+
+    it('should explain restrictions', () => {
+      ratePlans[0].availableForReservation = undefined;
+      ratePlans[0].availableForTravel = undefined;
+      ratePlans[0].restrictions = { bookingCutOff: { min: 7 } };
+      expect(explainRatePlanRejection('rtb', ratePlans[0], booking, arrival, departure, fallbackCurrency))
+        .toBe('bookingCutOff.min 7 > 3 days before arrival');
+      ratePlans[0].restrictions = { bookingCutOff: { max: 2 } };
+      expect(explainRatePlanRejection('rtb', ratePlans[0], booking, arrival, departure, fallbackCurrency))
+        .toBe('bookingCutOff.max 2 < 3 days before arrival');
+      ratePlans[0].restrictions = { lengthOfStay: { min: 4 } };
+      expect(explainRatePlanRejection('rtb', ratePlans[0], booking, arrival, departure, fallbackCurrency))
+        .toBe('lengthOfStay.min 4 > 3 nights');
+      ratePlans[0].restrictions = { lengthOfStay: { max: 2 } };
+      expect(explainRatePlanRejection('rtb', ratePlans[0], booking, arrival, departure, fallbackCurrency))
+        .toBe('lengthOfStay.max 2 < 3 nights');
+    });
+  });
+
+  describe('explainModifierRejection', () => {
+    const date = dayjs('2019-03-04');
+
+    it('should explain invalid modifiers', () => {
+      expect(explainModifierRejection({ unit: 'percent', conditions: {} }, date, 3, 2))
+        .toBe('unit "percent" is not percentage or absolute');
+      expect(explainModifierRejection({ unit: 'percentage' }, date, 3, 2)).toBe('no conditions');
+    });
+
+    it('should explain unmet conditions', () => {
+      expect(explainModifierRejection({ unit: 'percentage', conditions: { from: '2019-03-05' } }, date, 3, 2))
+        .toBe('conditions.from 2019-03-05 is after 2019-03-04');
+      expect(explainModifierRejection({ unit: 'percentage', conditions: { to: '2019-03-03' } }, date, 3, 2))
+        .toBe('conditions.to 2019-03-03 is before 2019-03-04');
+      expect(explainModifierRejection({ unit: 'percentage', conditions: { minLengthOfStay: 7 } }, date, 3, 2))
+        .toBe('conditions.minLengthOfStay 7 > 3 nights');
+      expect(explainModifierRejection({ unit: 'percentage', conditions: { minOccupants: 3 } }, date, 3, 2))
+        .toBe('conditions.minOccupants 3 > 2 guests');
+    });
+
+    it('should explain unmet night conditions', () => {
+      expect(explainModifierRejection({ unit: 'percentage', conditions: { daysOfWeek: ['fri', 'sat'] } }, date, 3, 2))
+        .toBe('conditions.daysOfWeek fri, sat do not contain mon (2019-03-04)');
+      expect(explainModifierRejection({ unit: 'percentage', conditions: { dates: ['2019-12-24'] } }, date, 3, 2))
+        .toBe('conditions.dates do not contain 2019-03-04');
+      expect(explainModifierRejection({ unit: 'percentage', conditions: { yearly: { from: '12-20', to: '01-05' } } }, date, 3, 2))
+        .toBe('conditions.yearly 12-20 - 01-05 does not contain 2019-03-04');
+    });
+
+    it('should explain a missing promo code', () => {
+      const modifier = { unit: 'percentage', conditions: { promoCode: 'SUMMER' } };
+      expect(explainModifierRejection(modifier, date, 3, 2)).toBe('conditions.promoCode SUMMER was not provided');
+      expect(explainModifierRejection(modifier, date, 3, 2, { promoCodes: ['WINTER'] }))
+        .toBe('conditions.promoCode SUMMER was not provided');
+      expect(explainModifierRejection(modifier, date, 3, 2, { promoCodes: ['WINTER', 'SUMMER'] })).toBeUndefined();
+      expect(selectApplicableModifiers([modifier], date, 3, 2, { promoCodes: ['SUMMER'] })).toEqual([modifier]);
+    });
+
+    it('should check night conditions before the length of stay', () => {
+      expect(explainModifierRejection({ unit: 'percentage', conditions: { minLengthOfStay: 2, daysOfWeek: ['sun'] } }, date, 3, 2))
+        .toBe('conditions.daysOfWeek sun do not contain mon (2019-03-04)');
+    });
+
+    it('should return undefined for applicable modifiers', () => {
+      expect(explainModifierRejection({ unit: 'percentage', conditions: { maxAge: 10 } }, date, 3, 2)).toBeUndefined();
+      expect(explainModifierRejection({ unit: 'percentage', conditions: { daysOfWeek: ['mon'] } }, date, 3, 2)).toBeUndefined();
+      expect(explainModifierRejection({ unit: 'percentage', conditions: { dates: ['2019-03-04'] } }, date, 3, 2)).toBeUndefined();
+      expect(explainModifierRejection({ unit: 'percentage', conditions: { yearly: { from: '03-01', to: '03-31' } } }, date, 3, 2))
+        .toBeUndefined();
+      expect(explainModifierRejection({ unit: 'percentage', conditions: { yearly: { from: '12-20', to: '03-04' } } }, date, 3, 2))
+        .toBeUndefined();
+      expect(explainModifierRejection({ unit: 'percentage', conditions: { yearly: { from: '03-04', to: '01-05' } } }, date, 3, 2))
+        .toBeUndefined();
+    });
+  });
+
+  describe('explainRejectedModifiers', () => {
+    it('should list rejected and superseded modifiers', () => {
+      const modifiers = [
+        { unit: 'percentage', adjustment: -10, conditions: { minLengthOfStay: 2 } },
+        { unit: 'percentage', adjustment: -20, conditions: { minLengthOfStay: 3 } },
+        { unit: 'percentage', adjustment: -30, conditions: { minLengthOfStay: 7 } },
+        { unit: 'percentage', adjustment: -30, conditions: { maxAge: 10 } },
+      ];
+      const result = explainRejectedModifiers(modifiers, dayjs('2019-03-04'), 3, 2);
+      expect(result.length).toBe(2);
+      expect(result[0].modifier).toBe(modifiers[0]);
+      expect(result[0].reason).toBe('superseded by a modifier with a higher conditions.minLengthOfStay');
+      expect(result[1].modifier).toBe(modifiers[2]);
+      expect(result[1].reason).toBe('conditions.minLengthOfStay 7 > 3 nights');
+    });
+
+    it('should return an empty list without modifiers', () => {
+      expect(explainRejectedModifiers(undefined, dayjs('2019-03-04'), 3, 2)).toEqual([]);
+    });
+  });
 });
@@ -0,0 +1,90 @@
+import currency from 'currency.js';
+import { computeSurcharges, isGuestExempt } from '../../src/prices/surcharges';
+
+describe('prices.surcharges', () => {
+  let guests;
+  let stay;
+
+  beforeEach(() => {
+    guests = [{ id: 'g1', age: 30 }, { id: 'g2', age: 8 }];
+    stay = ['2018-01-03', '2018-01-04', '2018-01-05'].map((date) => ({
+      date,
+      subtotal: currency(150),
+      guests: [
+        { guestId: 'g1', resultingPrice: currency(100) },
+        { guestId: 'g2', resultingPrice: currency(50) },
+      ],
+    }));
+  });
+
+  describe('isGuestExempt', () => {
+    it('should exempt guests under maxAge', () => {
+      expect(isGuestExempt({ exemptions: { maxAge: 12 } }, { age: 8 })).toBe(true);
+      expect(isGuestExempt({ exemptions: { maxAge: 12 } }, { age: 13 })).toBe(false);
+    });
+
+    it('should exempt guests over minAge', () => {
+      expect(isGuestExempt({ exemptions: { minAge: 65 } }, { age: 70 })).toBe(true);
+      expect(isGuestExempt({ exemptions: { minAge: 65 } }, { age: 30 })).toBe(false);
+    });
+
+    it('should not exempt guests without age or surcharges without exemptions', () => {
+      expect(isGuestExempt({ exemptions: { maxAge: 12 } }, {})).toBe(false);
+      expect(isGuestExempt({}, { age: 8 })).toBe(false);
+    });
+  });
+
+  describe('computeSurcharges', () => {
+    it('should return an empty list without surcharges', () => {
+      expect(computeSurcharges(undefined, stay, guests, 'EUR', 'EUR')).toEqual([]);
+      expect(computeSurcharges([], stay, guests, 'EUR', 'EUR')).toEqual([]);
+    });
+
+    it('should compute percentage of the whole stay', () => {
+      const result = computeSurcharges([{ id: 'vat', unit: 'percentage', amount: 10, per: 'stay' }], stay, guests, 'EUR', 'EUR');
+      expect(result.length).toBe(1);
+      expect(result[0]).toHaveProperty('id', 'vat');
+      expect(result[0].total.format()).toBe(currency(45).format());
+    });
+
+    it('should compute percentage only for guests that are not exempt', () => {
+      const result = computeSurcharges([{ unit: 'percentage', amount: 10, per: 'guestNight', exemptions: { maxAge: 12 } }], stay, guests, 'EUR', 'EUR');
+      expect(result[0].total.format()).toBe(currency(30).format());
+    });
+
+    it('should compute absolute amounts per stay, night, guest and guest night', () => {
+      const result = computeSurcharges([
+        { unit: 'absolute', amount: 20, per: 'stay' },
+        { unit: 'absolute', amount: 5, per: 'night' },
+        { unit: 'absolute', amount: 3, per: 'guest' },
+        { unit: 'absolute', amount: 2, per: 'guestNight' },
+      ], stay, guests, 'EUR', 'EUR');
+      expect(result.map((r) => r.total.value)).toEqual([20, 15, 6, 12]);
+    });
+
+    it('should apply age exemptions to absolute amounts per guest', () => {
+      const result = computeSurcharges([
+        { id: 'city-tax', unit: 'absolute', amount: 2, per: 'guestNight', exemptions: { maxAge: 17 } },
+      ], stay, guests, 'EUR', 'EUR');
+      expect(result[0].total.format()).toBe(currency(6).format());
+    });
+
+    it('should skip absolute amounts in a different currency', () => {
+      const result = computeSurcharges([
+        { unit: 'absolute', amount: 20, per: 'stay', currency: 'CZK' },
+        { unit: 'absolute', amount: 20, per: 'stay' },
+      ], stay, guests, 'CZK', 'EUR');
+      expect(result.length).toBe(1);
+      expect(result[0]).toHaveProperty('currency', 'CZK');
+    });
+
+    it('should skip invalid definitions', () => {
+      const result = computeSurcharges([
+        { unit: 'unknown', amount: 20, per: 'stay' },
+        { unit: 'absolute', amount: 20, per: 'week' },
+        { unit: 'absolute', amount: 20 },
+      ], stay, guests, 'EUR', 'EUR');
+      expect(result).toEqual([]);
+    });
+  });
+});
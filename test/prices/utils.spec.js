@@ -1,6 +1,8 @@
 import dayjs from 'dayjs';
 import currency from 'currency.js';
-import { computeDailyRatePlans, computeDailyPrice } from '../../src/prices/utils';
+import {
+  computeDailyRatePlans, computeDailyPrice, applyModifiers, explainTravelDateRejection, explainStayCoverage,
+} from '../../src/prices/utils';
 
 describe('prices.index', () => {
   let guests;
@@ -235,6 +237,114 @@ describe('prices.index', () => {
         expect(eurResult[i][0].guestPrices.length).toBe(3);
       }
     });
+    it('should convert rate plans to the target currency', () => {
+      ratePlans[0].availableForTravel = {
+        from: '2018-01-03',
+        to: '2018-01-03',
+      };
+      ratePlans[1] = {
+        id: 'rpb',
+        currency: 'EUR',
+        price: 5,
+        roomTypeIds: ['rtb'],
+        availableForTravel: {
+          from: '2018-01-04',
+          to: '2018-01-10',
+        },
+      };
+      const exchangeRate = { from: 'EUR', to: 'CZK', rate: 25, source: 'table' };
+      const result = computeDailyRatePlans(arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, ratePlans, 'CZK', () => exchangeRate);
+      expect(Object.keys(result)).toEqual(['CZK']);
+      expect(result.CZK[0].length).toBe(1);
+      expect(result.CZK[0][0].ratePlan).toHaveProperty('id', 'rpa');
+      expect(result.CZK[0][0].guestPrices[0]).not.toHaveProperty('exchangeRate');
+      expect(result.CZK[1].length).toBe(1);
+      expect(result.CZK[1][0].ratePlan).toHaveProperty('id', 'rpb');
+      expect(result.CZK[1][0].total.format()).toBe(currency(125).format());
+      expect(result.CZK[1][0].guestPrices[0].basePrice.format()).toBe(currency(125).format());
+      expect(result.CZK[1][0].guestPrices[0].resultingPrice.format()).toBe(currency(125).format());
+      expect(result.CZK[1][0].guestPrices[0]).toHaveProperty('exchangeRate', exchangeRate);
+    });
+
+    it('should apply night specific modifiers night by night', () => {
+      ratePlans[0].modifiers = [
+        { adjustment: 20, unit: 'percentage', conditions: { daysOfWeek: ['fri', 'sat'] } },
+        { adjustment: 50, unit: 'absolute', conditions: { dates: ['2018-01-07'] } },
+        { adjustment: -10, unit: 'absolute', conditions: { yearly: { from: '12-20', to: '01-03' } } },
+      ];
+      // 2018-01-03 is a Wednesday
+      const result = computeDailyRatePlans(arrivalDateDayjs, dayjs('2018-01-08'), guests, fallbackCurrency, ratePlans);
+      expect(result.CZK.map((day) => day[0].total.value)).toEqual([90, 100, 120, 120, 150]);
+      expect(result.CZK[2][0].guestPrices[0].modifiers[0].conditions).toHaveProperty('daysOfWeek');
+    });
+
+    it('should price the stay from length of stay prices', () => {
+      ratePlans[0].lengthOfStayPrices = [{ min: 2, total: 150 }];
+      const result = computeDailyRatePlans(arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, ratePlans);
+      expect(result.CZK[0][0].total.value).toBe(75);
+      expect(result.CZK[1][0].total.value).toBe(75);
+      expect(result.CZK[0][0].guestPrices[0]).toHaveProperty('lengthOfStayPrice', ratePlans[0].lengthOfStayPrices[0]);
+    });
+
+    it('should not share cached nights priced from a length of stay total', () => {
+      const cache = {};
+      ratePlans[0].lengthOfStayPrices = [{ min: 2, total: 150.01 }];
+      const first = computeDailyRatePlans(arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, ratePlans, undefined, undefined, cache);
+      const second = computeDailyRatePlans(dayjs('2018-01-04'), dayjs('2018-01-06'), guests, fallbackCurrency, ratePlans, undefined, undefined, cache);
+      expect(first.CZK[1][0].total.value).toBe(75);
+      expect(second.CZK[0][0].total.value).toBe(75.01);
+    });
+
+    it('should reuse cached daily prices', () => {
+      const cache = {};
+      const first = computeDailyRatePlans(arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, ratePlans, undefined, undefined, cache);
+      expect(Object.keys(cache)).toEqual(['rpa:2018-01-03:2:CZK', 'rpa:2018-01-04:2:CZK']);
+      const second = computeDailyRatePlans(dayjs('2018-01-04'), dayjs('2018-01-06'), guests, fallbackCurrency, ratePlans, undefined, undefined, cache);
+      expect(second.CZK[0][0]).toBe(first.CZK[1][0]);
+      expect(Object.keys(cache).length).toBe(3);
+      // different length of stay
+      const third = computeDailyRatePlans(dayjs('2018-01-04'), dayjs('2018-01-05'), guests, fallbackCurrency, ratePlans, undefined, undefined, cache);
+      expect(third.CZK[0][0]).not.toBe(first.CZK[1][0]);
+    });
+
+    it('should skip rate plans without a known exchange rate', () => {
+      ratePlans[1] = {
+        id: 'rpb',
+        currency: 'EUR',
+        price: 5,
+        roomTypeIds: ['rtb'],
+      };
+      const result = computeDailyRatePlans(arrivalDateDayjs, departureDateDayjs, guests, fallbackCurrency, ratePlans, 'CZK', () => undefined);
+      expect(Object.keys(result)).toEqual(['CZK']);
+      expect(result.CZK[0].length).toBe(1);
+      expect(result.CZK[1].length).toBe(1);
+    });
+  });
+
+  describe('applyModifiers', () => {
+    const modifiers = [
+      { adjustment: -10, unit: 'percentage', conditions: {} },
+      { adjustment: -50, unit: 'percentage', conditions: {} },
+      { adjustment: -5, unit: 'absolute', conditions: {} },
+    ];
+
+    it('should return the base price without modifiers', () => {
+      expect(applyModifiers(currency(100), []).value).toBe(100);
+    });
+
+    it('should add percentages computed from the base price', () => {
+      expect(applyModifiers(currency(100), modifiers, 'additive').value).toBe(35);
+      expect(applyModifiers(currency(100), modifiers.slice(0, 1)).value).toBe(90);
+    });
+
+    it('should multiply percentages in order', () => {
+      expect(applyModifiers(currency(100), modifiers, 'multiplicative').value).toBe(40);
+      expect(applyModifiers(currency(100), modifiers.slice().reverse(), 'multiplicative').value).toBe(42.75);
+    });
+
+    it('should not drop below zero with more modifiers', () => {
+      expect(applyModifiers(currency(10), modifiers, 'additive').value).toBe(0);
+    });
   });
 
   describe('computeDailyPrice', () => {
@@ -244,7 +354,7 @@ describe('prices.index', () => {
       expect(result[0]).toHaveProperty('guestId');
       expect(result[0]).toHaveProperty('ratePlanId');
       expect(result[0]).toHaveProperty('basePrice');
-      expect(result[0]).not.toHaveProperty('modifier');
+      expect(result[0]).toHaveProperty('modifiers', []);
       expect(result[0]).toHaveProperty('resultingPrice');
       expect(result[0].basePrice.format()).toBe(currency(10).format());
       expect(result[0].resultingPrice.format()).toBe(currency(10).format());
@@ -257,13 +367,136 @@ describe('prices.index', () => {
         expect(result[i]).toHaveProperty('guestId', `g${i}`);
         expect(result[i]).toHaveProperty('ratePlanId');
         expect(result[i]).toHaveProperty('basePrice');
-        expect(result[i]).not.toHaveProperty('modifier');
+        expect(result[i]).toHaveProperty('modifiers', []);
         expect(result[i]).toHaveProperty('resultingPrice');
         expect(result[i].basePrice.format()).toBe(currency(10).format());
         expect(result[i].resultingPrice.format()).toBe(currency(10).format());
       }
     });
 
+    describe('modifierStacking', () => {
+      const ratePlan = {
+        id: 'rateplan1',
+        price: 100,
+        modifierStacking: 'multiplicative',
+        modifiers: [
+          { adjustment: -10, unit: 'percentage', conditions: { minLengthOfStay: 7 }, group: 'los' },
+          { adjustment: -50, unit: 'percentage', conditions: { maxAge: 11 }, group: 'children' },
+        ],
+      };
+
+      it('should combine modifiers from different groups', () => {
+        const result = computeDailyPrice([{ id: 'g1', age: 10 }, { id: 'g2', age: 30 }], 7, dayjs('2018-09-12'), ratePlan, 'EUR');
+        expect(result[0].resultingPrice.value).toBe(45);
+        expect(result[0].modifiers.map((m) => m.group)).toEqual(['los', 'children']);
+        expect(result[1].resultingPrice.value).toBe(90);
+        expect(result[1].modifiers.map((m) => m.group)).toEqual(['los']);
+      });
+
+      it('should respect the length of stay conditions', () => {
+        const result = computeDailyPrice([{ id: 'g1', age: 10 }], 3, dayjs('2018-09-12'), ratePlan, 'EUR');
+        expect(result[0].resultingPrice.value).toBe(50);
+        expect(result[0].modifiers.length).toBe(1);
+      });
+    });
+
+    describe('pricingMode', () => {
+      const party = [{ id: 'g1', age: 30 }, { id: 'g2', age: 30 }, { id: 'g3', age: 10 }, { id: 'g4', age: 40 }];
+      let ratePlan;
+
+      beforeEach(() => {
+        ratePlan = {
+          id: 'rateplan1',
+          price: 100,
+          extraGuestPrice: 30,
+          baseOccupancy: 2,
+          modifiers: [
+            { adjustment: -50, unit: 'percentage', conditions: { maxAge: 12 } },
+            { adjustment: -10, unit: 'absolute', conditions: { minLengthOfStay: 3 } },
+          ],
+        };
+      });
+
+      it('should charge every guest by default', () => {
+        const result = computeDailyPrice(party, 3, dayjs('2018-09-12'), ratePlan, 'EUR');
+        expect(result.map((g) => g.resultingPrice.value)).toEqual([90, 90, 50, 90]);
+        expect(result[0]).not.toHaveProperty('charge');
+      });
+
+      it('should charge the room once', () => {
+        ratePlan.pricingMode = 'perRoom';
+        const result = computeDailyPrice(party, 3, dayjs('2018-09-12'), ratePlan, 'EUR');
+        expect(result.map((g) => g.charge)).toEqual(['room', 'included', 'included', 'included']);
+        expect(result.map((g) => g.resultingPrice.value)).toEqual([90, 0, 0, 0]);
+        expect(result.map((g) => g.modifiers.length)).toEqual([1, 0, 0, 0]);
+      });
+
+      it('should charge extra guests above the base occupancy', () => {
+        ratePlan.pricingMode = 'perRoomWithExtraGuests';
+        const result = computeDailyPrice(party, 2, dayjs('2018-09-12'), ratePlan, 'EUR');
+        expect(result.map((g) => g.charge)).toEqual(['room', 'included', 'extraGuest', 'extraGuest']);
+        expect(result.map((g) => g.basePrice.value)).toEqual([100, 0, 30, 30]);
+        expect(result.map((g) => g.resultingPrice.value)).toEqual([100, 0, 15, 30]);
+      });
+
+      it('should default base occupancy to a single guest', () => {
+        ratePlan.pricingMode = 'perRoomWithExtraGuests';
+        delete ratePlan.baseOccupancy;
+        const result = computeDailyPrice(party.slice(0, 2), 2, dayjs('2018-09-12'), ratePlan, 'EUR');
+        expect(result.map((g) => g.charge)).toEqual(['room', 'extraGuest']);
+      });
+
+      it('should use length of stay prices for the room', () => {
+        ratePlan.pricingMode = 'perRoomWithExtraGuests';
+        ratePlan.lengthOfStayPrices = [{ min: 2, price: 80 }];
+        const result = computeDailyPrice(party, 2, dayjs('2018-09-12'), ratePlan, 'EUR');
+        expect(result.map((g) => g.basePrice.value)).toEqual([80, 0, 30, 30]);
+        expect(result[0]).toHaveProperty('lengthOfStayPrice');
+        expect(result[2]).not.toHaveProperty('lengthOfStayPrice');
+      });
+    });
+
+    describe('lengthOfStayPrices', () => {
+      const ratePlan = {
+        id: 'rateplan1',
+        price: 130,
+        lengthOfStayPrices: [
+          { min: 1, max: 1, price: 120 },
+          { min: 2, max: 3, price: 110 },
+          { min: 4, max: 4, total: 430 },
+          { min: 7, price: 90 },
+        ],
+      };
+
+      it('should use the price for the length of stay', () => {
+        const result = computeDailyPrice([{ id: 'g1', age: 18 }], 3, dayjs('2018-09-12'), ratePlan);
+        expect(result[0].basePrice.format()).toBe(currency(110).format());
+        expect(result[0].resultingPrice.format()).toBe(currency(110).format());
+        expect(result[0]).toHaveProperty('lengthOfStayPrice', ratePlan.lengthOfStayPrices[1]);
+      });
+
+      it('should fall back to the rate plan price', () => {
+        const result = computeDailyPrice([{ id: 'g1', age: 18 }], 5, dayjs('2018-09-12'), ratePlan);
+        expect(result[0].basePrice.format()).toBe(currency(130).format());
+        expect(result[0]).not.toHaveProperty('lengthOfStayPrice');
+      });
+
+      it('should spread the total over nights', () => {
+        const nights = [0, 1, 2, 3].map((i) => computeDailyPrice([{ id: 'g1', age: 18 }], 4, dayjs('2018-09-12'), Object.assign({}, ratePlan, {
+          lengthOfStayPrices: [{ min: 4, total: 430.01 }],
+        }), 'CZK', i)[0]);
+        expect(nights.map((n) => n.basePrice.value)).toEqual([107.51, 107.5, 107.5, 107.5]);
+      });
+
+      it('should apply modifiers on the length of stay price', () => {
+        const result = computeDailyPrice([{ id: 'g1', age: 18 }], 7, dayjs('2018-09-12'), Object.assign({}, ratePlan, {
+          modifiers: [{ adjustment: -10, unit: 'percentage', conditions: {} }],
+        }));
+        expect(result[0].basePrice.format()).toBe(currency(90).format());
+        expect(result[0].resultingPrice.format()).toBe(currency(81).format());
+      });
+    });
+
     describe('percentage', () => {
       it('should pick the most pro-customer modifier (all positive)', () => {
         const result = computeDailyPrice([{ id: 'g1', age: 18 }], 3, '2018-09-12', {
@@ -278,11 +511,11 @@ describe('prices.index', () => {
         expect(result[0]).toHaveProperty('guestId', 'g1');
         expect(result[0]).toHaveProperty('ratePlanId', 'rateplan1');
         expect(result[0]).toHaveProperty('basePrice');
-        expect(result[0]).toHaveProperty('modifier');
-        expect(result[0].modifier).toHaveProperty('conditions');
-        expect(result[0].modifier).toHaveProperty('unit', 'percentage');
-        expect(result[0].modifier).toHaveProperty('adjustment', 25);
-        expect(result[0].modifier).not.toHaveProperty('change');
+        expect(result[0]).toHaveProperty('modifiers');
+        expect(result[0].modifiers[0]).toHaveProperty('conditions');
+        expect(result[0].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(result[0].modifiers[0]).toHaveProperty('adjustment', 25);
+        expect(result[0].modifiers[0]).not.toHaveProperty('change');
         expect(result[0].basePrice.format()).toBe(currency(8).format());
         expect(result[0].resultingPrice.format()).toBe(currency(10).format());
       });
@@ -300,10 +533,10 @@ describe('prices.index', () => {
         expect(result[0]).toHaveProperty('guestId', 'g1');
         expect(result[0]).toHaveProperty('ratePlanId', 'rateplan1');
         expect(result[0]).toHaveProperty('basePrice');
-        expect(result[0]).toHaveProperty('modifier');
-        expect(result[0].modifier).toHaveProperty('conditions');
-        expect(result[0].modifier).toHaveProperty('unit', 'percentage');
-        expect(result[0].modifier).toHaveProperty('adjustment', -50);
+        expect(result[0]).toHaveProperty('modifiers');
+        expect(result[0].modifiers[0]).toHaveProperty('conditions');
+        expect(result[0].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(result[0].modifiers[0]).toHaveProperty('adjustment', -50);
         expect(result[0].basePrice.format()).toBe(currency(8).format());
         expect(result[0].resultingPrice.format()).toBe(currency(4).format());
       });
@@ -323,10 +556,10 @@ describe('prices.index', () => {
         expect(result[0]).toHaveProperty('guestId', 'g1');
         expect(result[0]).toHaveProperty('ratePlanId', 'rateplan1');
         expect(result[0]).toHaveProperty('basePrice');
-        expect(result[0]).toHaveProperty('modifier');
-        expect(result[0].modifier).toHaveProperty('conditions');
-        expect(result[0].modifier).toHaveProperty('unit', 'percentage');
-        expect(result[0].modifier).toHaveProperty('adjustment', -25);
+        expect(result[0]).toHaveProperty('modifiers');
+        expect(result[0].modifiers[0]).toHaveProperty('conditions');
+        expect(result[0].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(result[0].modifiers[0]).toHaveProperty('adjustment', -25);
         expect(result[0].basePrice.format()).toBe(currency(8).format());
         expect(result[0].resultingPrice.format()).toBe(currency(6).format());
       });
@@ -346,10 +579,10 @@ describe('prices.index', () => {
         expect(result[0]).toHaveProperty('guestId', 'g1');
         expect(result[0]).toHaveProperty('ratePlanId', 'rateplan1');
         expect(result[0]).toHaveProperty('basePrice');
-        expect(result[0]).toHaveProperty('modifier');
-        expect(result[0].modifier).toHaveProperty('conditions');
-        expect(result[0].modifier).toHaveProperty('unit', 'absolute');
-        expect(result[0].modifier).toHaveProperty('adjustment', 25);
+        expect(result[0]).toHaveProperty('modifiers');
+        expect(result[0].modifiers[0]).toHaveProperty('conditions');
+        expect(result[0].modifiers[0]).toHaveProperty('unit', 'absolute');
+        expect(result[0].modifiers[0]).toHaveProperty('adjustment', 25);
         expect(result[0].basePrice.format()).toBe(currency(8).format());
         expect(result[0].resultingPrice.format()).toBe(currency(33).format());
       });
@@ -367,10 +600,10 @@ describe('prices.index', () => {
         expect(result[0]).toHaveProperty('guestId', 'g1');
         expect(result[0]).toHaveProperty('ratePlanId', 'rateplan1');
         expect(result[0]).toHaveProperty('basePrice');
-        expect(result[0]).toHaveProperty('modifier');
-        expect(result[0].modifier).toHaveProperty('conditions');
-        expect(result[0].modifier).toHaveProperty('unit', 'absolute');
-        expect(result[0].modifier).toHaveProperty('adjustment', -50);
+        expect(result[0]).toHaveProperty('modifiers');
+        expect(result[0].modifiers[0]).toHaveProperty('conditions');
+        expect(result[0].modifiers[0]).toHaveProperty('unit', 'absolute');
+        expect(result[0].modifiers[0]).toHaveProperty('adjustment', -50);
         expect(result[0].basePrice.format()).toBe(currency(8).format());
         expect(result[0].resultingPrice.format()).toBe(currency(-42).format());
       });
@@ -390,10 +623,10 @@ describe('prices.index', () => {
         expect(result[0]).toHaveProperty('guestId', 'g1');
         expect(result[0]).toHaveProperty('ratePlanId', 'rateplan1');
         expect(result[0]).toHaveProperty('basePrice');
-        expect(result[0]).toHaveProperty('modifier');
-        expect(result[0].modifier).toHaveProperty('conditions');
-        expect(result[0].modifier).toHaveProperty('unit', 'absolute');
-        expect(result[0].modifier).toHaveProperty('adjustment', -25);
+        expect(result[0]).toHaveProperty('modifiers');
+        expect(result[0].modifiers[0]).toHaveProperty('conditions');
+        expect(result[0].modifiers[0]).toHaveProperty('unit', 'absolute');
+        expect(result[0].modifiers[0]).toHaveProperty('adjustment', -25);
         expect(result[0].basePrice.format()).toBe(currency(8).format());
         expect(result[0].resultingPrice.format()).toBe(currency(-17).format());
       });
@@ -413,10 +646,10 @@ describe('prices.index', () => {
         expect(result[0]).toHaveProperty('guestId', 'g1');
         expect(result[0]).toHaveProperty('ratePlanId', 'rateplan1');
         expect(result[0]).toHaveProperty('basePrice');
-        expect(result[0]).toHaveProperty('modifier');
-        expect(result[0].modifier).toHaveProperty('conditions');
-        expect(result[0].modifier).toHaveProperty('unit', 'absolute');
-        expect(result[0].modifier).toHaveProperty('adjustment', 1);
+        expect(result[0]).toHaveProperty('modifiers');
+        expect(result[0].modifiers[0]).toHaveProperty('conditions');
+        expect(result[0].modifiers[0]).toHaveProperty('unit', 'absolute');
+        expect(result[0].modifiers[0]).toHaveProperty('adjustment', 1);
         expect(result[0].basePrice.format()).toBe(currency(8).format());
         expect(result[0].resultingPrice.format()).toBe(currency(9).format());
       });
@@ -434,10 +667,10 @@ describe('prices.index', () => {
         expect(result[0]).toHaveProperty('guestId', 'g1');
         expect(result[0]).toHaveProperty('ratePlanId', 'rateplan1');
         expect(result[0]).toHaveProperty('basePrice');
-        expect(result[0]).toHaveProperty('modifier');
-        expect(result[0].modifier).toHaveProperty('conditions');
-        expect(result[0].modifier).toHaveProperty('unit', 'percentage');
-        expect(result[0].modifier).toHaveProperty('adjustment', -25);
+        expect(result[0]).toHaveProperty('modifiers');
+        expect(result[0].modifiers[0]).toHaveProperty('conditions');
+        expect(result[0].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(result[0].modifiers[0]).toHaveProperty('adjustment', -25);
         expect(result[0].basePrice.format()).toBe(currency(8).format());
         expect(result[0].resultingPrice.format()).toBe(currency(6).format());
       });
@@ -457,10 +690,10 @@ describe('prices.index', () => {
         expect(result[0]).toHaveProperty('guestId', 'g1');
         expect(result[0]).toHaveProperty('ratePlanId', 'rateplan1');
         expect(result[0]).toHaveProperty('basePrice');
-        expect(result[0]).toHaveProperty('modifier');
-        expect(result[0].modifier).toHaveProperty('conditions');
-        expect(result[0].modifier).toHaveProperty('unit', 'percentage');
-        expect(result[0].modifier).toHaveProperty('adjustment', -25);
+        expect(result[0]).toHaveProperty('modifiers');
+        expect(result[0].modifiers[0]).toHaveProperty('conditions');
+        expect(result[0].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(result[0].modifiers[0]).toHaveProperty('adjustment', -25);
         expect(result[0].basePrice.format()).toBe(currency(8).format());
         expect(result[0].resultingPrice.format()).toBe(currency(6).format());
       });
@@ -479,16 +712,16 @@ describe('prices.index', () => {
         expect(result.length).toBe(2);
         expect(result[0]).toHaveProperty('guestId', 'g1');
         expect(result[0]).toHaveProperty('ratePlanId', 'rateplan1');
-        expect(result[0].modifier).toHaveProperty('conditions');
-        expect(result[0].modifier).toHaveProperty('unit', 'percentage');
-        expect(result[0].modifier).toHaveProperty('adjustment', -75);
+        expect(result[0].modifiers[0]).toHaveProperty('conditions');
+        expect(result[0].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(result[0].modifiers[0]).toHaveProperty('adjustment', -75);
         expect(result[0].basePrice.format()).toBe(currency(8).format());
         expect(result[0].resultingPrice.format()).toBe(currency(2).format());
         expect(result[1]).toHaveProperty('guestId', 'g2');
         expect(result[1]).toHaveProperty('ratePlanId', 'rateplan1');
-        expect(result[1].modifier).toHaveProperty('conditions');
-        expect(result[1].modifier).toHaveProperty('unit', 'percentage');
-        expect(result[1].modifier).toHaveProperty('adjustment', -75);
+        expect(result[1].modifiers[0]).toHaveProperty('conditions');
+        expect(result[1].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(result[1].modifiers[0]).toHaveProperty('adjustment', -75);
         expect(result[1].basePrice.format()).toBe(currency(8).format());
         expect(result[1].resultingPrice.format()).toBe(currency(2).format());
       });
@@ -506,16 +739,16 @@ describe('prices.index', () => {
         expect(result.length).toBe(2);
         expect(result[0]).toHaveProperty('guestId', 'g1');
         expect(result[0]).toHaveProperty('ratePlanId', 'rateplan1');
-        expect(result[0].modifier).toHaveProperty('conditions');
-        expect(result[0].modifier).toHaveProperty('unit', 'percentage');
-        expect(result[0].modifier).toHaveProperty('adjustment', -25);
+        expect(result[0].modifiers[0]).toHaveProperty('conditions');
+        expect(result[0].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(result[0].modifiers[0]).toHaveProperty('adjustment', -25);
         expect(result[0].basePrice.format()).toBe(currency(10).format());
         expect(result[0].resultingPrice.format()).toBe(currency(7.5).format());
         expect(result[1]).toHaveProperty('guestId', 'g2');
         expect(result[1]).toHaveProperty('ratePlanId', 'rateplan1');
-        expect(result[1].modifier).toHaveProperty('conditions');
-        expect(result[1].modifier).toHaveProperty('unit', 'percentage');
-        expect(result[1].modifier).toHaveProperty('adjustment', -20);
+        expect(result[1].modifiers[0]).toHaveProperty('conditions');
+        expect(result[1].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(result[1].modifiers[0]).toHaveProperty('adjustment', -20);
         expect(result[1].basePrice.format()).toBe(currency(10).format());
         expect(result[1].resultingPrice.format()).toBe(currency(8).format());
       });
@@ -532,14 +765,14 @@ describe('prices.index', () => {
         expect(result.length).toBe(2);
         expect(result[0]).toHaveProperty('guestId', 'g1');
         expect(result[0]).toHaveProperty('ratePlanId', 'rateplan1');
-        expect(result[0]).not.toHaveProperty('modifier');
+        expect(result[0]).toHaveProperty('modifiers', []);
         expect(result[0].basePrice.format()).toBe(currency(10).format());
         expect(result[0].resultingPrice.format()).toBe(currency(10).format());
         expect(result[1]).toHaveProperty('guestId', 'g2');
         expect(result[1]).toHaveProperty('ratePlanId', 'rateplan1');
-        expect(result[1].modifier).toHaveProperty('conditions');
-        expect(result[1].modifier).toHaveProperty('unit', 'percentage');
-        expect(result[1].modifier).toHaveProperty('adjustment', -20);
+        expect(result[1].modifiers[0]).toHaveProperty('conditions');
+        expect(result[1].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(result[1].modifiers[0]).toHaveProperty('adjustment', -20);
         expect(result[1].basePrice.format()).toBe(currency(10).format());
         expect(result[1].resultingPrice.format()).toBe(currency(8).format());
       });
@@ -556,14 +789,14 @@ describe('prices.index', () => {
         expect(result.length).toBe(2);
         expect(result[0]).toHaveProperty('guestId', 'g1');
         expect(result[0]).toHaveProperty('ratePlanId', 'rateplan1');
-        expect(result[0]).not.toHaveProperty('modifier');
+        expect(result[0]).toHaveProperty('modifiers', []);
         expect(result[0].basePrice.format()).toBe(currency(10).format());
         expect(result[0].resultingPrice.format()).toBe(currency(10).format());
         expect(result[1]).toHaveProperty('guestId', 'g2');
         expect(result[1]).toHaveProperty('ratePlanId', 'rateplan1');
-        expect(result[1].modifier).toHaveProperty('conditions');
-        expect(result[1].modifier).toHaveProperty('unit', 'percentage');
-        expect(result[1].modifier).toHaveProperty('adjustment', -25);
+        expect(result[1].modifiers[0]).toHaveProperty('conditions');
+        expect(result[1].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(result[1].modifiers[0]).toHaveProperty('adjustment', -25);
         expect(result[1].basePrice.format()).toBe(currency(10).format());
         expect(result[1].resultingPrice.format()).toBe(currency(7.5).format());
       });
@@ -582,14 +815,14 @@ describe('prices.index', () => {
         expect(result.length).toBe(2);
         expect(result[0]).toHaveProperty('guestId', 'g1');
         expect(result[0]).toHaveProperty('ratePlanId', 'rateplan1');
-        expect(result[0]).not.toHaveProperty('modifier');
+        expect(result[0]).toHaveProperty('modifiers', []);
         expect(result[0].basePrice.format()).toBe(currency(10).format());
         expect(result[0].resultingPrice.format()).toBe(currency(10).format());
         expect(result[1]).toHaveProperty('guestId', 'g2');
         expect(result[1]).toHaveProperty('ratePlanId', 'rateplan1');
-        expect(result[1].modifier).toHaveProperty('conditions');
-        expect(result[1].modifier).toHaveProperty('unit', 'percentage');
-        expect(result[1].modifier).toHaveProperty('adjustment', -30);
+        expect(result[1].modifiers[0]).toHaveProperty('conditions');
+        expect(result[1].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(result[1].modifiers[0]).toHaveProperty('adjustment', -30);
         expect(result[1].basePrice.format()).toBe(currency(10).format());
         expect(result[1].resultingPrice.format()).toBe(currency(7).format());
       });
@@ -608,21 +841,21 @@ describe('prices.index', () => {
         expect(result.length).toBe(3);
         expect(result[0]).toHaveProperty('guestId', 'g1');
         expect(result[0]).toHaveProperty('ratePlanId', 'rateplan1');
-        expect(result[0].modifier).toHaveProperty('conditions');
-        expect(result[0].modifier).toHaveProperty('unit', 'percentage');
-        expect(result[0].modifier).toHaveProperty('adjustment', -25);
+        expect(result[0].modifiers[0]).toHaveProperty('conditions');
+        expect(result[0].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(result[0].modifiers[0]).toHaveProperty('adjustment', -25);
         expect(result[0].basePrice.format()).toBe(currency(8).format());
         expect(result[0].resultingPrice.format()).toBe(currency(6).format());
         expect(result[1]).toHaveProperty('guestId', 'g2');
         expect(result[1]).toHaveProperty('ratePlanId', 'rateplan1');
-        expect(result[1].modifier).toHaveProperty('conditions');
-        expect(result[1].modifier).toHaveProperty('unit', 'percentage');
-        expect(result[1].modifier).toHaveProperty('adjustment', -25);
+        expect(result[1].modifiers[0]).toHaveProperty('conditions');
+        expect(result[1].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(result[1].modifiers[0]).toHaveProperty('adjustment', -25);
         expect(result[1].basePrice.format()).toBe(currency(8).format());
         expect(result[1].resultingPrice.format()).toBe(currency(6).format());
         expect(result[2]).toHaveProperty('guestId', 'g3');
         expect(result[2]).toHaveProperty('ratePlanId', 'rateplan1');
-        expect(result[2]).not.toHaveProperty('modifier');
+        expect(result[2]).toHaveProperty('modifiers', []);
         expect(result[2].basePrice.format()).toBe(currency(8).format());
         expect(result[2].resultingPrice.format()).toBe(currency(8).format());
       });
@@ -640,26 +873,70 @@ describe('prices.index', () => {
         expect(result.length).toBe(3);
         expect(result[0]).toHaveProperty('guestId', 'g1');
         expect(result[0]).toHaveProperty('ratePlanId', 'rateplan1');
-        expect(result[0].modifier).toHaveProperty('conditions');
-        expect(result[0].modifier).toHaveProperty('unit', 'percentage');
-        expect(result[0].modifier).toHaveProperty('adjustment', -10);
+        expect(result[0].modifiers[0]).toHaveProperty('conditions');
+        expect(result[0].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(result[0].modifiers[0]).toHaveProperty('adjustment', -10);
         expect(result[0].basePrice.format()).toBe(currency(8).format());
         expect(result[0].resultingPrice.format()).toBe(currency(7.2).format());
         expect(result[1]).toHaveProperty('guestId', 'g2');
         expect(result[1]).toHaveProperty('ratePlanId', 'rateplan1');
-        expect(result[1].modifier).toHaveProperty('conditions');
-        expect(result[1].modifier).toHaveProperty('unit', 'percentage');
-        expect(result[1].modifier).toHaveProperty('adjustment', -50);
+        expect(result[1].modifiers[0]).toHaveProperty('conditions');
+        expect(result[1].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(result[1].modifiers[0]).toHaveProperty('adjustment', -50);
         expect(result[1].basePrice.format()).toBe(currency(8).format());
         expect(result[1].resultingPrice.format()).toBe(currency(4).format());
         expect(result[2]).toHaveProperty('guestId', 'g3');
         expect(result[2]).toHaveProperty('ratePlanId', 'rateplan1');
-        expect(result[2].modifier).toHaveProperty('conditions');
-        expect(result[2].modifier).toHaveProperty('unit', 'percentage');
-        expect(result[2].modifier).toHaveProperty('adjustment', -50);
+        expect(result[2].modifiers[0]).toHaveProperty('conditions');
+        expect(result[2].modifiers[0]).toHaveProperty('unit', 'percentage');
+        expect(result[2].modifiers[0]).toHaveProperty('adjustment', -50);
         expect(result[2].basePrice.format()).toBe(currency(8).format());
         expect(result[2].resultingPrice.format()).toBe(currency(4).format());
       });
     });
   });
+
+  describe('explainTravelDateRejection', () => {
+    it('should accept any night without availableForTravel', () => {
+      expect(explainTravelDateRejection({}, dayjs('2019-03-05'))).toBeUndefined();
+    });
+
+    it('should explain nights out of availableForTravel', () => {
+      const ratePlan = { availableForTravel: { from: '2019-03-02', to: '2019-03-04' } };
+      expect(explainTravelDateRejection(ratePlan, dayjs('2019-03-01')))
+        .toBe('availableForTravel starts 2019-03-02, stay needs 2019-03-01');
+      expect(explainTravelDateRejection(ratePlan, dayjs('2019-03-04'))).toBeUndefined();
+      expect(explainTravelDateRejection(ratePlan, dayjs('2019-03-05')))
+        .toBe('availableForTravel ends 2019-03-04, stay needs 2019-03-05');
+    });
+  });
+
+  describe('explainStayCoverage', () => {
+    it('should explain rate plans and currencies not covering the stay', () => {
+      const result = explainStayCoverage(dayjs('2019-03-03'), dayjs('2019-03-07'), 'CZK', [
+        { id: 'rpa', availableForTravel: { from: '2019-03-01', to: '2019-03-04' } },
+        { id: 'rpb', currency: 'EUR' },
+      ]);
+      expect(result.ratePlans).toEqual({
+        rpa: ['availableForTravel ends 2019-03-04, stay needs 2019-03-05'],
+      });
+      expect(result.currencies).toEqual({
+        CZK: [
+          'currency CZK does not cover night 3 (2019-03-05)',
+          'currency CZK does not cover night 4 (2019-03-06)',
+        ],
+      });
+    });
+
+    it('should explain missing exchange rates', () => {
+      const result = explainStayCoverage(dayjs('2019-03-03'), dayjs('2019-03-05'), 'CZK', [
+        { id: 'rpa' },
+        { id: 'rpb', currency: 'EUR' },
+      ], 'CZK', () => undefined);
+      expect(result.ratePlans).toEqual({
+        rpb: ['no exchange rate from EUR to CZK'],
+      });
+      expect(result.currencies).toEqual({});
+    });
+  });
 });
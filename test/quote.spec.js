@@ -0,0 +1,143 @@
+import currency from 'currency.js';
+import { quote } from '../src/quote';
+
+const availabilityRecord = (roomTypeId, date, quantity) => ({
+  roomTypeId,
+  date,
+  quantity,
+});
+
+describe('quote', () => {
+  let hotel;
+  let request;
+
+  beforeEach(() => {
+    hotel = {
+      currency: 'EUR',
+      timezone: 'Europe/Prague',
+      roomTypes: [
+        { id: 'rta', occupancy: { max: 2 } },
+        { id: 'rtb' },
+        { id: 'rtc' },
+      ],
+      ratePlans: [
+        { id: 'rpa', price: 100, roomTypeIds: ['rta'] },
+        { id: 'rpb', price: 80, roomTypeIds: ['rtb'] },
+      ],
+      availability: {
+        roomTypes: [
+          availabilityRecord('rta', '2018-01-10', 3),
+          availabilityRecord('rta', '2018-01-11', 2),
+          availabilityRecord('rta', '2018-01-12', 5),
+          availabilityRecord('rtb', '2018-01-10', 1),
+          availabilityRecord('rtb', '2018-01-11', 1),
+          availabilityRecord('rtb', '2018-01-12', 1),
+        ],
+      },
+      cancellationPolicies: [
+        { amount: 50, deadline: 3 },
+      ],
+      defaultCancellationAmount: 10,
+    };
+    request = {
+      bookingDate: '2018-01-01',
+      arrivalDate: '2018-01-10',
+      departureDate: '2018-01-12',
+      guests: [{ id: 'g1', age: 30 }, { id: 'g2', age: 28 }],
+    };
+  });
+
+  it('should return quantity, price and cancellation fees for every room type', () => {
+    const result = quote(hotel, request);
+    expect(result.length).toBe(3);
+    expect(result[0]).toHaveProperty('roomTypeId', 'rta');
+    expect(result[0]).toHaveProperty('quantity', 2);
+    expect(result[0].price).toHaveProperty('currency', 'EUR');
+    expect(result[0].price.total.format()).toBe(currency(400).format());
+    expect(result[0].cancellationFees.length).toBe(2);
+    expect(result[0].cancellationFees[0]).toHaveProperty('from', '2018-01-01T00:00:00.000+01:00');
+    expect(result[0].cancellationFees[0]).toHaveProperty('to', '2018-01-06T23:59:59.999+01:00');
+    expect(result[0].cancellationFees[0]).toHaveProperty('percentage', 10);
+    expect(result[0].cancellationFees[0].fee.format()).toBe(currency(40).format());
+    expect(result[0].cancellationFees[0].refund.format()).toBe(currency(360).format());
+    expect(result[0].cancellationFees[1]).toHaveProperty('from', '2018-01-07T00:00:00.000+01:00');
+    expect(result[0].cancellationFees[1]).toHaveProperty('to', '2018-01-10T23:59:59.999+01:00');
+    expect(result[0].cancellationFees[1].fee.format()).toBe(currency(200).format());
+    expect(result[1]).toHaveProperty('roomTypeId', 'rtb');
+    expect(result[1]).toHaveProperty('quantity', 1);
+    expect(result[1].price.total.format()).toBe(currency(320).format());
+  });
+
+  it('should report room types without price or availability', () => {
+    const result = quote(hotel, request);
+    expect(result[2]).toHaveProperty('roomTypeId', 'rtc');
+    expect(result[2]).toHaveProperty('quantity', undefined);
+    expect(result[2]).toHaveProperty('price', undefined);
+    expect(result[2].cancellationFees).toEqual([]);
+  });
+
+  it('should respect room occupancy', () => {
+    request.guests.push({ id: 'g3', age: 5 });
+    const result = quote(hotel, request);
+    expect(result[0]).toHaveProperty('quantity', 0);
+  });
+
+  it('should limit the result to a single room type', () => {
+    const result = quote(hotel, Object.assign({}, request, { roomTypeId: 'rtb' }));
+    expect(result.length).toBe(1);
+    expect(result[0]).toHaveProperty('roomTypeId', 'rtb');
+  });
+
+  it('should accept a plain list of availability records', () => {
+    hotel.availability = hotel.availability.roomTypes;
+    const result = quote(hotel, request);
+    expect(result[0]).toHaveProperty('quantity', 2);
+  });
+
+  it('should evaluate dates in the hotel timezone', () => {
+    hotel.timezone = 'Asia/Tokyo';
+    // Already January 10 in Tokyo
+    request.bookingDate = new Date(Date.UTC(2018, 0, 9, 18));
+    request.arrivalDate = new Date(Date.UTC(2018, 0, 9, 18));
+    request.departureDate = new Date(Date.UTC(2018, 0, 11, 18));
+    const result = quote(hotel, request);
+    expect(result[0]).toHaveProperty('quantity', 2);
+    expect(result[0].price.total.format()).toBe(currency(400).format());
+    expect(result[0].cancellationFees).toEqual([
+      expect.objectContaining({
+        from: '2018-01-10T03:00:00.000+09:00',
+        to: '2018-01-10T23:59:59.999+09:00',
+      }),
+    ]);
+  });
+
+  it('should count cancellation deadlines from the hotel check-in time', () => {
+    hotel.checkInTime = '15:00';
+    hotel.cancellationPolicies = [{ amount: 50, deadline: 24, deadlineUnit: 'hours' }];
+    const result = quote(hotel, request);
+    expect(result[0].cancellationFees.length).toBe(2);
+    expect(result[0].cancellationFees[1]).toHaveProperty('from', '2018-01-09T15:00:00.000+01:00');
+    expect(result[0].cancellationFees[1].fee.format()).toBe(currency(200).format());
+  });
+
+  it('should use promo codes and private rate plans', () => {
+    hotel.ratePlans.push({ id: 'rp-promo', price: 60, roomTypeIds: ['rta'], access: { promoCodes: ['SUMMER'] } });
+    hotel.promoCodes = [{ code: 'SUMMER', availableForReservation: { from: '2018-01-01', to: '2018-03-31' } }];
+    request.access = { promoCodes: ['SUMMER', 'XMAS'] };
+    const result = quote(hotel, request);
+    expect(result[0].price.total.format()).toBe(currency(240).format());
+    expect(result[0].price.promotions).toEqual([{ ratePlanId: 'rp-promo', unlockedBy: { promoCode: 'SUMMER' } }]);
+    expect(result[0].rejectedPromoCodes).toEqual([{ code: 'XMAS', reason: 'promo code XMAS does not exist' }]);
+    delete request.access;
+    expect(quote(hotel, request)[0].price.total.format()).toBe(currency(400).format());
+    expect(quote(hotel, request)[0]).not.toHaveProperty('rejectedPromoCodes');
+  });
+
+  it('should pass options to the price computer', () => {
+    const result = quote(hotel, request, {
+      fees: [{ unit: 'absolute', amount: 15, per: 'stay' }],
+    });
+    expect(result[0].price.total.format()).toBe(currency(415).format());
+    expect(result[0].price.components.fees.length).toBe(1);
+  });
+});
@@ -0,0 +1,70 @@
+import dayjs from 'dayjs';
+import {
+  isValidTimezone, getTimezoneOffset, toHotelTime, formatInstant,
+} from '../src/timezone';
+
+describe('timezone', () => {
+  describe('isValidTimezone', () => {
+    it('should accept IANA timezones', () => {
+      expect(isValidTimezone('Europe/Prague')).toBe(true);
+      expect(isValidTimezone('UTC')).toBe(true);
+    });
+
+    it('should reject anything else', () => {
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+      expect(isValidTimezone(undefined)).toBe(false);
+      expect(isValidTimezone(9)).toBe(false);
+    });
+  });
+
+  describe('getTimezoneOffset', () => {
+    it('should return the offset in minutes', () => {
+      expect(getTimezoneOffset(Date.UTC(2018, 0, 1, 12), 'Asia/Tokyo')).toBe(540);
+      expect(getTimezoneOffset(Date.UTC(2018, 0, 1, 12), 'America/New_York')).toBe(-300);
+      expect(getTimezoneOffset(Date.UTC(2018, 0, 1, 12), 'Asia/Kolkata')).toBe(330);
+    });
+
+    it('should respect daylight saving time', () => {
+      expect(getTimezoneOffset(Date.UTC(2018, 0, 1, 12), 'Europe/Prague')).toBe(60);
+      expect(getTimezoneOffset(Date.UTC(2018, 6, 1, 12), 'Europe/Prague')).toBe(120);
+    });
+  });
+
+  describe('toHotelTime', () => {
+    it('should convert instants to the hotel wall clock', () => {
+      expect(toHotelTime('2018-01-01T20:00:00Z', 'Asia/Tokyo').format('YYYY-MM-DD HH:mm')).toBe('2018-01-02 05:00');
+      expect(toHotelTime(new Date(Date.UTC(2018, 0, 1, 2)), 'America/New_York').format('YYYY-MM-DD HH:mm')).toBe('2017-12-31 21:00');
+      expect(toHotelTime(Date.UTC(2018, 0, 1, 2, 30), 'Asia/Kolkata').format('YYYY-MM-DD HH:mm')).toBe('2018-01-01 08:00');
+    });
+
+    it('should keep dates without an offset and dayjs objects', () => {
+      expect(toHotelTime('2018-01-01', 'Asia/Tokyo').format('YYYY-MM-DD HH:mm')).toBe('2018-01-01 00:00');
+      expect(toHotelTime('2018-01-01T23:30', 'Asia/Tokyo').format('YYYY-MM-DD HH:mm')).toBe('2018-01-01 23:30');
+      expect(toHotelTime(dayjs('2018-01-01 23:30'), 'Asia/Tokyo').format('YYYY-MM-DD HH:mm')).toBe('2018-01-01 23:30');
+    });
+
+    it('should fall back to the process timezone', () => {
+      const date = new Date(2018, 0, 1, 23, 30);
+      expect(toHotelTime(date).format('YYYY-MM-DD HH:mm')).toBe('2018-01-01 23:30');
+    });
+  });
+
+  describe('formatInstant', () => {
+    it('should add the offset of the hotel timezone', () => {
+      expect(formatInstant(dayjs('2018-01-02'), 'Asia/Tokyo')).toBe('2018-01-02T00:00:00.000+09:00');
+      expect(formatInstant(dayjs('2018-01-02T23:59:59.999'), 'America/New_York')).toBe('2018-01-02T23:59:59.999-05:00');
+      expect(formatInstant(dayjs('2018-07-01T12:00'), 'Europe/Prague')).toBe('2018-07-01T12:00:00.000+02:00');
+    });
+
+    it('should move a wall clock skipped by daylight saving time forward', () => {
+      expect(formatInstant(dayjs('2018-03-25T02:30'), 'Europe/Prague')).toBe('2018-03-25T03:30:00.000+02:00');
+    });
+
+    it('should be the inverse of toHotelTime', () => {
+      const instant = formatInstant(toHotelTime('2018-10-28T03:30:00Z', 'Europe/Prague'), 'Europe/Prague');
+      expect(instant).toBe('2018-10-28T04:30:00.000+01:00');
+      expect(dayjs(instant).valueOf()).toBe(Date.UTC(2018, 9, 28, 3, 30));
+    });
+  });
+});
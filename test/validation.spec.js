@@ -0,0 +1,542 @@
+import {
+  validateDateInterval, validateMinMax, validateRoomTypes, validateModifiers, validateLengthOfStayPrices,
+  validateRatePlans, validateAvailability, validateCancellationPolicies, validatePaymentPolicies, validatePromoCodes,
+  summarizeIssues, validateHotel,
+} from '../src/validation';
+
+describe('validation', () => {
+  let ratePlans;
+  let roomTypes;
+
+  beforeEach(() => {
+    roomTypes = [
+      { id: 'rta', occupancy: { min: 1, max: 2 } },
+      { id: 'rtb' },
+    ];
+    ratePlans = [
+      {
+        id: 'rpa',
+        price: 100,
+        currency: 'EUR',
+        roomTypeIds: ['rta', 'rtb'],
+        availableForReservation: { from: '2018-01-01', to: '2018-12-31' },
+        availableForTravel: { from: '2018-01-01', to: '2018-12-31' },
+        restrictions: {
+          bookingCutOff: { min: 1, max: 100 },
+          lengthOfStay: { min: 1, max: 7 },
+        },
+        modifiers: [
+          { adjustment: -10, unit: 'percentage', conditions: { minLengthOfStay: 3, from: '2018-01-01' } },
+          { adjustment: -5, unit: 'absolute', conditions: { maxAge: 12 } },
+        ],
+      },
+    ];
+  });
+
+  describe('validateDateInterval', () => {
+    it('should accept a valid interval', () => {
+      expect(validateDateInterval({ from: '2018-01-01', to: '2018-01-01' }, 'interval')).toEqual([]);
+    });
+
+    it('should report malformed dates', () => {
+      const issues = validateDateInterval({ from: '2018-02-30', to: 'tomorrow' }, 'interval');
+      expect(issues.map((i) => i.path)).toEqual(['interval.from', 'interval.to']);
+      expect(issues.every((i) => i.level === 'error')).toBe(true);
+    });
+
+    it('should report reversed intervals', () => {
+      const issues = validateDateInterval({ from: '2018-02-03', to: '2018-02-01' }, 'interval');
+      expect(issues.length).toBe(1);
+      expect(issues[0]).toHaveProperty('path', 'interval');
+    });
+
+    it('should report missing interval', () => {
+      expect(validateDateInterval(null, 'interval').length).toBe(1);
+    });
+  });
+
+  describe('validateMinMax', () => {
+    it('should accept partial limits', () => {
+      expect(validateMinMax({ min: 2 }, 'limits')).toEqual([]);
+    });
+
+    it('should report invalid and inconsistent limits', () => {
+      expect(validateMinMax({ min: -1 }, 'limits')[0]).toHaveProperty('path', 'limits.min');
+      expect(validateMinMax({ min: 3, max: 2 }, 'limits')[0]).toHaveProperty('path', 'limits');
+    });
+  });
+
+  describe('validateRoomTypes', () => {
+    it('should accept valid room types', () => {
+      expect(validateRoomTypes(roomTypes)).toEqual([]);
+    });
+
+    it('should report missing ids and bad occupancy', () => {
+      const issues = validateRoomTypes([{}, { id: 'rta', occupancy: { min: 'one' } }]);
+      expect(issues.map((i) => i.path)).toEqual(['roomTypes[0].id', 'roomTypes[1].occupancy.min']);
+    });
+
+    it('should report bad occupancy by age', () => {
+      const issues = validateRoomTypes([
+        { id: 'rta', occupancy: { maxAdults: 2, maxChildren: 1.5, maxInfants: -1, childMaxAge: 'twelve' } },
+        { id: 'rtb', occupancy: { maxInfants: 1, childMaxAge: 12, infantMaxAge: 12 } },
+        { id: 'rtc', occupancy: { maxInfants: 1, childMaxAge: 12, infantMaxAge: 2 } },
+      ]);
+      expect(issues.map((i) => i.path)).toEqual([
+        'roomTypes[0].occupancy.maxChildren',
+        'roomTypes[0].occupancy.maxInfants',
+        'roomTypes[0].occupancy.childMaxAge',
+        'roomTypes[1].occupancy.infantMaxAge',
+      ]);
+      expect(issues[3]).toHaveProperty('level', 'warning');
+    });
+  });
+
+  describe('validateModifiers', () => {
+    it('should report an invalid unit with a JSON path', () => {
+      ratePlans[0].modifiers[1].unit = 'percent';
+      const issues = validateModifiers(ratePlans[0].modifiers, 'ratePlans[3].modifiers');
+      expect(issues.length).toBe(1);
+      expect(issues[0]).toHaveProperty('level', 'error');
+      expect(issues[0]).toHaveProperty('path', 'ratePlans[3].modifiers[1].unit');
+    });
+
+    it('should report an invalid promo code condition', () => {
+      expect(validateModifiers([{ adjustment: -10, unit: 'percentage', conditions: { promoCode: 'SUMMER' } }], 'mods')).toEqual([]);
+      const issues = validateModifiers([{ adjustment: -10, unit: 'percentage', conditions: { promoCode: '' } }], 'mods');
+      expect(issues.map((i) => i.path)).toEqual(['mods[0].conditions.promoCode']);
+    });
+
+    it('should report missing conditions and adjustment', () => {
+      const issues = validateModifiers([{ unit: 'absolute' }], 'mods');
+      expect(issues.map((i) => i.path)).toEqual(['mods[0].adjustment', 'mods[0].conditions']);
+    });
+
+    it('should report invalid conditions', () => {
+      const issues = validateModifiers([{
+        unit: 'absolute',
+        adjustment: 1,
+        conditions: { from: '1.1.2018', minLengthOfStay: 1.5, minOccupants: 0, maxAge: -1 },
+      }], 'mods');
+      expect(issues.map((i) => i.path)).toEqual([
+        'mods[0].conditions.from',
+        'mods[0].conditions.minLengthOfStay',
+        'mods[0].conditions.minOccupants',
+        'mods[0].conditions.maxAge',
+      ]);
+    });
+
+    it('should report invalid night conditions', () => {
+      const issues = validateModifiers([{
+        unit: 'absolute',
+        adjustment: 1,
+        conditions: { daysOfWeek: ['fri', 'friday'], dates: ['2018-02-30'], yearly: { from: '12-24', to: '13-01' } },
+      }, {
+        unit: 'absolute', adjustment: 1, conditions: { daysOfWeek: 'fri', dates: '2018-01-01', yearly: null },
+      }, {
+        unit: 'absolute', adjustment: 1, conditions: { daysOfWeek: ['sun'], dates: ['2018-01-01'], yearly: { from: '02-29', to: '03-01' } },
+      }], 'mods');
+      expect(issues.map((i) => i.path)).toEqual([
+        'mods[0].conditions.daysOfWeek[1]',
+        'mods[0].conditions.dates[0]',
+        'mods[0].conditions.yearly.to',
+        'mods[1].conditions.daysOfWeek',
+        'mods[1].conditions.dates',
+        'mods[1].conditions.yearly',
+      ]);
+    });
+
+    it('should report invalid stacking fields', () => {
+      const issues = validateModifiers([{
+        unit: 'absolute', adjustment: 1, conditions: {}, group: 1, priority: 'high', exclusive: 'yes',
+      }], 'mods');
+      expect(issues.map((i) => i.path)).toEqual(['mods[0].group', 'mods[0].priority', 'mods[0].exclusive']);
+    });
+
+    it('should warn about unknown conditions and excessive discounts', () => {
+      const issues = validateModifiers([{ unit: 'percentage', adjustment: -150, conditions: { foo: 1 } }], 'mods');
+      expect(issues.length).toBe(2);
+      expect(issues.every((i) => i.level === 'warning')).toBe(true);
+      expect(issues.map((i) => i.path)).toEqual(['mods[0].adjustment', 'mods[0].conditions.foo']);
+    });
+  });
+
+  describe('validateLengthOfStayPrices', () => {
+    it('should accept valid length of stay prices', () => {
+      expect(validateLengthOfStayPrices([
+        { min: 1, max: 1, price: 120 },
+        { min: 2, total: 200 },
+      ], 'lengthOfStayPrices')).toEqual([]);
+    });
+
+    it('should report invalid length of stay prices', () => {
+      const issues = validateLengthOfStayPrices([
+        { min: 0, price: 120 },
+        { min: 3, max: 2, price: 100, total: 200 },
+        { min: 1, price: -1 },
+        'price',
+      ], 'lengthOfStayPrices');
+      expect(issues.map((i) => i.path)).toEqual([
+        'lengthOfStayPrices[0].min',
+        'lengthOfStayPrices[1]',
+        'lengthOfStayPrices[1]',
+        'lengthOfStayPrices[2].price',
+        'lengthOfStayPrices[3]',
+      ]);
+      expect(validateLengthOfStayPrices({}, 'lengthOfStayPrices')[0]).toHaveProperty('message', 'must be an array');
+    });
+  });
+
+  describe('validateRatePlans', () => {
+    it('should accept valid rate plans', () => {
+      expect(validateRatePlans(ratePlans, roomTypes)).toEqual([]);
+    });
+
+    it('should report a missing roomTypeIds', () => {
+      delete ratePlans[0].roomTypeIds;
+      const issues = validateRatePlans(ratePlans, roomTypes);
+      expect(issues.length).toBe(1);
+      expect(issues[0]).toHaveProperty('path', 'ratePlans[0].roomTypeIds');
+    });
+
+    it('should check private rate plan access', () => {
+      ratePlans[0].access = { promoCodes: ['SUMMER'], corporateAccountIds: ['acme'] };
+      expect(validateRatePlans(ratePlans, roomTypes)).toEqual([]);
+      ratePlans[0].access = { promoCodes: 'SUMMER', membershipTiers: [1] };
+      expect(validateRatePlans(ratePlans, roomTypes).map((i) => `${i.level} ${i.path}`)).toEqual([
+        'error ratePlans[0].access.promoCodes',
+        'error ratePlans[0].access.membershipTiers',
+      ]);
+      ratePlans[0].access = {};
+      expect(validateRatePlans(ratePlans, roomTypes).map((i) => `${i.level} ${i.path}`)).toEqual(['warning ratePlans[0].access']);
+      ratePlans[0].access = 'SUMMER';
+      expect(validateRatePlans(ratePlans, roomTypes).map((i) => i.path)).toEqual(['ratePlans[0].access']);
+    });
+
+    it('should report invalid basic fields', () => {
+      const issues = validateRatePlans([{ roomTypeIds: [], price: '100', currency: 'euro' }, null]);
+      expect(issues.map((i) => i.path)).toEqual([
+        'ratePlans[0].id',
+        'ratePlans[0].price',
+        'ratePlans[0].currency',
+        'ratePlans[1]',
+      ]);
+    });
+
+    it('should report malformed dates and restrictions', () => {
+      ratePlans[0].availableForTravel.to = '2018-13-01';
+      ratePlans[0].restrictions.lengthOfStay.min = 10;
+      const issues = validateRatePlans(ratePlans, roomTypes);
+      expect(issues.map((i) => i.path)).toEqual([
+        'ratePlans[0].availableForTravel.to',
+        'ratePlans[0].restrictions.lengthOfStay',
+      ]);
+    });
+
+    it('should report restrictions that are not an object', () => {
+      ratePlans[0].restrictions = null;
+      expect(validateRatePlans(ratePlans, roomTypes).map((i) => i.path)).toEqual(['ratePlans[0].restrictions']);
+    });
+
+    it('should warn about unknown room types', () => {
+      ratePlans[0].roomTypeIds.push('rtx');
+      const issues = validateRatePlans(ratePlans, roomTypes);
+      expect(issues.length).toBe(1);
+      expect(issues[0]).toHaveProperty('level', 'warning');
+      expect(issues[0]).toHaveProperty('path', 'ratePlans[0].roomTypeIds[2]');
+    });
+
+    it('should not require a price with length of stay prices', () => {
+      delete ratePlans[0].price;
+      ratePlans[0].lengthOfStayPrices = [{ min: 1, price: 100 }];
+      expect(validateRatePlans(ratePlans, roomTypes)).toEqual([]);
+      ratePlans[0].lengthOfStayPrices[0].min = 'one';
+      const issues = validateRatePlans(ratePlans, roomTypes);
+      expect(issues.map((i) => i.path)).toEqual(['ratePlans[0].lengthOfStayPrices[0].min']);
+    });
+
+    it('should check ranking fields', () => {
+      ratePlans[0].priority = 'high';
+      ratePlans[0].inclusions = 'breakfast';
+      expect(validateRatePlans(ratePlans, roomTypes).map((i) => i.path)).toEqual([
+        'ratePlans[0].priority',
+        'ratePlans[0].inclusions',
+      ]);
+    });
+
+    it('should check pricing mode', () => {
+      ratePlans[0].pricingMode = 'perRoomWithExtraGuests';
+      ratePlans[0].baseOccupancy = 0;
+      expect(validateRatePlans(ratePlans, roomTypes).map((i) => i.path)).toEqual([
+        'ratePlans[0].extraGuestPrice',
+        'ratePlans[0].baseOccupancy',
+      ]);
+      ratePlans[0].baseOccupancy = 2;
+      ratePlans[0].extraGuestPrice = 20;
+      expect(validateRatePlans(ratePlans, roomTypes)).toEqual([]);
+      ratePlans[0].pricingMode = 'perBed';
+      expect(validateRatePlans(ratePlans, roomTypes).map((i) => i.path)).toEqual(['ratePlans[0].pricingMode']);
+    });
+
+    it('should check modifier stacking', () => {
+      ratePlans[0].modifiers[1].group = 'children';
+      let issues = validateRatePlans(ratePlans, roomTypes);
+      expect(issues.length).toBe(1);
+      expect(issues[0]).toHaveProperty('level', 'warning');
+      expect(issues[0]).toHaveProperty('path', 'ratePlans[0].modifierStacking');
+      ratePlans[0].modifierStacking = 'multiplicative';
+      expect(validateRatePlans(ratePlans, roomTypes)).toEqual([]);
+      ratePlans[0].modifierStacking = 'all';
+      issues = validateRatePlans(ratePlans, roomTypes);
+      expect(issues.length).toBe(1);
+      expect(issues[0]).toHaveProperty('level', 'error');
+      delete ratePlans[0].modifierStacking;
+      ratePlans[0].modifiers = 'none';
+      expect(validateRatePlans(ratePlans, roomTypes).map((i) => i.path)).toEqual(['ratePlans[0].modifiers']);
+    });
+
+    it('should check cancellation terms', () => {
+      ratePlans[0].cancellationPolicies = [{ amount: 50, deadline: -1 }];
+      ratePlans[0].cancellationPolicyIds = 'strict';
+      ratePlans[0].defaultCancellationAmount = 110;
+      expect(validateRatePlans(ratePlans, roomTypes).map((i) => i.path)).toEqual([
+        'ratePlans[0].cancellationPolicies[0].deadline',
+        'ratePlans[0].cancellationPolicyIds',
+        'ratePlans[0].defaultCancellationAmount',
+      ]);
+    });
+
+    it('should include modifier issues', () => {
+      ratePlans[0].modifiers[1].unit = 'percent';
+      const issues = validateRatePlans(ratePlans, roomTypes);
+      expect(issues[0]).toHaveProperty('path', 'ratePlans[0].modifiers[1].unit');
+    });
+  });
+
+  describe('validateAvailability', () => {
+    it('should accept valid records', () => {
+      expect(validateAvailability([
+        { roomTypeId: 'rta', date: '2018-01-01', quantity: 2, restrictions: { noArrival: true } },
+      ], roomTypes)).toEqual([]);
+    });
+
+    it('should report invalid records', () => {
+      const issues = validateAvailability([
+        { date: '2018-1-1', quantity: -1, restrictions: { noDeparture: 'yes' } },
+        { roomTypeId: 'rtx', date: '2018-01-01', quantity: 1 },
+      ], roomTypes);
+      expect(issues.map((i) => i.path)).toEqual([
+        'availability[0].roomTypeId',
+        'availability[0].date',
+        'availability[0].quantity',
+        'availability[0].restrictions.noDeparture',
+        'availability[1].roomTypeId',
+      ]);
+      expect(issues[4]).toHaveProperty('level', 'warning');
+    });
+
+    it('should report restrictions that are not an object', () => {
+      const issues = validateAvailability([
+        { roomTypeId: 'rta', date: '2018-01-01', quantity: 1, restrictions: null },
+      ], roomTypes);
+      expect(issues.map((i) => i.path)).toEqual(['availability[0].restrictions']);
+    });
+
+    it('should check daily stay restrictions', () => {
+      const issues = validateAvailability([
+        { roomTypeId: 'rta', date: '2018-01-01', quantity: 2, restrictions: { minLOS: 2, maxLOS: 4, minLOSThrough: 3, closed: false } },
+        { roomTypeId: 'rta', date: '2018-01-02', quantity: 2, restrictions: { minLOS: 0, minLOSThrough: 1.5, closed: 1 } },
+        { roomTypeId: 'rta', date: '2018-01-03', quantity: 2, restrictions: { minLOS: 5, maxLOS: 4 } },
+      ], roomTypes);
+      expect(issues.map((i) => i.path)).toEqual([
+        'availability[1].restrictions.closed',
+        'availability[1].restrictions.minLOS',
+        'availability[1].restrictions.minLOSThrough',
+        'availability[2].restrictions',
+      ]);
+    });
+
+    it('should check allotments and quotas', () => {
+      const issues = validateAvailability([
+        {
+          roomTypeId: 'rta',
+          date: '2018-01-01',
+          quantity: 2,
+          allotments: [{ quantity: 2, releaseDays: -1 }, { quantity: 1, ratePlanIds: [] }, null],
+          ratePlanQuotas: { rpa: 1, rpb: 'all' },
+        },
+        { roomTypeId: 'rta', date: '2018-01-02', quantity: 2, allotments: {}, ratePlanQuotas: [] },
+      ], roomTypes);
+      expect(issues.map((i) => i.path)).toEqual([
+        'availability[0].allotments[0].releaseDays',
+        'availability[0].allotments[0].ratePlanIds',
+        'availability[0].allotments[2]',
+        'availability[0].allotments',
+        'availability[0].ratePlanQuotas.rpb',
+        'availability[1].allotments',
+      ]);
+      expect(issues[3]).toHaveProperty('level', 'warning');
+    });
+
+    it('should warn about duplicate records', () => {
+      const issues = validateAvailability([
+        { roomTypeId: 'rta', date: '2018-01-01', quantity: 1 },
+        { roomTypeId: 'rta', date: '2018-01-01', quantity: 2 },
+      ]);
+      expect(issues.length).toBe(1);
+      expect(issues[0]).toHaveProperty('level', 'warning');
+      expect(issues[0]).toHaveProperty('path', 'availability[1]');
+    });
+  });
+
+  describe('validateCancellationPolicies', () => {
+    it('should accept valid policies', () => {
+      expect(validateCancellationPolicies([
+        { amount: 50, deadline: 10, from: '2018-01-01', to: '2018-12-31' },
+        { amount: 2, unit: 'nights', deadline: 3 },
+      ])).toEqual([]);
+    });
+
+    it('should report invalid policies', () => {
+      const issues = validateCancellationPolicies([
+        { amount: 150, deadline: -1 },
+        { amount: 1, unit: 'weeks', deadline: 1, from: '2018-02-01', to: '2018-01-01' },
+      ]);
+      expect(issues.map((i) => i.path)).toEqual([
+        'cancellationPolicies[0].amount',
+        'cancellationPolicies[0].deadline',
+        'cancellationPolicies[1].unit',
+        'cancellationPolicies[1]',
+      ]);
+    });
+
+    it('should check deadline units', () => {
+      const issues = validateCancellationPolicies([
+        { amount: 50, deadline: -4, deadlineUnit: 'hours' },
+        { amount: 50, deadline: '48', deadlineUnit: 'hours' },
+        { amount: 50, deadline: 1, deadlineUnit: 'weeks' },
+      ]);
+      expect(issues.map((i) => i.path)).toEqual([
+        'cancellationPolicies[1].deadline',
+        'cancellationPolicies[2].deadlineUnit',
+      ]);
+    });
+  });
+
+  describe('validatePaymentPolicies', () => {
+    it('should accept valid policies', () => {
+      expect(validatePaymentPolicies([{ amount: 30 }, { amount: 1, unit: 'nights', deadline: 30 }, { deadline: 14 }])).toEqual([]);
+    });
+
+    it('should report invalid policies', () => {
+      expect(validatePaymentPolicies({}).map((i) => i.path)).toEqual(['paymentPolicies']);
+      expect(validatePaymentPolicies([{ amount: 130 }, { deadline: -1 }, {}, null]).map((i) => i.path)).toEqual([
+        'paymentPolicies[0].amount',
+        'paymentPolicies[1].deadline',
+        'paymentPolicies[3]',
+        'paymentPolicies',
+      ]);
+    });
+  });
+
+  describe('validatePromoCodes', () => {
+    it('should accept valid promo codes', () => {
+      expect(validatePromoCodes([{ code: 'SUMMER', availableForReservation: { from: '2018-01-01', to: '2018-05-31' } }, { code: 'STAFF' }]))
+        .toEqual([]);
+    });
+
+    it('should report invalid promo codes', () => {
+      expect(validatePromoCodes({}).map((i) => i.path)).toEqual(['promoCodes']);
+      expect(validatePromoCodes([
+        { code: 'SUMMER' }, { code: 'SUMMER' }, {}, null, { code: 'X', availableForReservation: { from: 'tomorrow' } },
+      ]).map((i) => i.path)).toEqual([
+        'promoCodes[1].code',
+        'promoCodes[2].code',
+        'promoCodes[3]',
+        'promoCodes[4].availableForReservation.from',
+        'promoCodes[4].availableForReservation.to',
+      ]);
+    });
+  });
+
+  describe('summarizeIssues', () => {
+    it('should split errors and warnings', () => {
+      const result = summarizeIssues([
+        { level: 'error', path: 'a', message: 'x' },
+        { level: 'warning', path: 'b', message: 'y' },
+      ]);
+      expect(result.valid).toBe(false);
+      expect(result.errors.length).toBe(1);
+      expect(result.warnings.length).toBe(1);
+    });
+  });
+
+  describe('validateHotel', () => {
+    it('should validate all present parts', () => {
+      const result = validateHotel({
+        roomTypes,
+        ratePlans,
+        currency: 'EUR',
+        availability: { roomTypes: [{ roomTypeId: 'rta', date: '2018-01-01' }] },
+        cancellationPolicies: [{ amount: 10 }],
+        defaultCancellationAmount: 120,
+      });
+      expect(result.valid).toBe(false);
+      expect(result.errors.map((e) => e.path)).toEqual([
+        'availability.roomTypes[0].quantity',
+        'cancellationPolicies[0].deadline',
+        'defaultCancellationAmount',
+      ]);
+    });
+
+    it('should check no-show and early departure policies', () => {
+      expect(validateHotel({
+        roomTypes, ratePlans, noShowPolicy: { amount: 1, unit: 'nights' }, earlyDeparturePolicy: { amount: 50 },
+      }).valid).toBe(true);
+      const result = validateHotel({
+        roomTypes, ratePlans, noShowPolicy: 100, earlyDeparturePolicy: { amount: 150 },
+      });
+      expect(result.errors.map((e) => e.path)).toEqual(['noShowPolicy', 'earlyDeparturePolicy.amount']);
+    });
+
+    it('should check references to cancellation policies', () => {
+      ratePlans[0].cancellationPolicyIds = ['flexible', 'strict'];
+      const result = validateHotel({
+        roomTypes, ratePlans, cancellationPolicies: [{ id: 'flexible', amount: 10, deadline: 5 }],
+      });
+      expect(result.errors.map((e) => e.path)).toEqual(['ratePlans[0].cancellationPolicyIds[1]']);
+    });
+
+    it('should check promo codes', () => {
+      expect(validateHotel({ roomTypes, ratePlans, promoCodes: [{ code: 'SUMMER' }] }).valid).toBe(true);
+      const result = validateHotel({ roomTypes, ratePlans, promoCodes: [{ code: 'SUMMER' }, { code: 'SUMMER' }] });
+      expect(result.errors.map((e) => e.path)).toEqual(['promoCodes[1].code']);
+    });
+
+    it('should check the check-in time', () => {
+      expect(validateHotel({ roomTypes, ratePlans, checkInTime: '14:00' }).valid).toBe(true);
+      const result = validateHotel({ roomTypes, ratePlans, checkInTime: '2pm' });
+      expect(result.errors.map((e) => e.path)).toEqual(['checkInTime']);
+    });
+
+    it('should check the timezone', () => {
+      expect(validateHotel({ roomTypes, ratePlans, timezone: 'Asia/Tokyo' }).valid).toBe(true);
+      const result = validateHotel({ roomTypes, ratePlans, timezone: 'GMT+9' });
+      expect(result.errors.map((e) => e.path)).toEqual(['timezone']);
+    });
+
+    it('should report availability that is not an object', () => {
+      const result = validateHotel({ roomTypes, ratePlans, availability: null });
+      expect(result.errors.map((e) => e.path)).toEqual(['availability']);
+    });
+
+    it('should accept valid data', () => {
+      const result = validateHotel({
+        roomTypes,
+        ratePlans,
+        availability: [{ roomTypeId: 'rta', date: '2018-01-01', quantity: 1 }],
+      });
+      expect(result).toEqual({ valid: true, errors: [], warnings: [] });
+    });
+  });
+});